@@ -0,0 +1,88 @@
+/**
+ * 🦁 Browser State Test Suite
+ *
+ * Tests the validation of the cookie and storage tools: cookie filters,
+ * compiling saved cookies back into chrome.cookies.set details (host-only
+ * and domain cookies, expiry, sameSite) and storage types and items.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  BrowserStateError,
+  compileCookies,
+  compileStorage,
+  cookieFilter,
+  storageTypes
+} from '../mcp-server/modules/browser-state.mjs';
+
+describe('Browser State', () => {
+  test('should validate cookie filters', () => {
+    assert.deepStrictEqual(cookieFilter({}), {});
+    assert.deepStrictEqual(cookieFilter({ url: 'https://a.test/app', name: 'sid', tabId: '3' }), {
+      url: 'https://a.test/app',
+      name: 'sid'
+    });
+    assert.deepStrictEqual(cookieFilter({ domain: '.a.test' }), { domain: 'a.test' });
+    assert.throws(() => cookieFilter({ url: 'https://a.test', domain: 'a.test' }), /either url or domain/);
+    assert.throws(() => cookieFilter({ url: 'file:///etc/passwd' }), /http\(s\) URL/);
+    assert.throws(() => cookieFilter({ url: 'not a url' }), BrowserStateError);
+  });
+
+  test('should restore saved host-only and domain cookies', () => {
+    const [session, shared] = compileCookies([
+      { name: 'sid', value: 'abc', domain: 'app.a.test', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax', hostOnly: true },
+      { name: 'theme', value: 'dark', domain: '.a.test', path: '/', expires: 1900000000, secure: false, sameSite: 'None', hostOnly: false }
+    ]);
+    assert.deepStrictEqual(session, {
+      name: 'sid',
+      value: 'abc',
+      url: 'https://app.a.test/',
+      path: '/',
+      httpOnly: true,
+      secure: true,
+      sameSite: 'lax'
+    });
+    assert.deepStrictEqual(shared, {
+      name: 'theme',
+      value: 'dark',
+      url: 'http://a.test/',
+      domain: '.a.test',
+      path: '/',
+      expirationDate: 1900000000,
+      secure: false,
+      sameSite: 'no_restriction'
+    });
+  });
+
+  test('should set cookies for a url or for the tab', () => {
+    assert.deepStrictEqual(compileCookies([{ name: 'a', value: '1', url: 'https://a.test/x' }]), [
+      { name: 'a', value: '1', url: 'https://a.test/x' }
+    ]);
+    assert.deepStrictEqual(compileCookies([{ name: 'a', value: '' }]), [{ name: 'a', value: '' }]);
+  });
+
+  test('should reject invalid cookies', () => {
+    assert.throws(() => compileCookies([]), /non-empty array/);
+    assert.throws(() => compileCookies([{ value: '1' }]), /cookies\[0\]\.name/);
+    assert.throws(() => compileCookies([{ name: 'a', value: 1 }]), /value must be a string/);
+    assert.throws(() => compileCookies([{ name: 'a', value: '1', sameSite: 'lax' }]), /sameSite must be one of/);
+    assert.throws(() => compileCookies([{ name: 'a', value: '1', expires: 'tomorrow' }]), /expires/);
+    assert.throws(() => compileCookies([{ name: 'a', value: '1', path: 'app' }]), /path must start/);
+    assert.throws(() => compileCookies([{ name: 'a', value: '1', url: 'https://a.test', domain: 'a.test' }]), BrowserStateError);
+  });
+
+  test('should validate storage types and items', () => {
+    assert.deepStrictEqual(storageTypes(), ['local', 'session']);
+    assert.deepStrictEqual(storageTypes('session'), ['session']);
+    assert.throws(() => storageTypes('indexedDB'), /type must be one of/);
+
+    assert.deepStrictEqual(compileStorage({ localStorage: { token: 'x', old: null } }), {
+      clear: false,
+      localStorage: { token: 'x', old: null }
+    });
+    assert.throws(() => compileStorage({}), /localStorage and\/or sessionStorage/);
+    assert.throws(() => compileStorage({ sessionStorage: { n: 1 } }), /must be a string/);
+    assert.throws(() => compileStorage({ localStorage: ['a'] }), BrowserStateError);
+  });
+});
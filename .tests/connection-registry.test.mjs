@@ -0,0 +1,95 @@
+/**
+ * 🦁 MCP HTTP Bridge Connection Registry Test Suite
+ *
+ * Tests tracking of simultaneous extension connections: identity,
+ * explicit selection and deterministic failover on disconnect.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ConnectionRegistry } from '../mcp-server/modules/connection-registry.mjs';
+
+const fakeSocket = (name) => ({ name });
+
+describe('Connection Registry', () => {
+  test('should assign sequential connection IDs', () => {
+    const registry = new ConnectionRegistry();
+    const first = registry.add(fakeSocket('a'));
+    const second = registry.add(fakeSocket('b'));
+    assert.strictEqual(first.id, 'ext-1');
+    assert.strictEqual(second.id, 'ext-2');
+    assert.strictEqual(registry.size, 2);
+  });
+
+  test('should keep the first connection active when others connect', () => {
+    const registry = new ConnectionRegistry();
+    const first = registry.add(fakeSocket('a'));
+    registry.add(fakeSocket('b'));
+    assert.strictEqual(registry.active, first);
+  });
+
+  test('should select a connection explicitly', () => {
+    const registry = new ConnectionRegistry();
+    registry.add(fakeSocket('a'));
+    const second = registry.add(fakeSocket('b'));
+    assert.strictEqual(registry.select(second.id), true);
+    assert.strictEqual(registry.active, second);
+    assert.strictEqual(registry.select('ext-99'), false);
+    assert.strictEqual(registry.active, second);
+  });
+
+  test('should fail over to the longest-connected remaining connection', () => {
+    const registry = new ConnectionRegistry();
+    registry.add(fakeSocket('a'));
+    const second = registry.add(fakeSocket('b'));
+    const third = registry.add(fakeSocket('c'));
+    registry.select(third.id);
+
+    const result = registry.remove(third.id);
+    assert.deepStrictEqual(result, { removed: true, wasActive: true, activeId: 'ext-1' });
+
+    registry.remove('ext-1');
+    assert.strictEqual(registry.active, second);
+  });
+
+  test('should not change the active connection when another disconnects', () => {
+    const registry = new ConnectionRegistry();
+    const first = registry.add(fakeSocket('a'));
+    const second = registry.add(fakeSocket('b'));
+    const result = registry.remove(second.id);
+    assert.strictEqual(result.wasActive, false);
+    assert.strictEqual(registry.active, first);
+  });
+
+  test('should have no active connection once all disconnect', () => {
+    const registry = new ConnectionRegistry();
+    const only = registry.add(fakeSocket('a'));
+    assert.strictEqual(registry.remove(only.id).activeId, null);
+    assert.strictEqual(registry.active, null);
+
+    const next = registry.add(fakeSocket('b'));
+    assert.strictEqual(next.id, 'ext-2');
+    assert.strictEqual(registry.active, next);
+  });
+
+  test('should list connections with merged identity', () => {
+    const registry = new ConnectionRegistry();
+    const first = registry.add(fakeSocket('a'), { remoteAddress: '127.0.0.1' });
+    registry.add(fakeSocket('b'));
+    registry.identify(first.id, { profileId: 'p1', windowId: 3, tabId: 12 });
+    registry.identify(first.id, { url: 'https://example.com/' });
+    registry.touch(first.id);
+
+    const [listed, other] = registry.list();
+    assert.strictEqual(listed.id, 'ext-1');
+    assert.strictEqual(listed.active, true);
+    assert.strictEqual(listed.remoteAddress, '127.0.0.1');
+    assert.strictEqual(listed.profileId, 'p1');
+    assert.strictEqual(listed.windowId, 3);
+    assert.strictEqual(listed.tabId, 12);
+    assert.strictEqual(listed.url, 'https://example.com/');
+    assert.ok(listed.lastMessageAt);
+    assert.strictEqual(other.active, false);
+    assert.strictEqual('ws' in listed, false);
+  });
+});
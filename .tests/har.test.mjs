@@ -0,0 +1,213 @@
+/**
+ * 🦁 HAR Export Test Suite
+ *
+ * Tests the conversion of recorded chrome.debugger Network and Page events
+ * into a HAR 1.2 log (entries, redirects, timings, cookies, bodies, pages)
+ * and the validation of browser_export_har options and file names.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  HarError,
+  buildHar,
+  harFilename,
+  recordingOptions
+} from '../mcp-server/modules/har.mjs';
+
+const WALL = 1700000000;
+
+function timing(requestTime) {
+  return {
+    requestTime,
+    proxyStart: -1,
+    proxyEnd: -1,
+    dnsStart: 1,
+    dnsEnd: 11,
+    connectStart: 11,
+    connectEnd: 41,
+    sslStart: 21,
+    sslEnd: 41,
+    sendStart: 41,
+    sendEnd: 42,
+    receiveHeadersEnd: 90
+  };
+}
+
+// A page load of https://a.test/ redirected to /home, with one XHR
+function pageLoad() {
+  return [
+    {
+      method: 'Network.requestWillBeSent',
+      params: {
+        requestId: '1', loaderId: '1', frameId: 'F', type: 'Document',
+        timestamp: 100, wallTime: WALL,
+        request: { url: 'https://a.test/', method: 'GET', headers: { Accept: 'text/html' } }
+      }
+    },
+    {
+      method: 'Network.requestWillBeSentExtraInfo',
+      params: { requestId: '1', headers: { Accept: 'text/html', Cookie: 'sid=abc; theme=dark' } }
+    },
+    {
+      method: 'Network.requestWillBeSent',
+      params: {
+        requestId: '1', loaderId: '1', frameId: 'F', type: 'Document',
+        timestamp: 100.1, wallTime: WALL + 0.1,
+        request: { url: 'https://a.test/home', method: 'GET', headers: {} },
+        redirectResponse: {
+          url: 'https://a.test/', status: 301, statusText: 'Moved Permanently',
+          headers: { Location: 'https://a.test/home' }, mimeType: '', protocol: 'h2',
+          timing: timing(100.001), remoteIPAddress: '[::1]', connectionId: 7
+        }
+      }
+    },
+    {
+      method: 'Network.responseReceived',
+      params: {
+        requestId: '1', type: 'Document', timestamp: 100.2,
+        response: {
+          url: 'https://a.test/home', status: 200, statusText: 'OK', protocol: 'http/1.1',
+          headers: { 'Content-Type': 'text/html', 'Set-Cookie': 'sid=xyz; Path=/; HttpOnly\nlang=en; Secure' },
+          mimeType: 'text/html', encodedDataLength: 150, timing: timing(100.101)
+        }
+      }
+    },
+    { method: 'Network.loadingFinished', params: { requestId: '1', timestamp: 100.25, encodedDataLength: 650 } },
+    {
+      method: 'Network.requestWillBeSent',
+      params: {
+        requestId: '2', loaderId: '1', frameId: 'F', type: 'XHR',
+        timestamp: 100.3, wallTime: WALL + 0.3,
+        request: {
+          url: 'https://a.test/api?q=1&page=2', method: 'POST',
+          headers: { 'Content-Type': 'application/json' }, postData: '{"a":1}'
+        }
+      }
+    },
+    {
+      method: 'Network.loadingFailed',
+      params: { requestId: '2', timestamp: 100.35, errorText: 'net::ERR_CONNECTION_REFUSED' }
+    },
+    { method: 'Page.domContentEventFired', params: { timestamp: 100.4 } },
+    { method: 'Page.loadEventFired', params: { timestamp: 100.5 } }
+  ];
+}
+
+describe('HAR Export', () => {
+  test('should build a HAR 1.2 log with one entry per redirect hop', () => {
+    const { har, incomplete } = buildHar(
+      { events: pageLoad(), mainFrameId: 'F', browser: { name: 'Chrome', version: '130' } },
+      { creator: { name: 'Test', version: '1' } }
+    );
+    assert.strictEqual(har.log.version, '1.2');
+    assert.deepStrictEqual(har.log.creator, { name: 'Test', version: '1' });
+    assert.deepStrictEqual(har.log.browser, { name: 'Chrome', version: '130' });
+    assert.strictEqual(incomplete, 0);
+
+    const [redirect, document, xhr] = har.log.entries;
+    assert.strictEqual(har.log.entries.length, 3);
+    assert.strictEqual(redirect.response.status, 301);
+    assert.strictEqual(redirect.response.redirectURL, 'https://a.test/home');
+    assert.strictEqual(redirect.response.httpVersion, 'HTTP/2.0');
+    assert.strictEqual(redirect.serverIPAddress, '::1');
+    assert.strictEqual(redirect.connection, '7');
+    assert.strictEqual(document.request.url, 'https://a.test/home');
+    assert.strictEqual(document.response.bodySize, 500);
+    assert.strictEqual(document.startedDateTime, new Date((WALL + 0.1) * 1000).toISOString());
+    assert.strictEqual(xhr._error, 'net::ERR_CONNECTION_REFUSED');
+    assert.strictEqual(xhr.response.status, 0);
+  });
+
+  test('should use the headers sent on the wire and parse cookies', () => {
+    const { har } = buildHar({ events: pageLoad() });
+    const [redirect, document] = har.log.entries;
+    assert.deepStrictEqual(redirect.request.cookies, [
+      { name: 'sid', value: 'abc' },
+      { name: 'theme', value: 'dark' }
+    ]);
+    assert.deepStrictEqual(
+      document.response.headers.filter((header) => header.name === 'Set-Cookie').map((header) => header.value),
+      ['sid=xyz; Path=/; HttpOnly', 'lang=en; Secure']
+    );
+    assert.deepStrictEqual(document.response.cookies, [
+      { name: 'sid', value: 'xyz', path: '/', httpOnly: true },
+      { name: 'lang', value: 'en', secure: true }
+    ]);
+  });
+
+  test('should record query strings and post data', () => {
+    const { har } = buildHar({ events: pageLoad() });
+    const xhr = har.log.entries[2];
+    assert.deepStrictEqual(xhr.request.queryString, [
+      { name: 'q', value: '1' },
+      { name: 'page', value: '2' }
+    ]);
+    assert.deepStrictEqual(xhr.request.postData, { mimeType: 'application/json', text: '{"a":1}' });
+    assert.strictEqual(xhr.request.bodySize, 7);
+    assert.strictEqual(xhr._resourceType, 'xhr');
+  });
+
+  test('should compute phase timings with ssl inside connect', () => {
+    const { har } = buildHar({ events: pageLoad() });
+    const { timings, time } = har.log.entries[1];
+    assert.strictEqual(timings.blocked, 2);
+    assert.strictEqual(timings.dns, 10);
+    assert.strictEqual(timings.connect, 30);
+    assert.strictEqual(timings.ssl, 20);
+    assert.strictEqual(timings.send, 1);
+    assert.strictEqual(timings.wait, 57);
+    assert.strictEqual(timings.receive, 50);
+    assert.strictEqual(time, 150);
+  });
+
+  test('should group entries into pages with page timings', () => {
+    const { har } = buildHar({ events: pageLoad(), mainFrameId: 'F' });
+    assert.deepStrictEqual(har.log.pages, [
+      {
+        startedDateTime: new Date(WALL * 1000).toISOString(),
+        id: 'page_1',
+        title: 'https://a.test/',
+        pageTimings: { onContentLoad: 400, onLoad: 500 }
+      }
+    ]);
+    assert.ok(har.log.entries.every((entry) => entry.pageref === 'page_1'));
+  });
+
+  test('should attach captured bodies and skip unfinished requests', () => {
+    const events = [
+      ...pageLoad(),
+      {
+        method: 'Network.requestWillBeSent',
+        params: {
+          requestId: '3', loaderId: '1', frameId: 'F', type: 'Image', timestamp: 100.6,
+          wallTime: WALL + 0.6, request: { url: 'https://a.test/logo.png', method: 'GET', headers: {} }
+        }
+      }
+    ];
+    const { har, incomplete } = buildHar({
+      events,
+      bodies: { 1: { body: '<h1>Home</h1>', base64Encoded: false } }
+    });
+    assert.strictEqual(incomplete, 1);
+    assert.strictEqual(har.log.entries.length, 3);
+    const { content } = har.log.entries[1].response;
+    assert.strictEqual(content.text, '<h1>Home</h1>');
+    assert.strictEqual(content.size, 13);
+    assert.strictEqual(content.mimeType, 'text/html');
+
+    const omitted = buildHar({ events, bodies: { 1: { omitted: 'Body larger than maxBodySize (10 bytes)' } } });
+    assert.strictEqual(omitted.har.log.entries[1].response.content.comment, 'Body larger than maxBodySize (10 bytes)');
+  });
+
+  test('should validate recording options and file names', () => {
+    assert.deepStrictEqual(recordingOptions(), { includeBodies: false, maxBodySize: 1048576 });
+    assert.throws(() => recordingOptions({ maxBodySize: -1 }), HarError);
+    assert.throws(() => recordingOptions({ includeBodies: 'yes' }), /includeBodies/);
+    assert.strictEqual(harFilename('checkout-bug'), 'checkout-bug.har');
+    assert.strictEqual(harFilename('run.har'), 'run.har');
+    assert.strictEqual(harFilename(undefined, new Date('2025-01-02T03:04:05.678Z')), 'session-2025-01-02T03-04-05-678Z.har');
+    assert.throws(() => harFilename('../escape'), HarError);
+    assert.throws(() => harFilename('.hidden'), HarError);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * 🦁 JSON Schema Validation Test Suite
+ *
+ * Tests the validator used for tool input and output schemas: types,
+ * required and unknown properties, ranges, enums, URL formats, nested
+ * paths and error formatting.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { formatSchemaErrors, validateJsonSchema } from '../mcp-server/modules/json-schema.mjs';
+
+const schema = {
+  type: 'object',
+  properties: {
+    selector: { type: 'string', minLength: 1 },
+    timeout: { type: 'number', minimum: 0, maximum: 60000 },
+    categories: { type: 'array', items: { type: 'string', enum: ['seo', 'pwa'] } },
+    tab: {
+      type: 'object',
+      properties: { tabId: { type: 'integer' }, title: { type: ['string', 'null'] } },
+      required: ['tabId']
+    }
+  },
+  required: ['selector'],
+  additionalProperties: false
+};
+
+describe('JSON Schema Validation', () => {
+  test('should accept valid values', () => {
+    assert.deepStrictEqual(
+      validateJsonSchema(schema, {
+        selector: '#main',
+        timeout: 500,
+        categories: ['seo'],
+        tab: { tabId: 3, title: null }
+      }),
+      []
+    );
+  });
+
+  test('should report missing, unknown and mistyped fields by path', () => {
+    assert.deepStrictEqual(validateJsonSchema(schema, { timeout: '5', extra: true }), [
+      { path: 'selector', message: 'is required' },
+      { path: 'timeout', message: 'must be number (got string)' },
+      { path: 'extra', message: 'is not a known property' }
+    ]);
+  });
+
+  test('should check ranges, lengths and enums in nested values', () => {
+    const errors = validateJsonSchema(schema, {
+      selector: '',
+      timeout: 90000,
+      categories: ['seo', 'speed'],
+      tab: { tabId: 1.5 }
+    });
+    assert.deepStrictEqual(
+      errors.map((error) => error.path),
+      ['selector', 'timeout', 'categories[1]', 'tab.tabId']
+    );
+    assert.match(formatSchemaErrors(errors), /timeout must be <= 60000; categories\[1\] must be one of "seo", "pwa"/);
+  });
+
+  test('should validate additional properties against a schema', () => {
+    const results = { type: 'object', additionalProperties: { type: 'object', required: ['score'] } };
+    assert.deepStrictEqual(validateJsonSchema(results, { seo: { score: 1 } }), []);
+    assert.deepStrictEqual(validateJsonSchema(results, { seo: {} }), [{ path: 'seo.score', message: 'is required' }]);
+  });
+
+  test('should require absolute URLs for format "uri"', () => {
+    const url = { type: 'string', format: 'uri' };
+    assert.deepStrictEqual(validateJsonSchema(url, 'https://example.com/path?q=1'), []);
+    assert.deepStrictEqual(validateJsonSchema(url, 'about:blank'), []);
+    assert.match(validateJsonSchema(url, 'example.com')[0].message, /absolute URL/);
+    assert.deepStrictEqual(validateJsonSchema({ type: 'string', format: 'date-time' }, 'soon'), []);
+  });
+
+  test('should support anyOf, const and untyped schemas', () => {
+    const either = { anyOf: [{ type: 'string' }, { type: 'number', minimum: 1 }] };
+    assert.deepStrictEqual(validateJsonSchema(either, 'x'), []);
+    assert.strictEqual(validateJsonSchema(either, 0).length, 1);
+    assert.strictEqual(validateJsonSchema({ const: 'a' }, 'b').length, 1);
+    assert.deepStrictEqual(validateJsonSchema({ description: 'anything' }, { any: 'value' }), []);
+    assert.strictEqual(formatSchemaErrors([{ path: '', message: 'must be object (got null)' }]), 'must be object (got null)');
+  });
+
+  test('should explain which anyOf alternatives failed', () => {
+    const target = {
+      type: 'object',
+      properties: { selector: { type: 'string' }, ref: { type: 'string' } },
+      anyOf: [{ required: ['selector'] }, { required: ['ref'] }],
+    };
+    assert.deepStrictEqual(validateJsonSchema(target, { ref: 'e3' }), []);
+    assert.deepStrictEqual(validateJsonSchema(target, {}), [
+      { path: '', message: 'must satisfy one of: selector is required | ref is required' },
+    ]);
+  });
+
+  test('should apply every allOf schema', () => {
+    const drag = {
+      type: 'object',
+      allOf: [
+        { anyOf: [{ required: ['selector'] }, { required: ['ref'] }] },
+        { anyOf: [{ required: ['targetSelector'] }, { required: ['offsetX'] }] },
+      ],
+    };
+    assert.deepStrictEqual(validateJsonSchema(drag, { ref: 'e1', offsetX: 40 }), []);
+    const errors = validateJsonSchema(drag, { selector: '#card' });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /targetSelector is required \| offsetX is required/);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * 🦁 MCP HTTP Bridge Log Filters Test Suite
+ *
+ * Tests filtering of captured network requests by status range, URL
+ * pattern, resource type, method and time window, console entries by
+ * level, time, text, source URL and cursor, plus the shared filter value
+ * parsers.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  FilterError,
+  createTextMatcher,
+  filterConsoleEntries,
+  filterNetworkRequests,
+  parseList,
+  parseTimestamp
+} from '../mcp-server/modules/log-filters.mjs';
+
+const requests = [
+  {
+    url: 'https://example.com/',
+    method: 'GET',
+    status: 200,
+    resourceType: 'document',
+    startedDateTime: '2025-01-01T10:00:00.000Z',
+    tabId: 7
+  },
+  {
+    url: 'https://example.com/api/users',
+    method: 'POST',
+    status: 201,
+    resourceType: 'fetch',
+    startedDateTime: '2025-01-01T10:00:01.000Z'
+  },
+  {
+    url: 'https://example.com/api/missing',
+    method: 'GET',
+    status: 404,
+    resourceType: 'xhr',
+    startedDateTime: '2025-01-01T10:00:02.000Z'
+  },
+  {
+    url: 'https://cdn.example.com/app.js',
+    method: 'GET',
+    status: 0,
+    failed: true,
+    error: 'net::ERR_BLOCKED_BY_CLIENT',
+    resourceType: 'script',
+    startedDateTime: '2025-01-01T10:00:03.000Z'
+  }
+];
+
+const urls = (result) => result.requests.map((request) => request.url);
+
+describe('Network Request Filters', () => {
+  test('should return all requests when no filters are given', () => {
+    const result = filterNetworkRequests(requests);
+    assert.strictEqual(result.total, 4);
+    assert.strictEqual(result.returned, 4);
+  });
+
+  test('should filter by status range', () => {
+    const result = filterNetworkRequests(requests, { statusMin: 200, statusMax: 299 });
+    assert.deepStrictEqual(urls(result), [
+      'https://example.com/',
+      'https://example.com/api/users'
+    ]);
+  });
+
+  test('should accept query-string values', () => {
+    const result = filterNetworkRequests(requests, { statusMin: '400', resourceType: 'xhr,fetch' });
+    assert.deepStrictEqual(urls(result), ['https://example.com/api/missing']);
+  });
+
+  test('should filter by URL substring and regular expression', () => {
+    assert.strictEqual(filterNetworkRequests(requests, { urlPattern: 'API/' }).total, 2);
+    assert.deepStrictEqual(
+      urls(filterNetworkRequests(requests, { urlPattern: '/\\.js$/' })),
+      ['https://cdn.example.com/app.js']
+    );
+  });
+
+  test('should filter by resource type and method', () => {
+    const result = filterNetworkRequests(requests, { resourceType: ['FETCH', 'document'], method: 'post' });
+    assert.deepStrictEqual(urls(result), ['https://example.com/api/users']);
+  });
+
+  test('should filter by time window', () => {
+    const result = filterNetworkRequests(requests, {
+      since: '2025-01-01T10:00:01.000Z',
+      until: Date.parse('2025-01-01T10:00:02.000Z')
+    });
+    assert.deepStrictEqual(urls(result), [
+      'https://example.com/api/users',
+      'https://example.com/api/missing'
+    ]);
+  });
+
+  test('should return only failed requests with errorsOnly', () => {
+    const result = filterNetworkRequests(requests, { errorsOnly: 'true' });
+    assert.deepStrictEqual(urls(result), [
+      'https://example.com/api/missing',
+      'https://cdn.example.com/app.js'
+    ]);
+  });
+
+  test('should filter by tab', () => {
+    assert.deepStrictEqual(urls(filterNetworkRequests(requests, { tabId: '7' })), ['https://example.com/']);
+  });
+
+  test('should keep the most recent entries within limit', () => {
+    const result = filterNetworkRequests(requests, { limit: 2 });
+    assert.strictEqual(result.total, 4);
+    assert.strictEqual(result.returned, 2);
+    assert.deepStrictEqual(urls(result), [
+      'https://example.com/api/missing',
+      'https://cdn.example.com/app.js'
+    ]);
+  });
+
+  test('should reject invalid filter values', () => {
+    assert.throws(() => filterNetworkRequests(requests, { statusMin: 'abc' }), FilterError);
+    assert.throws(() => filterNetworkRequests(requests, { since: 'yesterday' }), FilterError);
+    assert.throws(() => filterNetworkRequests(requests, { urlPattern: '/(/' }), FilterError);
+    assert.throws(() => filterNetworkRequests(requests, { limit: 0 }), FilterError);
+  });
+});
+
+const consoleEntries = [
+  { id: 1, level: 'log', message: 'App started', source: 'https://example.com/app.js', timestamp: '2025-01-01T10:00:00.000Z' },
+  { id: 2, level: 'warn', message: 'Deprecated API', source: 'https://cdn.example.com/lib.js', timestamp: '2025-01-01T10:00:01.000Z', tabId: 7 },
+  { id: 3, level: 'error', message: 'TypeError: x is undefined', source: 'https://example.com/app.js', timestamp: '2025-01-01T10:00:02.000Z' },
+  { id: 4, level: 'info', message: 'Clicked submit', source: 'https://example.com/app.js', timestamp: '2025-01-01T10:00:03.000Z' },
+  { id: 5, level: 'error', message: 'Failed to fetch', source: 'https://example.com/api.js', timestamp: '2025-01-01T10:00:04.000Z' }
+];
+
+const ids = (result) => result.entries.map((entry) => entry.id);
+
+describe('Console Entry Filters', () => {
+  test('should filter by level, treating "all" as no filter', () => {
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { level: 'error' })), [3, 5]);
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { level: 'warn,error' })), [2, 3, 5]);
+    assert.strictEqual(filterConsoleEntries(consoleEntries, { level: 'all' }).total, 5);
+  });
+
+  test('should filter by time, message text and source URL', () => {
+    assert.deepStrictEqual(
+      ids(filterConsoleEntries(consoleEntries, { since: '2025-01-01T10:00:03.000Z' })),
+      [4, 5]
+    );
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { text: '/error|fail/i' })), [3, 5]);
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { sourceUrl: 'cdn.' })), [2]);
+  });
+
+  test('should filter by tab', () => {
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { tabId: '7' })), [2]);
+    assert.deepStrictEqual(ids(filterConsoleEntries(consoleEntries, { tabId: 8 })), []);
+  });
+
+  test('should return only entries after the cursor', () => {
+    const first = filterConsoleEntries(consoleEntries, { level: 'error', limit: 1 });
+    assert.deepStrictEqual(ids(first), [5]);
+    assert.strictEqual(first.nextCursor, 5);
+    assert.strictEqual(first.hasMore, false);
+
+    const next = filterConsoleEntries(consoleEntries, { cursor: first.nextCursor });
+    assert.deepStrictEqual(ids(next), []);
+    assert.strictEqual(next.nextCursor, 5);
+  });
+
+  test('should page forward from a cursor in capture order', () => {
+    const page = filterConsoleEntries(consoleEntries, { cursor: '1', limit: '2' });
+    assert.deepStrictEqual(ids(page), [2, 3]);
+    assert.strictEqual(page.hasMore, true);
+    assert.strictEqual(page.nextCursor, 3);
+
+    const rest = filterConsoleEntries(consoleEntries, { cursor: page.nextCursor, limit: 2 });
+    assert.deepStrictEqual(ids(rest), [4, 5]);
+    assert.strictEqual(rest.hasMore, false);
+  });
+
+  test('should reject invalid filter values', () => {
+    assert.throws(() => filterConsoleEntries(consoleEntries, { cursor: 'abc' }), FilterError);
+    assert.throws(() => filterConsoleEntries(consoleEntries, { text: '/[/' }), FilterError);
+  });
+});
+
+describe('Filter Value Parsers', () => {
+  test('should parse timestamps from epoch ms and ISO strings', () => {
+    assert.strictEqual(parseTimestamp(1000, 'since'), 1000);
+    assert.strictEqual(parseTimestamp('1000', 'since'), 1000);
+    assert.strictEqual(parseTimestamp('1970-01-01T00:00:01.000Z', 'since'), 1000);
+    assert.strictEqual(parseTimestamp(undefined, 'since'), null);
+  });
+
+  test('should parse lists from arrays and comma-separated strings', () => {
+    assert.deepStrictEqual(parseList('XHR, fetch'), ['xhr', 'fetch']);
+    assert.deepStrictEqual(parseList(['Script']), ['script']);
+    assert.strictEqual(parseList(''), null);
+  });
+
+  test('should match substrings case-insensitively and regexes with flags', () => {
+    assert.strictEqual(createTextMatcher('Error', 'text')('an error occurred'), true);
+    assert.strictEqual(createTextMatcher('/^warn/i', 'text')('WARNING'), true);
+    assert.strictEqual(createTextMatcher('/^warn/', 'text')('WARNING'), false);
+    assert.strictEqual(createTextMatcher('', 'text'), null);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * 🦁 Network Routes Test Suite
+ *
+ * Tests the URL glob compiler, the Fetch domain wildcard patterns and the
+ * validation and compilation of browser_route_add routes (actions, resource
+ * types, JSON and text bodies, headers, delays), and the interception of
+ * paused requests by chrome-extension/routes.js against a fake debugger.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import vm from 'node:vm';
+import {
+  RouteError,
+  compileRoute,
+  globToFetchPattern,
+  globToRegExp
+} from '../mcp-server/modules/network-routes.mjs';
+
+describe('Network Routes', () => {
+  test('should match "**" across and "*" within path segments', () => {
+    const users = globToRegExp('**/api/users/*');
+    assert.ok(users.test('https://example.com/api/users/42'));
+    assert.ok(!users.test('https://example.com/api/users/42/posts'));
+    assert.ok(globToRegExp('https://example.com/**').test('https://example.com/a/b?c=1'));
+    assert.ok(!globToRegExp('https://example.com/*').test('https://example.com/a/b'));
+  });
+
+  test('should support alternatives and match other characters literally', () => {
+    const images = globToRegExp('**/*.{png,jpg}');
+    assert.ok(images.test('https://cdn.test/logo.jpg'));
+    assert.ok(!images.test('https://cdn.test/logo.gif'));
+    const search = globToRegExp('https://example.com/search?q=*');
+    assert.ok(search.test('https://example.com/search?q=shoes'));
+    assert.ok(!search.test('https://example.com/searchXq=shoes'));
+    assert.throws(() => globToRegExp('**/*.{png'), RouteError);
+  });
+
+  test('should build Fetch patterns that cover the glob', () => {
+    assert.strictEqual(globToFetchPattern('**/api/*'), '*/api/*');
+    assert.strictEqual(globToFetchPattern('**/*.{png,jpg}'), '*/*.*');
+    assert.strictEqual(globToFetchPattern('https://a.test/s?q=*'), 'https://a.test/s\\?q=*');
+  });
+
+  test('should compile a JSON fulfill route', () => {
+    const route = compileRoute({
+      url: '**/api/users/*',
+      method: 'post',
+      resourceType: ['xhr', 'fetch'],
+      status: 201,
+      json: { id: 1 }
+    });
+    assert.strictEqual(route.method, 'POST');
+    assert.deepStrictEqual(route.resourceTypes, ['XHR', 'Fetch']);
+    assert.strictEqual(route.status, 201);
+    assert.deepStrictEqual(route.headers, [{ name: 'Content-Type', value: 'application/json' }]);
+    assert.strictEqual(Buffer.from(route.body, 'base64').toString(), '{"id":1}');
+    assert.ok(new RegExp(route.urlRegex).test('https://a.test/api/users/7'));
+  });
+
+  test('should keep explicit headers and default to an empty 200 body', () => {
+    const route = compileRoute({ url: '**/health', headers: { 'content-type': 'text/plain', 'X-Mock': 1 } });
+    assert.strictEqual(route.status, 200);
+    assert.strictEqual(route.body, '');
+    assert.deepStrictEqual(route.headers, [
+      { name: 'content-type', value: 'text/plain' },
+      { name: 'X-Mock', value: '1' }
+    ]);
+  });
+
+  test('should compile abort and delayed continue routes', () => {
+    const abort = compileRoute({ url: '**/*.png', action: 'abort', errorReason: 'BlockedByClient' });
+    assert.strictEqual(abort.errorReason, 'BlockedByClient');
+    assert.strictEqual(abort.body, undefined);
+    const slow = compileRoute({ url: '**/api/**', action: 'continue', delay: 2000, times: 3 });
+    assert.strictEqual(slow.delay, 2000);
+    assert.strictEqual(slow.times, 3);
+    assert.strictEqual(slow.status, undefined);
+  });
+
+  test('should reject invalid routes', () => {
+    assert.throws(() => compileRoute({}), /url must be/);
+    assert.throws(() => compileRoute({ url: '**', action: 'mock' }), /action must be/);
+    assert.throws(() => compileRoute({ url: '**', resourceType: 'css' }), /Unknown resourceType "css"/);
+    assert.throws(() => compileRoute({ url: '**', action: 'abort', errorReason: 'Nope' }), /errorReason/);
+    assert.throws(() => compileRoute({ url: '**', body: 'a', json: {} }), /either body or json/);
+    assert.throws(() => compileRoute({ url: '**', status: 42 }), /status/);
+    assert.throws(() => compileRoute({ url: '**', delay: -1 }), RouteError);
+  });
+});
+
+// Load the extension's route scripts into a context with a fake chrome.debugger
+// that records the commands it receives
+function loadRouteScripts() {
+  const commands = [];
+  const eventListeners = [];
+  const event = (listeners = []) => ({ addListener: (fn) => listeners.push(fn) });
+  const chrome = {
+    debugger: {
+      attach: async () => commands.push('attach'),
+      detach: async () => commands.push('detach'),
+      sendCommand: async (target, method) => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        commands.push(method);
+        return {};
+      },
+      onEvent: event(eventListeners),
+      onDetach: event()
+    },
+    tabs: { onRemoved: event() }
+  };
+  const context = vm.createContext({ chrome, console, setTimeout });
+  for (const file of ['debugger-sessions.js', 'routes.js']) {
+    vm.runInContext(fs.readFileSync(new URL(`../chrome-extension/${file}`, import.meta.url), 'utf8'), context);
+  }
+  const pause = (url) =>
+    eventListeners.forEach((listener) =>
+      listener({ tabId: 1 }, 'Fetch.requestPaused', {
+        requestId: url,
+        request: { url, method: 'GET' },
+        resourceType: 'XHR'
+      })
+    );
+  return { context, commands, pause };
+}
+
+describe('Route Interception', () => {
+  test('should answer the last request of an expiring route before removing it', async () => {
+    const { context, commands, pause } = loadRouteScripts();
+    await context.addRoute(1, compileRoute({ url: '**/api/*', json: { ok: true }, times: 1 }));
+    commands.length = 0;
+
+    pause('https://a.test/api/me');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.deepStrictEqual(commands, ['Fetch.fulfillRequest', 'Fetch.disable', 'detach']);
+    // The tab's route state is gone with its last route
+    assert.strictEqual(context.listRoutes(1).routes.length, 0);
+  });
+
+  test('should let requests after the expiring match continue', async () => {
+    const { context, commands, pause } = loadRouteScripts();
+    await context.addRoute(1, compileRoute({ url: '**/api/*', json: {}, times: 1 }));
+    await context.addRoute(1, compileRoute({ url: '**/other', action: 'continue' }));
+    commands.length = 0;
+
+    pause('https://a.test/api/1');
+    pause('https://a.test/api/2');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.deepStrictEqual(commands.slice(0, 2), ['Fetch.fulfillRequest', 'Fetch.continueRequest']);
+    const routes = context.listRoutes(1).routes;
+    assert.strictEqual(routes.length, 1);
+    assert.strictEqual(routes[0].url, '**/other');
+  });
+
+  test('should keep every route of concurrent adds to the same tab', async () => {
+    const { context, commands, pause } = loadRouteScripts();
+    await Promise.all([
+      context.addRoute(1, compileRoute({ url: '**/api/*', json: { ok: true } })),
+      context.addRoute(1, compileRoute({ url: '**/other', action: 'continue' }))
+    ]);
+
+    const routes = context.listRoutes(1).routes;
+    assert.strictEqual(routes.length, 2);
+    assert.strictEqual(commands.filter((command) => command === 'attach').length, 1);
+
+    // The first route still intercepts
+    commands.length = 0;
+    pause('https://a.test/api/me');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(commands, ['Fetch.fulfillRequest']);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * 🦁 MCP HTTP Bridge Pending Request Table Test Suite
+ *
+ * Tests requestId-based correlation of extension replies, including
+ * concurrent requests, timeouts, cancellation, orphaned replies,
+ * per-connection ownership, progress messages and abandoned requests.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { PendingRequestTable } from '../mcp-server/modules/pending-requests.mjs';
+
+const createTable = (options = {}) => {
+  const logs = [];
+  const table = new PendingRequestTable({
+    log: (message) => logs.push(message),
+    ...options
+  });
+  return { table, logs };
+};
+
+describe('Pending Request Table', () => {
+  test('should generate unique request IDs', () => {
+    const { table } = createTable();
+    const ids = new Set(Array.from({ length: 100 }, () => table.createId()));
+    assert.strictEqual(ids.size, 100);
+  });
+
+  test('should resolve concurrent requests by requestId, not type', async () => {
+    const { table } = createTable();
+    const firstId = table.createId();
+    const secondId = table.createId();
+
+    const first = table.register(firstId, { action: 'click', responseType: 'clickResult' });
+    const second = table.register(secondId, { action: 'click', responseType: 'clickResult' });
+
+    // Replies arrive out of order
+    assert.strictEqual(table.handleReply({ type: 'clickResult', requestId: secondId, result: 'second' }), true);
+    assert.strictEqual(table.handleReply({ type: 'clickResult', requestId: firstId, result: 'first' }), true);
+
+    assert.strictEqual((await first).result, 'first');
+    assert.strictEqual((await second).result, 'second');
+    assert.strictEqual(table.size, 0);
+  });
+
+  test('should time out a request and reject its late reply', async () => {
+    const { table, logs } = createTable();
+    const requestId = table.createId();
+
+    await assert.rejects(
+      table.register(requestId, { action: 'click', timeout: 10, timeoutMessage: 'Click operation timeout' }),
+      /Click operation timeout/
+    );
+
+    // A late reply must not resolve anything
+    const nextId = table.createId();
+    const next = table.register(nextId, { action: 'click', timeout: 1000 });
+    assert.strictEqual(table.handleReply({ type: 'clickResult', requestId }), false);
+    assert.strictEqual(table.has(nextId), true);
+    assert.match(logs[0], /timed out/);
+
+    table.handleReply({ type: 'clickResult', requestId: nextId });
+    await next;
+  });
+
+  test('should cancel a single request', async () => {
+    const { table } = createTable();
+    const requestId = table.createId();
+    const promise = table.register(requestId, { action: 'wait' });
+
+    assert.strictEqual(table.cancel(requestId, 'cancelled by client'), true);
+    await assert.rejects(promise, /wait cancelled by client/);
+    assert.strictEqual(table.cancel(requestId), false);
+  });
+
+  test('should cancel all requests', async () => {
+    const { table } = createTable();
+    const promises = [table.createId(), table.createId()].map((id) =>
+      table.register(id, { action: 'type' })
+    );
+
+    assert.strictEqual(table.cancelAll('cancelled: extension disconnected'), 2);
+    for (const promise of promises) {
+      await assert.rejects(promise, /extension disconnected/);
+    }
+    assert.strictEqual(table.size, 0);
+  });
+
+  test('should reject replies of the wrong type', async () => {
+    const { table } = createTable();
+    const requestId = table.createId();
+    const promise = table.register(requestId, { action: 'click', responseType: 'clickResult' });
+
+    table.handleReply({ type: 'typeResult', requestId });
+    await assert.rejects(promise, /Unexpected reply type typeResult/);
+  });
+
+  test('should reject requests the extension does not support', async () => {
+    const { table } = createTable();
+    const requestId = table.createId();
+    const promise = table.register(requestId, { action: 'evaluate' });
+
+    table.handleReply({
+      type: 'unknownMessageError',
+      requestId,
+      error: 'Unsupported message type: evaluate'
+    });
+    await assert.rejects(promise, /Unsupported message type: evaluate/);
+  });
+
+  test('should ignore messages without a requestId', () => {
+    const { table, logs } = createTable();
+    assert.strictEqual(table.handleReply({ type: 'consoleLog' }), false);
+    assert.strictEqual(logs.length, 0);
+  });
+
+  test('should refuse duplicate request IDs', async () => {
+    const { table } = createTable();
+    const requestId = table.createId();
+    const first = table.register(requestId, { action: 'click' });
+
+    await assert.rejects(table.register(requestId), /Duplicate request ID/);
+
+    table.cancel(requestId);
+    await assert.rejects(first);
+  });
+
+  test('should only accept replies from the connection a request was sent to', async () => {
+    const { table, logs } = createTable();
+    const requestId = table.createId();
+    const promise = table.register(requestId, { action: 'click', owner: 'ext-1' });
+
+    assert.strictEqual(table.handleReply({ type: 'clickResult', requestId }, 'ext-2'), false);
+    assert.match(logs[0], /request was sent to ext-1/);
+    assert.strictEqual(table.has(requestId), true);
+
+    assert.strictEqual(table.handleReply({ type: 'clickResult', requestId }, 'ext-1'), true);
+    await promise;
+  });
+
+  test('should cancel only the requests of one connection', async () => {
+    const { table } = createTable();
+    const first = table.register('a', { action: 'click', owner: 'ext-1' });
+    const second = table.register('b', { action: 'type', owner: 'ext-2' });
+
+    assert.strictEqual(table.cancelAll('cancelled: extension disconnected', 'ext-1'), 1);
+    await assert.rejects(first, /click cancelled: extension disconnected/);
+    assert.strictEqual(table.has('b'), true);
+
+    table.handleReply({ type: 'typeResult', requestId: 'b' }, 'ext-2');
+    await second;
+  });
+
+  test('should deliver progress without settling the request', async () => {
+    const { table } = createTable();
+    const updates = [];
+    const promise = table.register('a', {
+      action: 'wait',
+      owner: 'ext-1',
+      onProgress: (message) => updates.push(message.progress)
+    });
+
+    assert.strictEqual(table.handleProgress({ type: 'progress', requestId: 'a', progress: 1 }, 'ext-1'), true);
+    assert.strictEqual(table.handleProgress({ type: 'progress', requestId: 'a', progress: 2 }, 'ext-2'), false);
+    assert.strictEqual(table.handleProgress({ type: 'progress', requestId: 'b', progress: 3 }), false);
+    assert.deepStrictEqual(updates, [1]);
+    assert.strictEqual(table.has('a'), true);
+
+    table.handleReply({ type: 'waitResult', requestId: 'a' }, 'ext-1');
+    await promise;
+    assert.strictEqual(table.handleProgress({ type: 'progress', requestId: 'a', progress: 4 }), false);
+  });
+
+  test('should report abandoned requests but not error replies', async () => {
+    const { table } = createTable();
+    const abandoned = [];
+    const register = (requestId, options = {}) =>
+      table.register(requestId, { action: 'click', onAbandon: () => abandoned.push(requestId), ...options });
+
+    const settled = [
+      assert.rejects(register('a', { timeout: 10 }), /timeout/),
+      assert.rejects(register('b'), /cancelled by client/),
+      assert.rejects(register('c'), /does not support/),
+      assert.rejects(register('d', { responseType: 'clickResult' }), /Unexpected reply type/),
+      register('e').then((reply) => assert.strictEqual(reply.success, false))
+    ];
+
+    table.cancel('b', 'cancelled by client');
+    table.handleReply({ type: 'unknownMessageError', requestId: 'c' });
+    table.handleReply({ type: 'typeResult', requestId: 'd' });
+    table.handleReply({ type: 'clickResult', requestId: 'e', success: false });
+
+    await Promise.all(settled);
+    assert.deepStrictEqual(abandoned, ['b', 'a']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * 🦁 MCP Prompts Test Suite
+ *
+ * Tests the built-in workflow prompts, placeholder filling, required
+ * arguments and loading of team prompts from a directory.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  BUILTIN_PROMPTS,
+  PromptError,
+  createTemplatePrompt,
+  describePrompts,
+  fillTemplate,
+  getPrompt,
+  loadPromptDirectory,
+  loadPrompts
+} from '../mcp-server/modules/prompts.mjs';
+
+const textOf = (result) => result.messages.map((message) => message.content.text).join('\n');
+
+describe('Built-in Prompts', () => {
+  const { prompts } = loadPrompts();
+
+  test('should list the built-in prompts with their arguments', () => {
+    const listed = describePrompts(prompts);
+    assert.deepStrictEqual(
+      listed.map((prompt) => prompt.name),
+      ['debug_console_errors', 'verify_form_submission', 'audit_accessibility']
+    );
+    assert.strictEqual('render' in listed[0], false);
+    assert.ok(listed[2].arguments.some((arg) => arg.name === 'url' && arg.required));
+  });
+
+  test('should compose the tool sequence for the given arguments', () => {
+    const result = getPrompt(prompts, 'audit_accessibility', { url: 'https://example.com' });
+    assert.strictEqual(result.messages[0].role, 'user');
+    assert.match(textOf(result), /browser_navigate with url "https:\/\/example\.com"/);
+    assert.match(textOf(result), /browser_audit with categories \["accessibility"\]/);
+  });
+
+  test('should adapt to optional arguments', () => {
+    const withoutUrl = textOf(getPrompt(prompts, 'debug_console_errors'));
+    assert.doesNotMatch(withoutUrl, /browser_navigate/);
+
+    const form = textOf(getPrompt(prompts, 'verify_form_submission', { url: 'https://example.com/signup' }));
+    assert.match(form, /browser_wait for "form"/);
+  });
+
+  test('should reject unknown prompts and missing required arguments', () => {
+    assert.throws(() => getPrompt(prompts, 'nope'), PromptError);
+    assert.throws(() => getPrompt(prompts, 'audit_accessibility', { url: '' }), /Missing required argument: url/);
+  });
+
+  test('should give every built-in prompt a title and description', () => {
+    for (const prompt of BUILTIN_PROMPTS) {
+      assert.ok(prompt.title, prompt.name);
+      assert.ok(prompt.description, prompt.name);
+    }
+  });
+});
+
+describe('Team Prompts', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    fs.writeFileSync(
+      path.join(directory, 'checkout.json'),
+      JSON.stringify({
+        name: 'checkout_smoke_test',
+        description: 'Walk through checkout',
+        arguments: [{ name: 'url', required: true }, { name: 'coupon' }],
+        messages: [
+          { role: 'user', text: 'Open {{url}} and check out with coupon "{{ coupon }}".' },
+          { role: 'assistant', text: 'I will start with browser_navigate.' }
+        ]
+      })
+    );
+    fs.writeFileSync(
+      path.join(directory, 'override.json'),
+      JSON.stringify({ name: 'audit_accessibility', template: 'Team audit of {{url}}' })
+    );
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{not json');
+    fs.writeFileSync(path.join(directory, 'README.md'), 'ignored');
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should load JSON prompt files and report unusable ones', () => {
+    const { prompts, errors } = loadPromptDirectory(directory);
+    assert.deepStrictEqual(prompts.map((prompt) => prompt.name), ['checkout_smoke_test', 'audit_accessibility']);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /^broken\.json: /);
+  });
+
+  test('should fill placeholders and enforce required arguments', () => {
+    const { prompts } = loadPrompts(directory);
+    const result = getPrompt(prompts, 'checkout_smoke_test', { url: 'https://shop.test', coupon: 'SAVE10' });
+    assert.strictEqual(result.messages[0].content.text, 'Open https://shop.test and check out with coupon "SAVE10".');
+    assert.strictEqual(result.messages[1].role, 'assistant');
+    assert.throws(() => getPrompt(prompts, 'checkout_smoke_test', {}), PromptError);
+  });
+
+  test('should let team prompts replace built-ins of the same name', () => {
+    const { prompts } = loadPrompts(directory);
+    const result = getPrompt(prompts, 'audit_accessibility', { url: 'https://example.com' });
+    assert.strictEqual(textOf(result), 'Team audit of https://example.com');
+  });
+
+  test('should treat a missing directory as empty', () => {
+    assert.deepStrictEqual(loadPromptDirectory(path.join(directory, 'missing')), { prompts: [], errors: [] });
+  });
+
+  test('should validate prompt definitions', () => {
+    assert.throws(() => createTemplatePrompt({ name: 'bad name', template: 'x' }), PromptError);
+    assert.throws(() => createTemplatePrompt({ name: 'ok' }), PromptError);
+    assert.throws(
+      () => createTemplatePrompt({ name: 'ok', messages: [{ role: 'system', text: 'x' }] }),
+      PromptError
+    );
+    assert.strictEqual(fillTemplate('{{a}}-{{b}}', { a: 1 }), '1-');
+  });
+});
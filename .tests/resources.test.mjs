@@ -0,0 +1,119 @@
+/**
+ * 🦁 MCP Resources Test Suite
+ *
+ * Tests screenshot resource URIs, listing and reading, the mapping of
+ * bridge events to updated resources, subscription bookkeeping and
+ * parsing of the bridge event stream.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CONSOLE_ERRORS_URI,
+  CURRENT_URL_URI,
+  NETWORK_ERRORS_URI,
+  ResourceSubscriptions,
+  listScreenshotResources,
+  parseScreenshotUri,
+  readScreenshotResource,
+  resourceUrisForEvent
+} from '../mcp-server/modules/resources.mjs';
+import { parseSseEvents } from '../mcp-server/modules/bridge-events.mjs';
+
+describe('Screenshot Resources', () => {
+  let screenshotDir;
+
+  before(() => {
+    screenshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-'));
+    fs.writeFileSync(path.join(screenshotDir, 'older.png'), 'old');
+    fs.writeFileSync(path.join(screenshotDir, 'newer.png'), 'new image');
+    fs.writeFileSync(path.join(screenshotDir, 'notes.txt'), 'not an image');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(path.join(screenshotDir, 'older.png'), past, past);
+  });
+
+  after(() => {
+    fs.rmSync(screenshotDir, { recursive: true, force: true });
+  });
+
+  test('should parse screenshot filenames and reject path traversal', () => {
+    assert.strictEqual(parseScreenshotUri('browser://screenshots/shot.png'), 'shot.png');
+    assert.strictEqual(parseScreenshotUri('browser://screenshots/a%20b.jpg'), 'a b.jpg');
+    assert.strictEqual(parseScreenshotUri('browser://screenshots/..%2Fsecret.png'), null);
+    assert.strictEqual(parseScreenshotUri('browser://screenshots/.hidden.png'), null);
+    assert.strictEqual(parseScreenshotUri('browser://screenshots/notes.txt'), null);
+    assert.strictEqual(parseScreenshotUri(CONSOLE_ERRORS_URI), null);
+  });
+
+  test('should list image files newest first', () => {
+    const resources = listScreenshotResources(screenshotDir);
+    assert.deepStrictEqual(
+      resources.map((resource) => resource.uri),
+      ['browser://screenshots/newer.png', 'browser://screenshots/older.png']
+    );
+    assert.strictEqual(resources[0].mimeType, 'image/png');
+    assert.strictEqual(resources[0].size, 9);
+  });
+
+  test('should return no screenshots when the directory is missing', () => {
+    assert.deepStrictEqual(listScreenshotResources(path.join(screenshotDir, 'missing')), []);
+  });
+
+  test('should read a screenshot as a base64 blob', () => {
+    const contents = readScreenshotResource(screenshotDir, 'browser://screenshots/older.png');
+    assert.deepStrictEqual(contents, {
+      uri: 'browser://screenshots/older.png',
+      mimeType: 'image/png',
+      blob: Buffer.from('old').toString('base64')
+    });
+    assert.strictEqual(readScreenshotResource(screenshotDir, 'browser://screenshots/gone.png'), null);
+  });
+});
+
+describe('Resource Updates', () => {
+  test('should map bridge events to the resources they change', () => {
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'console', data: { level: 'error' } }), [CONSOLE_ERRORS_URI]);
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'console', data: { level: 'log' } }), []);
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'networkError', data: {} }), [NETWORK_ERRORS_URI]);
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'url', data: { active: true } }), [CURRENT_URL_URI]);
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'url', data: { active: false } }), []);
+    assert.deepStrictEqual(resourceUrisForEvent({ type: 'other' }), []);
+  });
+
+  test('should track subscribers per resource', () => {
+    const subscriptions = new ResourceSubscriptions();
+    const first = { name: 'first' };
+    const second = { name: 'second' };
+
+    subscriptions.subscribe(CONSOLE_ERRORS_URI, first);
+    subscriptions.subscribe(CONSOLE_ERRORS_URI, second);
+    subscriptions.subscribe(CURRENT_URL_URI, first);
+    assert.deepStrictEqual(subscriptions.subscribers(CONSOLE_ERRORS_URI), [first, second]);
+    assert.strictEqual(subscriptions.size, 2);
+
+    subscriptions.unsubscribe(CONSOLE_ERRORS_URI, second);
+    assert.deepStrictEqual(subscriptions.subscribers(CONSOLE_ERRORS_URI), [first]);
+    assert.strictEqual(subscriptions.hasTransport(second), false);
+
+    subscriptions.removeTransport(first);
+    assert.strictEqual(subscriptions.size, 0);
+    assert.deepStrictEqual(subscriptions.subscribers(CURRENT_URL_URI), []);
+  });
+});
+
+describe('Bridge Event Stream Parsing', () => {
+  test('should parse complete events and keep the incomplete remainder', () => {
+    const { events, rest } = parseSseEvents(
+      ': connected\n\nevent: console\ndata: {"level":"error"}\n\nevent: url\ndata: {"url":'
+    );
+    assert.deepStrictEqual(events, [{ type: 'console', data: { level: 'error' } }]);
+    assert.strictEqual(rest, 'event: url\ndata: {"url":');
+
+    const next = parseSseEvents(rest + '"https://example.com/"}\n\n');
+    assert.deepStrictEqual(next.events, [{ type: 'url', data: { url: 'https://example.com/' } }]);
+    assert.strictEqual(next.rest, '');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * 🦁 MCP Streamable HTTP Transport Test Suite
+ *
+ * Tests session assignment on initialize, JSON and SSE responses to POST,
+ * notification acknowledgement, server-initiated messages on the GET
+ * stream, session termination and Origin/protocol-version checks.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { StreamableHttpServer } from '../mcp-server/modules/streamable-http.mjs';
+
+// Echo dispatcher: answers every request, emitting a notification first
+function onMessage(message, transport) {
+  if (message.id === undefined) {
+    transport.send({ jsonrpc: '2.0', method: 'notifications/message', params: { data: message.method } });
+    return;
+  }
+  transport.send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+  transport.send({ jsonrpc: '2.0', id: message.id, result: { method: message.method } });
+}
+
+describe('Streamable HTTP Transport', () => {
+  let server;
+  let url;
+
+  const post = (message, headers = {}) =>
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof message === 'string' ? message : JSON.stringify(message)
+    });
+
+  const initialize = async () => {
+    const response = await post(
+      { jsonrpc: '2.0', id: 0, method: 'initialize', params: {} },
+      { Accept: 'application/json' }
+    );
+    await response.json();
+    return response.headers.get('mcp-session-id');
+  };
+
+  before(async () => {
+    server = new StreamableHttpServer({ onMessage, port: 0 });
+    await server.start();
+    url = `http://127.0.0.1:${server.port}/mcp`;
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  test('should assign a session ID on initialize', async () => {
+    const sessionId = await initialize();
+    assert.match(sessionId, /^[0-9a-f-]{36}$/);
+    assert.ok(server.sessions.has(sessionId));
+  });
+
+  test('should answer with application/json when SSE is not accepted', async () => {
+    const sessionId = await initialize();
+    const response = await post(
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      { Accept: 'application/json', 'Mcp-Session-Id': sessionId }
+    );
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.deepStrictEqual(await response.json(), {
+      jsonrpc: '2.0',
+      id: 1,
+      result: { method: 'tools/list' }
+    });
+  });
+
+  test('should stream notifications then the response over SSE', async () => {
+    const sessionId = await initialize();
+    const response = await post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/call' },
+      { Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId }
+    );
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = (await response.text())
+      .split('\n\n')
+      .filter(Boolean)
+      .map((event) => JSON.parse(event.split('data: ')[1]));
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].method, 'notifications/progress');
+    assert.strictEqual(events[1].id, 2);
+  });
+
+  test('should acknowledge notifications with 202 and deliver server messages on GET', async () => {
+    const sessionId = await initialize();
+    const controller = new AbortController();
+    const stream = await fetch(url, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId },
+      signal: controller.signal
+    });
+    assert.strictEqual(stream.status, 200);
+
+    const response = await post(
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { 'Mcp-Session-Id': sessionId }
+    );
+    assert.strictEqual(response.status, 202);
+
+    const reader = stream.body.getReader();
+    const { value } = await reader.read();
+    const event = new TextDecoder().decode(value);
+    assert.match(event, /"method":"notifications\/message"/);
+    assert.match(event, /notifications\/initialized/);
+    controller.abort();
+  });
+
+  test('should reject missing and unknown sessions', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    assert.strictEqual(missing.status, 400);
+
+    const unknown = await post(
+      { jsonrpc: '2.0', id: 3, method: 'tools/list' },
+      { 'Mcp-Session-Id': 'not-a-session' }
+    );
+    assert.strictEqual(unknown.status, 404);
+  });
+
+  test('should end a session on DELETE', async () => {
+    const sessionId = await initialize();
+    const response = await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(server.sessions.has(sessionId), false);
+
+    const after = await post(
+      { jsonrpc: '2.0', id: 4, method: 'tools/list' },
+      { 'Mcp-Session-Id': sessionId }
+    );
+    assert.strictEqual(after.status, 404);
+  });
+
+  test('should reject malformed bodies, foreign origins and unknown protocol versions', async () => {
+    const sessionId = await initialize();
+
+    const malformed = await post('{not json', { 'Mcp-Session-Id': sessionId });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual((await malformed.json()).error.code, -32700);
+
+    const foreign = await post(
+      { jsonrpc: '2.0', id: 5, method: 'tools/list' },
+      { 'Mcp-Session-Id': sessionId, Origin: 'https://attacker.example' }
+    );
+    assert.strictEqual(foreign.status, 403);
+
+    const local = await post(
+      { jsonrpc: '2.0', id: 6, method: 'tools/list' },
+      { Accept: 'application/json', 'Mcp-Session-Id': sessionId, Origin: 'http://localhost:5173' }
+    );
+    assert.strictEqual(local.status, 200);
+
+    const version = await post(
+      { jsonrpc: '2.0', id: 7, method: 'tools/list' },
+      { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': '1999-01-01' }
+    );
+    assert.strictEqual(version.status, 400);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * 🦁 MCP Tool Operations Test Suite
+ *
+ * Tests tracking of running tool calls: progress notifications, strictly
+ * increasing progress values, cancellation and per-session request keys.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { OperationTracker, operationKey } from '../mcp-server/modules/tool-operations.mjs';
+
+describe('Tool Operations', () => {
+  test('should key requests by session and request ID', () => {
+    assert.strictEqual(operationKey({ name: 'stdio' }, 7), 'stdio:7');
+    assert.strictEqual(operationKey({ name: 'http', sessionId: 'abc' }, 'x'), 'abc:x');
+    assert.notStrictEqual(
+      operationKey({ name: 'http', sessionId: 'a' }, 1),
+      operationKey({ name: 'http', sessionId: 'b' }, 1)
+    );
+  });
+
+  test('should emit strictly increasing progress for calls with a token', () => {
+    const tracker = new OperationTracker();
+    const notifications = [];
+    const operation = tracker.start('stdio:1', {
+      progressToken: 'token-1',
+      onProgress: (params) => notifications.push(params)
+    });
+
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 0, message: 'Started' }), true);
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 2, total: 4 }), true);
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 2, total: 4 }), false);
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 1 }), false);
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 'x' }), false);
+
+    assert.deepStrictEqual(notifications, [
+      { progressToken: 'token-1', progress: 0, message: 'Started' },
+      { progressToken: 'token-1', progress: 2, total: 4 }
+    ]);
+  });
+
+  test('should not emit progress without a token', () => {
+    const tracker = new OperationTracker();
+    const notifications = [];
+    const operation = tracker.start('stdio:1', { onProgress: (params) => notifications.push(params) });
+
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 1 }), false);
+    assert.deepStrictEqual(notifications, []);
+    assert.strictEqual(tracker.hasProgressListeners, false);
+  });
+
+  test('should cancel a running call and stop its progress', () => {
+    const tracker = new OperationTracker();
+    const operation = tracker.start('abc:5', { progressToken: 1 });
+
+    assert.strictEqual(tracker.cancel('abc:6'), false);
+    assert.strictEqual(tracker.cancel('abc:5', 'user request'), true);
+    assert.strictEqual(operation.signal.aborted, true);
+    assert.strictEqual(operation.cancelReason, 'user request');
+    assert.strictEqual(tracker.cancel('abc:5'), false);
+    assert.strictEqual(tracker.reportProgress(operation, { progress: 1 }), false);
+  });
+
+  test('should look up operations by ID until finished', () => {
+    const tracker = new OperationTracker();
+    const first = tracker.start('stdio:1', { progressToken: 'a' });
+    const second = tracker.start('stdio:2');
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.strictEqual(tracker.get(first.id), first);
+    assert.strictEqual(tracker.size, 2);
+    assert.strictEqual(tracker.hasProgressListeners, true);
+
+    tracker.finish(first);
+    assert.strictEqual(tracker.get(first.id), null);
+    assert.strictEqual(tracker.size, 1);
+    assert.strictEqual(tracker.hasProgressListeners, false);
+    assert.strictEqual(tracker.cancel('stdio:1'), false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * 🦁 Upload Files Test Suite
+ *
+ * Tests the upload directory allow-list (relative and absolute paths,
+ * traversal and symlink escapes), size limits, MIME types and the base64
+ * payload sent to the extension.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MAX_FILE_BYTES,
+  UploadError,
+  getUploadDir,
+  mimeTypeFor,
+  readUploadFiles,
+  resolveUploadPath
+} from '../mcp-server/modules/upload-files.mjs';
+
+describe('Upload Files', () => {
+  let root;
+  let uploadDir;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    uploadDir = path.join(root, 'uploads');
+    fs.mkdirSync(path.join(uploadDir, 'docs'), { recursive: true });
+    fs.writeFileSync(path.join(uploadDir, 'avatar.png'), 'png bytes');
+    fs.writeFileSync(path.join(uploadDir, 'docs', 'cv.pdf'), '%PDF');
+    fs.writeFileSync(path.join(root, 'secret.txt'), 'do not upload');
+    fs.symlinkSync(path.join(root, 'secret.txt'), path.join(uploadDir, 'link.txt'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should default to .uploads/ and honour MCP_UPLOAD_DIR', () => {
+    assert.strictEqual(path.basename(getUploadDir({})), '.uploads');
+    assert.strictEqual(getUploadDir({ MCP_UPLOAD_DIR: uploadDir }), uploadDir);
+  });
+
+  test('should resolve relative and absolute paths inside the directory', () => {
+    const real = fs.realpathSync(uploadDir);
+    assert.strictEqual(resolveUploadPath('avatar.png', uploadDir), path.join(real, 'avatar.png'));
+    assert.strictEqual(resolveUploadPath('docs/cv.pdf', uploadDir), path.join(real, 'docs', 'cv.pdf'));
+    assert.strictEqual(
+      resolveUploadPath(path.join(uploadDir, 'avatar.png'), uploadDir),
+      path.join(real, 'avatar.png')
+    );
+  });
+
+  test('should reject paths that leave the directory', () => {
+    assert.throws(() => resolveUploadPath('../secret.txt', uploadDir), /outside the upload directory/);
+    assert.throws(() => resolveUploadPath(path.join(root, 'secret.txt'), uploadDir), UploadError);
+    assert.throws(() => resolveUploadPath('link.txt', uploadDir), /outside the upload directory/);
+  });
+
+  test('should reject missing files, directories and a missing upload directory', () => {
+    assert.throws(() => resolveUploadPath('nope.png', uploadDir), /File not found/);
+    assert.throws(() => resolveUploadPath('docs', uploadDir), /is not a file/);
+    assert.throws(() => resolveUploadPath('', uploadDir), UploadError);
+    assert.throws(() => resolveUploadPath('a.png', path.join(root, 'missing')), /does not exist/);
+  });
+
+  test('should read files as base64 with name, size and MIME type', () => {
+    const [avatar, cv] = readUploadFiles(['avatar.png', 'docs/cv.pdf'], uploadDir);
+    assert.deepStrictEqual(avatar, {
+      name: 'avatar.png',
+      mimeType: 'image/png',
+      size: 9,
+      data: Buffer.from('png bytes').toString('base64')
+    });
+    assert.strictEqual(cv.name, 'cv.pdf');
+    assert.strictEqual(cv.mimeType, 'application/pdf');
+    assert.strictEqual(mimeTypeFor('data.BIN'), 'application/octet-stream');
+  });
+
+  test('should enforce the size limit and require at least one file', () => {
+    fs.writeFileSync(path.join(uploadDir, 'huge.bin'), Buffer.alloc(MAX_FILE_BYTES + 1));
+    assert.throws(() => readUploadFiles(['huge.bin'], uploadDir), /max \d+ per file/);
+    assert.throws(() => readUploadFiles([], uploadDir), /At least one file/);
+  });
+});
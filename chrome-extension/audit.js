@@ -0,0 +1,612 @@
+/**
+ * Page Audit Collector for Browser Tools MCP Extension
+ *
+ * Implements browser_audit by computing Lighthouse-style category scores
+ * directly from the live DOM and the Performance APIs of the inspected page.
+ *
+ * Loaded by the background service worker (importScripts) and injected into
+ * the target tab with chrome.scripting.executeScript({ func, args }), so
+ * collectPageAudit must stay fully self-contained: no references to anything
+ * outside its own body.
+ *
+ * Categories:
+ * - accessibility: alt text, labels, accessible names, lang, headings, contrast
+ * - seo: title, meta description, viewport, h1, canonical, crawlability
+ * - best-practices: HTTPS, mixed content, doctype, charset, safe links
+ * - performance: TTFB, FCP, LCP, CLS, DOM size, transfer size, requests
+ * - pwa: manifest, service worker, theme color, touch icon
+ */
+
+/**
+ * Collect audit results for the requested categories
+ * @param {string[]} categories - Category ids to audit
+ * @returns {Promise<Object>} Per-category results keyed by category id
+ */
+async function collectPageAudit(categories) {
+  const MAX_ITEMS = 10; // Offending elements reported per audit
+
+  // Short, human-readable description of an element for reports
+  const describe = (element) => {
+    let descriptor = element.tagName.toLowerCase();
+    if (element.id) descriptor += `#${element.id}`;
+    if (typeof element.className === "string" && element.className.trim()) {
+      descriptor += `.${element.className.trim().split(/\s+/).join(".")}`;
+    }
+    return descriptor.substring(0, 120);
+  };
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== "hidden" &&
+      style.display !== "none"
+    );
+  };
+
+  const accessibleName = (element) => {
+    const labelledBy = element.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => document.getElementById(id)?.textContent || "")
+        .join(" ")
+        .trim();
+      if (text) return text;
+    }
+    return (
+      element.getAttribute("aria-label") ||
+      element.getAttribute("title") ||
+      element.textContent ||
+      element.querySelector("img[alt]")?.getAttribute("alt") ||
+      element.value ||
+      ""
+    ).trim();
+  };
+
+  // Build a pass/fail audit from a list of offending elements
+  const elementAudit = (id, title, offenders) => ({
+    id,
+    title,
+    score: offenders.length === 0 ? 1 : 0,
+    passed: offenders.length === 0,
+    displayValue:
+      offenders.length === 0 ? "" : `${offenders.length} element(s) failing`,
+    details: offenders.slice(0, MAX_ITEMS).map(describe),
+  });
+
+  const booleanAudit = (id, title, passed, displayValue = "") => ({
+    id,
+    title,
+    score: passed ? 1 : 0,
+    passed,
+    displayValue,
+  });
+
+  // Linear score between a "good" and a "poor" threshold
+  const metricAudit = (id, title, value, good, poor, unit = "ms") => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return { id, title, score: null, passed: null, displayValue: "n/a" };
+    }
+    const score =
+      value <= good ? 1 : value >= poor ? 0 : (poor - value) / (poor - good);
+    const rounded =
+      unit === "" ? Math.round(value * 1000) / 1000 : Math.round(value);
+    return {
+      id,
+      title,
+      score: Math.round(score * 100) / 100,
+      passed: value <= good,
+      numericValue: value,
+      displayValue: `${rounded}${unit}`,
+    };
+  };
+
+  // Weighted mean of audit scores, ignoring audits that could not run
+  const summarize = (title, description, audits) => {
+    const scored = audits.filter((audit) => audit.score !== null);
+    const score =
+      scored.length === 0
+        ? null
+        : scored.reduce((total, audit) => total + audit.score, 0) /
+          scored.length;
+    return {
+      title,
+      description,
+      score: score === null ? null : Math.round(score * 100) / 100,
+      auditRefs: audits,
+    };
+  };
+
+  // Read buffered entries for observer-only entry types (LCP, CLS)
+  const observeBuffered = (type) =>
+    new Promise((resolve) => {
+      const entries = [];
+      try {
+        const observer = new PerformanceObserver((list) => {
+          entries.push(...list.getEntries());
+        });
+        observer.observe({ type, buffered: true });
+        setTimeout(() => {
+          observer.disconnect();
+          resolve(entries);
+        }, 100);
+      } catch (error) {
+        resolve(entries);
+      }
+    });
+
+  // Relative luminance and contrast per WCAG 2.x
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1]
+      .split(",")
+      .map((part) => parseFloat(part));
+    return { r, g, b, a };
+  };
+
+  const luminance = ({ r, g, b }) => {
+    const channel = (c) => {
+      const value = c / 255;
+      return value <= 0.03928
+        ? value / 12.92
+        : ((value + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+
+  const backgroundOf = (element) => {
+    for (let node = element; node; node = node.parentElement) {
+      const color = parseColor(window.getComputedStyle(node).backgroundColor);
+      if (color && color.a > 0) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+
+  const auditAccessibility = () => {
+    const images = [...document.querySelectorAll("img")].filter(
+      (img) =>
+        !img.hasAttribute("alt") && img.getAttribute("role") !== "presentation",
+    );
+
+    const unlabeledInputs = [
+      ...document.querySelectorAll(
+        "input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=reset]), select, textarea",
+      ),
+    ].filter(
+      (input) =>
+        !(
+          input.id &&
+          document.querySelector(`label[for="${CSS.escape(input.id)}"]`)
+        ) &&
+        !input.closest("label") &&
+        !input.getAttribute("aria-label") &&
+        !input.getAttribute("aria-labelledby") &&
+        !input.getAttribute("title"),
+    );
+
+    const unnamedButtons = [
+      ...document.querySelectorAll("button, [role=button]"),
+    ].filter((button) => !accessibleName(button));
+
+    const unnamedLinks = [...document.querySelectorAll("a[href]")].filter(
+      (link) => !accessibleName(link),
+    );
+
+    const skippedHeadings = [];
+    let previousLevel = 0;
+    document.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach((heading) => {
+      const level = Number(heading.tagName[1]);
+      if (previousLevel && level > previousLevel + 1) {
+        skippedHeadings.push(heading);
+      }
+      previousLevel = level;
+    });
+
+    const seenIds = new Map();
+    document.querySelectorAll("[id]").forEach((element) => {
+      seenIds.set(element.id, (seenIds.get(element.id) || 0) + 1);
+    });
+    const duplicateIds = [...seenIds.entries()]
+      .filter(([, count]) => count > 1)
+      .map(([id]) => document.getElementById(id));
+
+    // Sample visible text elements for contrast (WCAG AA)
+    const lowContrast = [];
+    const textElements = [
+      ...document.querySelectorAll(
+        "p, span, a, li, td, th, label, button, h1, h2, h3, h4, h5, h6",
+      ),
+    ]
+      .filter(
+        (element) =>
+          [...element.childNodes].some(
+            (node) =>
+              node.nodeType === Node.TEXT_NODE && node.textContent.trim(),
+          ) && isVisible(element),
+      )
+      .slice(0, 300);
+
+    textElements.forEach((element) => {
+      const style = window.getComputedStyle(element);
+      const foreground = parseColor(style.color);
+      if (!foreground) return;
+      const lighter = Math.max(
+        luminance(foreground),
+        luminance(backgroundOf(element)),
+      );
+      const darker = Math.min(
+        luminance(foreground),
+        luminance(backgroundOf(element)),
+      );
+      const ratio = (lighter + 0.05) / (darker + 0.05);
+      const fontSize = parseFloat(style.fontSize);
+      const isLarge =
+        fontSize >= 24 ||
+        (fontSize >= 18.66 && Number(style.fontWeight) >= 700);
+      if (ratio < (isLarge ? 3 : 4.5)) {
+        lowContrast.push(element);
+      }
+    });
+
+    return summarize(
+      "Accessibility",
+      "Checks that the page can be perceived and operated with assistive technology",
+      [
+        elementAudit("image-alt", "Images have alt attributes", images),
+        elementAudit(
+          "label",
+          "Form elements have associated labels",
+          unlabeledInputs,
+        ),
+        elementAudit(
+          "button-name",
+          "Buttons have an accessible name",
+          unnamedButtons,
+        ),
+        elementAudit(
+          "link-name",
+          "Links have an accessible name",
+          unnamedLinks,
+        ),
+        booleanAudit(
+          "html-has-lang",
+          "<html> element has a lang attribute",
+          !!document.documentElement.getAttribute("lang"),
+        ),
+        booleanAudit(
+          "document-title",
+          "Document has a <title> element",
+          !!document.title.trim(),
+        ),
+        elementAudit(
+          "heading-order",
+          "Heading levels only increase by one",
+          skippedHeadings,
+        ),
+        elementAudit("duplicate-id", "IDs are unique", duplicateIds),
+        elementAudit(
+          "color-contrast",
+          "Text has sufficient color contrast",
+          lowContrast,
+        ),
+      ],
+    );
+  };
+
+  const auditSeo = () => {
+    const title = document.title.trim();
+    const description = document
+      .querySelector('meta[name="description"]')
+      ?.getAttribute("content")
+      ?.trim();
+    const robots =
+      document.querySelector('meta[name="robots"]')?.getAttribute("content") ||
+      "";
+    const genericLinkText = [
+      "click here",
+      "here",
+      "more",
+      "read more",
+      "link",
+      "learn more",
+    ];
+    const vagueLinks = [...document.querySelectorAll("a[href]")].filter(
+      (link) => genericLinkText.includes(link.textContent.trim().toLowerCase()),
+    );
+    const h1Count = document.querySelectorAll("h1").length;
+
+    return summarize(
+      "SEO",
+      "Checks that the page is optimized for search engine results ranking",
+      [
+        booleanAudit(
+          "document-title",
+          "Document has a descriptive title",
+          title.length >= 10 && title.length <= 70,
+          `${title.length} characters`,
+        ),
+        booleanAudit(
+          "meta-description",
+          "Document has a meta description",
+          !!description,
+        ),
+        booleanAudit(
+          "viewport",
+          'Has a <meta name="viewport"> tag',
+          !!document.querySelector('meta[name="viewport"]'),
+        ),
+        booleanAudit(
+          "single-h1",
+          "Page has exactly one <h1>",
+          h1Count === 1,
+          `${h1Count} found`,
+        ),
+        booleanAudit(
+          "canonical",
+          "Document has a canonical link",
+          !!document.querySelector('link[rel="canonical"]'),
+        ),
+        booleanAudit(
+          "is-crawlable",
+          "Page isn't blocked from indexing",
+          !/noindex/i.test(robots),
+        ),
+        booleanAudit(
+          "html-has-lang",
+          "Document declares its language",
+          !!document.documentElement.getAttribute("lang"),
+        ),
+        elementAudit("link-text", "Links have descriptive text", vagueLinks),
+      ],
+    );
+  };
+
+  const auditBestPractices = () => {
+    const isHttps = location.protocol === "https:";
+    const mixedContent = isHttps
+      ? [
+          ...document.querySelectorAll(
+            "img[src], script[src], link[href], iframe[src], video[src], audio[src]",
+          ),
+        ].filter((element) =>
+          (
+            element.getAttribute("src") ||
+            element.getAttribute("href") ||
+            ""
+          ).startsWith("http:"),
+        )
+      : [];
+    const unsafeLinks = [
+      ...document.querySelectorAll('a[target="_blank"]'),
+    ].filter(
+      (link) => !/noopener|noreferrer/i.test(link.getAttribute("rel") || ""),
+    );
+    const distortedImages = [...document.querySelectorAll("img")].filter(
+      (img) => {
+        if (
+          !img.naturalWidth ||
+          !img.naturalHeight ||
+          !img.width ||
+          !img.height
+        )
+          return false;
+        const natural = img.naturalWidth / img.naturalHeight;
+        const displayed = img.width / img.height;
+        return Math.abs(natural - displayed) / natural > 0.05;
+      },
+    );
+    const insecurePasswords = isHttps
+      ? []
+      : [...document.querySelectorAll('input[type="password"]')];
+
+    return summarize(
+      "Best Practices",
+      "Checks for modern web development best practices",
+      [
+        booleanAudit(
+          "is-on-https",
+          "Uses HTTPS",
+          isHttps || ["localhost", "127.0.0.1"].includes(location.hostname),
+        ),
+        elementAudit(
+          "mixed-content",
+          "No insecure resources on a secure page",
+          mixedContent,
+        ),
+        booleanAudit(
+          "doctype",
+          "Page has the HTML doctype",
+          !!document.doctype,
+        ),
+        booleanAudit(
+          "charset",
+          "Properly defines charset",
+          !!document.querySelector(
+            "meta[charset], meta[http-equiv='Content-Type' i]",
+          ),
+        ),
+        elementAudit(
+          "external-anchors-use-rel-noopener",
+          "Links to cross-origin destinations are safe",
+          unsafeLinks,
+        ),
+        elementAudit(
+          "image-aspect-ratio",
+          "Displays images with correct aspect ratio",
+          distortedImages,
+        ),
+        elementAudit(
+          "password-inputs-on-https",
+          "Password fields are only served over HTTPS",
+          insecurePasswords,
+        ),
+      ],
+    );
+  };
+
+  const auditPerformance = async () => {
+    const [navigation] = performance.getEntriesByType("navigation");
+    const firstContentfulPaint = performance
+      .getEntriesByType("paint")
+      .find((entry) => entry.name === "first-contentful-paint");
+    const lcpEntries = await observeBuffered("largest-contentful-paint");
+    const shiftEntries = await observeBuffered("layout-shift");
+    const resources = performance.getEntriesByType("resource");
+
+    const cumulativeLayoutShift = shiftEntries
+      .filter((entry) => !entry.hadRecentInput)
+      .reduce((total, entry) => total + entry.value, 0);
+    const transferSize =
+      resources.reduce((total, entry) => total + (entry.transferSize || 0), 0) +
+      (navigation?.transferSize || 0);
+    const largestContentfulPaint = lcpEntries.length
+      ? lcpEntries[lcpEntries.length - 1].startTime
+      : null;
+
+    const transferAudit = metricAudit(
+      "total-byte-weight",
+      "Avoids enormous network payloads",
+      transferSize / 1024,
+      1600,
+      4000,
+      "KiB",
+    );
+
+    return summarize(
+      "Performance",
+      "Metrics from the Navigation, Paint, Resource and Layout Instability APIs",
+      [
+        metricAudit(
+          "server-response-time",
+          "Time to First Byte",
+          navigation
+            ? navigation.responseStart - navigation.requestStart
+            : null,
+          800,
+          1800,
+        ),
+        metricAudit(
+          "first-contentful-paint",
+          "First Contentful Paint",
+          firstContentfulPaint ? firstContentfulPaint.startTime : null,
+          1800,
+          3000,
+        ),
+        metricAudit(
+          "largest-contentful-paint",
+          "Largest Contentful Paint",
+          largestContentfulPaint,
+          2500,
+          4000,
+        ),
+        metricAudit(
+          "cumulative-layout-shift",
+          "Cumulative Layout Shift",
+          cumulativeLayoutShift,
+          0.1,
+          0.25,
+          "",
+        ),
+        metricAudit(
+          "dom-content-loaded",
+          "DOMContentLoaded",
+          navigation ? navigation.domContentLoadedEventEnd : null,
+          2000,
+          4000,
+        ),
+        metricAudit(
+          "dom-size",
+          "Avoids an excessive DOM size",
+          document.getElementsByTagName("*").length,
+          800,
+          1400,
+          " elements",
+        ),
+        transferAudit,
+        metricAudit(
+          "network-requests",
+          "Keeps request count low",
+          resources.length + 1,
+          50,
+          150,
+          " requests",
+        ),
+      ],
+    );
+  };
+
+  const auditPwa = async () => {
+    let hasServiceWorker = false;
+    try {
+      hasServiceWorker = !!(await navigator.serviceWorker?.getRegistration());
+    } catch (error) {
+      hasServiceWorker = false;
+    }
+
+    return summarize(
+      "PWA",
+      "Checks the basics of an installable Progressive Web App",
+      [
+        booleanAudit(
+          "installable-manifest",
+          "Links a web app manifest",
+          !!document.querySelector('link[rel="manifest"]'),
+        ),
+        booleanAudit(
+          "service-worker",
+          "Registers a service worker",
+          hasServiceWorker,
+        ),
+        booleanAudit(
+          "themed-omnibox",
+          "Sets a theme color",
+          !!document.querySelector('meta[name="theme-color"]'),
+        ),
+        booleanAudit(
+          "apple-touch-icon",
+          "Provides an apple-touch-icon",
+          !!document.querySelector('link[rel="apple-touch-icon"]'),
+        ),
+        booleanAudit(
+          "viewport",
+          'Has a <meta name="viewport"> tag',
+          !!document.querySelector('meta[name="viewport"]'),
+        ),
+      ],
+    );
+  };
+
+  const auditors = {
+    accessibility: auditAccessibility,
+    seo: auditSeo,
+    "best-practices": auditBestPractices,
+    performance: auditPerformance,
+    pwa: auditPwa,
+  };
+
+  const results = {};
+  for (const category of categories) {
+    if (!auditors[category]) continue;
+    try {
+      results[category] = await auditors[category]();
+    } catch (error) {
+      results[category] = {
+        title: category,
+        score: null,
+        error: error.message,
+        auditRefs: [],
+      };
+    }
+  }
+
+  return {
+    url: location.href,
+    title: document.title,
+    fetchTime: new Date().toISOString(),
+    results,
+  };
+}
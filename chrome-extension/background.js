@@ -2,15 +2,48 @@
  * Background Service Worker for Browser Tools MCP Extension
  *
  * Features:
- * - Tab URL tracking and management
+ * - Tab URL tracking and management (list, open, close, switch tabs)
  * - Communication with DevTools panel
- * - Screenshot capture functionality
+ * - Screenshot capture functionality (with inline size budgets and
+ *   stitched full-page captures)
+ * - Page audits (accessibility, SEO, best practices, performance, PWA)
+ * - Progress reporting and cancellation for long-running MCP operations
+ * - Page content extraction (HTML, text, Markdown)
+ * - Accessibility snapshots with element refs usable by click/type/wait
+ * - Keyboard input (keys, chords and sequences) on the focused element
+ * - Pointer interactions: hover, double click, context click, drag and drop
+ * - Form controls: select options, check/uncheck checkboxes and radios,
+ *   fill whole forms in one pass, attach files to file inputs
+ * - Request interception: fulfill, abort or delay requests matching a route
+ * - Network recording for HAR export between start and stop markers
+ * - Cookies (chrome.cookies) and localStorage/sessionStorage of the page,
+ *   to snapshot and restore a login
  * - Extension lifecycle management
  */
 
+// Self-contained page collectors injected with chrome.scripting
+importScripts("audit.js", "content.js", "snapshot.js", "element-actions.js");
+
+// chrome.debugger features: request interception (Fetch domain) and HAR
+// recording (Network domain) share one attachment per tab
+importScripts("debugger-sessions.js", "routes.js", "har-recorder.js");
+
+// Cookies and page storage
+importScripts("browser-state.js");
+
 // Track URLs for each tab
 const tabUrls = new Map();
 
+// Long-running MCP operations (wait, audit, full-page screenshot) by bridge
+// request ID, so the DevTools panel can cancel them
+const activeOperations = new Map();
+
+const WAIT_POLL_INTERVAL = 250;
+// captureVisibleTab allows about two captures per second
+const FULL_PAGE_CAPTURE_INTERVAL = 550;
+// Canvas height limit for stitched full-page screenshots (device pixels)
+const MAX_FULL_PAGE_HEIGHT = 16384;
+
 // Extension lifecycle
 chrome.runtime.onInstalled.addListener((details) => {
   console.log("Browser Tools MCP Extension installed/updated", details);
@@ -29,6 +62,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleGetCurrentUrl(message, sendResponse);
       return true; // Required for async response
 
+    case "GET_CONNECTION_IDENTITY":
+      handleGetConnectionIdentity(message, sendResponse);
+      return true;
+
     case "UPDATE_SERVER_URL":
       handleUpdateServerUrl(message, sendResponse);
       return true;
@@ -37,6 +74,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleCaptureScreenshot(message, sendResponse);
       return true;
 
+    case "BROWSER_SCREENSHOT":
+      handleBrowserScreenshot(message, sendResponse);
+      return true;
+
     case "GET_PAGE_INFO":
       handleGetPageInfo(message, sendResponse);
       return true;
@@ -53,6 +94,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleBrowserWait(message, sendResponse);
       return true;
 
+    case "BROWSER_FILL_FORM":
+      handleBrowserFillForm(message, sendResponse);
+      return true;
+
+    case "BROWSER_PRESS_KEY":
+      handleBrowserPressKey(message, sendResponse);
+      return true;
+
+    case "BROWSER_HOVER":
+    case "BROWSER_DOUBLE_CLICK":
+    case "BROWSER_CONTEXT_CLICK":
+    case "BROWSER_DRAG":
+    case "BROWSER_SELECT_OPTION":
+    case "BROWSER_SET_CHECKED":
+    case "BROWSER_UPLOAD_FILE":
+      handleBrowserElementAction(message, sendResponse);
+      return true;
+
+    case "BROWSER_AUDIT":
+      handleBrowserAudit(message, sendResponse);
+      return true;
+
+    case "BROWSER_GET_CONTENT":
+      handleBrowserGetContent(message, sendResponse);
+      return true;
+
+    case "BROWSER_SNAPSHOT":
+      handleBrowserSnapshot(message, sendResponse);
+      return true;
+
+    case "BROWSER_LIST_TABS":
+      handleBrowserListTabs(message, sendResponse);
+      return true;
+
+    case "BROWSER_OPEN_TAB":
+      handleBrowserOpenTab(message, sendResponse);
+      return true;
+
+    case "BROWSER_CLOSE_TAB":
+      handleBrowserCloseTab(message, sendResponse);
+      return true;
+
+    case "BROWSER_SWITCH_TAB":
+      handleBrowserSwitchTab(message, sendResponse);
+      return true;
+
+    case "BROWSER_ROUTE_ADD":
+      handleBrowserRouteAdd(message, sendResponse);
+      return true;
+
+    case "BROWSER_ROUTE_LIST":
+      handleBrowserRouteList(message, sendResponse);
+      return true;
+
+    case "BROWSER_ROUTE_REMOVE":
+      handleBrowserRouteRemove(message, sendResponse);
+      return true;
+
+    case "BROWSER_HAR_START":
+      handleBrowserHarStart(message, sendResponse);
+      return true;
+
+    case "BROWSER_HAR_STOP":
+      handleBrowserHarStop(message, sendResponse);
+      return true;
+
+    case "BROWSER_GET_COOKIES":
+      handleBrowserGetCookies(message, sendResponse);
+      return true;
+
+    case "BROWSER_SET_COOKIES":
+      handleBrowserSetCookies(message, sendResponse);
+      return true;
+
+    case "BROWSER_CLEAR_COOKIES":
+      handleBrowserClearCookies(message, sendResponse);
+      return true;
+
+    case "BROWSER_GET_STORAGE":
+      handleBrowserGetStorage(message, sendResponse);
+      return true;
+
+    case "BROWSER_SET_STORAGE":
+      handleBrowserSetStorage(message, sendResponse);
+      return true;
+
+    case "CANCEL_OPERATION":
+      sendResponse({ success: cancelOperation(message.requestId) });
+      break;
+
     case "PING":
       sendResponse({ success: true, timestamp: Date.now() });
       break;
@@ -154,6 +285,42 @@ async function handleGetCurrentUrl(message, sendResponse) {
   }
 }
 
+// Identify a DevTools panel connection to the HTTP bridge (profile, window,
+// inspected tab) so the bridge can tell simultaneous connections apart
+async function handleGetConnectionIdentity(message, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(message.tabId);
+    sendResponse({
+      success: true,
+      identity: {
+        profileId: await getProfileId(),
+        incognito: tab.incognito,
+        windowId: tab.windowId,
+        tabId: tab.id,
+        url: tab.url || "",
+        title: tab.title || "",
+        extensionVersion: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting connection identity:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Random per-profile ID, generated once (extension storage is per profile)
+async function getProfileId() {
+  const { profileId } = await chrome.storage.local.get("profileId");
+  if (profileId) {
+    return profileId;
+  }
+
+  const newProfileId = crypto.randomUUID();
+  await chrome.storage.local.set({ profileId: newProfileId });
+  return newProfileId;
+}
+
 async function handleUpdateServerUrl(message, sendResponse) {
   try {
     const { tabId, url, source = "background_update" } = message;
@@ -285,6 +452,337 @@ async function handleCaptureScreenshot(message, sendResponse) {
   }
 }
 
+// Operation tracking for long-running MCP calls: progress goes to the
+// DevTools panel, which forwards it to the bridge; cancellation comes back
+// the same way and is checked by the operation between steps
+function startOperation(message) {
+  const operation = { requestId: message.requestId, cancelled: false };
+  if (operation.requestId) {
+    activeOperations.set(operation.requestId, operation);
+  }
+  return operation;
+}
+
+function finishOperation(operation) {
+  if (activeOperations.get(operation.requestId) === operation) {
+    activeOperations.delete(operation.requestId);
+  }
+}
+
+function cancelOperation(requestId) {
+  const operation = activeOperations.get(requestId);
+  if (!operation) {
+    return false;
+  }
+
+  console.log(`🛑 Cancelling operation ${requestId}`);
+  operation.cancelled = true;
+  return true;
+}
+
+function reportOperationProgress(operation, progress, total, message) {
+  if (!operation.requestId || operation.cancelled) {
+    return;
+  }
+
+  chrome.runtime
+    .sendMessage({
+      type: "OPERATION_PROGRESS",
+      requestId: operation.requestId,
+      progress,
+      total,
+      message,
+    })
+    .catch(() => {
+      // No panel listening; progress is best effort
+    });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Screenshot capture for MCP calls: returns the image data instead of
+// posting it to the bridge, optionally re-encoded to fit a byte budget
+async function handleBrowserScreenshot(message, sendResponse) {
+  console.log("📸 Background handling browser screenshot:", message);
+
+  const operation = startOperation(message);
+
+  try {
+    const {
+      tabId,
+      selector,
+      fullPage = false,
+      save = true,
+      inline = true,
+      format = "png",
+      quality = 80,
+      maxBytes,
+      maxWidth,
+    } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    const tab = await chrome.tabs.get(tabId);
+
+    // captureVisibleTab can only capture the tab shown in its window
+    if (!tab.active) {
+      sendResponse({
+        success: false,
+        error: `Tab ${tabId} is not the active tab in its window; switch to it before taking a screenshot`,
+      });
+      return;
+    }
+
+    // Locate the element first so it is scrolled into the visible viewport
+    let crop = null;
+    if (selector) {
+      crop = await executeFunctionInTab(tabId, locateElementForCapture, [
+        selector,
+      ]);
+      if (!crop) {
+        sendResponse({
+          success: false,
+          error: `Element not found: ${selector}`,
+        });
+        return;
+      }
+    }
+
+    const dataUrl =
+      fullPage && !selector
+        ? await captureFullPage(tab, operation)
+        : await chrome.tabs.captureVisibleTab(tab.windowId, {
+            format: "png",
+          });
+
+    if (operation.cancelled) {
+      sendResponse({
+        success: false,
+        cancelled: true,
+        error: "Screenshot cancelled",
+      });
+      return;
+    }
+
+    const response = { success: true, title: tab.title || "Current Tab" };
+
+    // Full-resolution PNG for the saved file
+    if (save) {
+      const original = crop
+        ? await encodeScreenshot(dataUrl, { format: "png", crop })
+        : { dataUrl };
+      response.data = original.dataUrl;
+    }
+
+    if (inline) {
+      response.inline = await encodeScreenshot(dataUrl, {
+        format,
+        quality,
+        maxBytes,
+        maxWidth,
+        crop,
+      });
+    }
+
+    sendResponse(response);
+  } catch (error) {
+    console.error("❌ Screenshot error:", error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    finishOperation(operation);
+  }
+}
+
+// Capture the whole page by scrolling through it one viewport at a time and
+// stitching the captures; returns a PNG data URL, or null if cancelled
+async function captureFullPage(tab, operation) {
+  const page = await executeFunctionInTab(tab.id, measurePageForCapture);
+  const scale = page.devicePixelRatio;
+  const pageHeight = Math.min(
+    page.scrollHeight,
+    Math.floor(MAX_FULL_PAGE_HEIGHT / scale),
+  );
+  const total = Math.max(1, Math.ceil(pageHeight / page.viewportHeight));
+
+  const canvas = new OffscreenCanvas(
+    Math.round(page.viewportWidth * scale),
+    Math.round(pageHeight * scale),
+  );
+  const context = canvas.getContext("2d");
+
+  try {
+    for (let index = 0; index < total; index++) {
+      if (operation.cancelled) {
+        return null;
+      }
+
+      const targetY = Math.min(
+        index * page.viewportHeight,
+        pageHeight - page.viewportHeight,
+      );
+      const scrollY = await executeFunctionInTab(tab.id, scrollPageTo, [
+        Math.max(0, targetY),
+        0,
+      ]);
+
+      if (index > 0) {
+        await delay(FULL_PAGE_CAPTURE_INTERVAL);
+      }
+
+      const capture = await chrome.tabs.captureVisibleTab(tab.windowId, {
+        format: "png",
+      });
+      const bitmap = await createImageBitmap(
+        await (await fetch(capture)).blob(),
+      );
+      context.drawImage(bitmap, 0, Math.round(scrollY * scale));
+      bitmap.close();
+
+      reportOperationProgress(
+        operation,
+        index + 1,
+        total,
+        `Captured viewport ${index + 1} of ${total}`,
+      );
+    }
+  } finally {
+    await executeFunctionInTab(tab.id, scrollPageTo, [
+      page.scrollY,
+      page.scrollX,
+    ]).catch(() => {});
+  }
+
+  const blob = await canvas.convertToBlob({ type: "image/png" });
+  return blobToDataUrl(blob);
+}
+
+// Injected into the page: page and viewport size in CSS pixels
+function measurePageForCapture() {
+  return {
+    scrollHeight: Math.max(
+      document.documentElement.scrollHeight,
+      document.body ? document.body.scrollHeight : 0,
+    ),
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    devicePixelRatio: window.devicePixelRatio || 1,
+  };
+}
+
+// Injected into the page: scroll instantly and report the resulting offset
+function scrollPageTo(y, x) {
+  window.scrollTo({ top: y, left: x, behavior: "instant" });
+  return window.scrollY;
+}
+
+// Injected into the page: scroll the element into view and report its
+// bounding box in device pixels
+function locateElementForCapture(selector) {
+  const element = document.querySelector(selector);
+  if (!element) {
+    return null;
+  }
+
+  element.scrollIntoView({ behavior: "instant", block: "center" });
+  const rect = element.getBoundingClientRect();
+  const scale = window.devicePixelRatio || 1;
+
+  return {
+    x: Math.max(0, Math.round(rect.left * scale)),
+    y: Math.max(0, Math.round(rect.top * scale)),
+    width: Math.round(rect.width * scale),
+    height: Math.round(rect.height * scale),
+  };
+}
+
+// Re-encode a captured PNG: crop, downscale to maxWidth, and if a byte
+// budget is given fall back to JPEG, lower quality and shrink until it fits
+async function encodeScreenshot(dataUrl, options = {}) {
+  const { crop = null, maxBytes, maxWidth } = options;
+  let format = options.format === "jpeg" ? "jpeg" : "png";
+  let quality = Math.min(Math.max(options.quality ?? 80, 1), 100) / 100;
+
+  const source = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const region = crop
+    ? {
+        x: Math.min(crop.x, source.width - 1),
+        y: Math.min(crop.y, source.height - 1),
+        width: Math.max(1, Math.min(crop.width, source.width - crop.x)),
+        height: Math.max(1, Math.min(crop.height, source.height - crop.y)),
+      }
+    : { x: 0, y: 0, width: source.width, height: source.height };
+
+  let scale = maxWidth && region.width > maxWidth ? maxWidth / region.width : 1;
+  let blob;
+  let width;
+  let height;
+
+  for (;;) {
+    width = Math.max(1, Math.round(region.width * scale));
+    height = Math.max(1, Math.round(region.height * scale));
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas
+      .getContext("2d")
+      .drawImage(
+        source,
+        region.x,
+        region.y,
+        region.width,
+        region.height,
+        0,
+        0,
+        width,
+        height,
+      );
+    blob = await canvas.convertToBlob({
+      type: `image/${format}`,
+      quality: format === "jpeg" ? quality : undefined,
+    });
+
+    if (!maxBytes || blob.size <= maxBytes || width <= 320) {
+      break;
+    }
+
+    // Budget exceeded: switch to JPEG, then trade quality, then size
+    if (format === "png") {
+      format = "jpeg";
+    } else if (quality > 0.5) {
+      quality = Math.max(0.5, quality - 0.15);
+    } else {
+      scale *= 0.75;
+    }
+  }
+
+  source.close();
+
+  return {
+    dataUrl: await blobToDataUrl(blob),
+    mimeType: `image/${format}`,
+    width,
+    height,
+    bytes: blob.size,
+    withinBudget: !maxBytes || blob.size <= maxBytes,
+  };
+}
+
+// Base64 data URL for an image blob
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
 async function handleGetPageInfo(message, sendResponse) {
   try {
     const tabId = message.tabId;
@@ -329,55 +827,28 @@ function notifyUrlChange(tabId, url, source) {
     });
 }
 
-// Interaction handlers
+// Interaction handlers: the target is a CSS selector or a browser_snapshot
+// ref, resolved in the page by performElementAction (element-actions.js)
 async function handleBrowserClick(message, sendResponse) {
   console.log("🖱️ Background handling browser click:", message);
 
   try {
-    const { tabId, selector } = message;
+    const { tabId, selector, ref } = message;
 
     if (!tabId) {
       sendResponse({ success: false, error: "Tab ID is required" });
       return;
     }
 
-    if (!selector) {
-      sendResponse({ success: false, error: "Selector is required" });
+    if (!selector && !ref) {
+      sendResponse({ success: false, error: "Selector or ref is required" });
       return;
     }
 
-    // Execute click script in the target tab
-    const result = await executeScriptInTab(
-      tabId,
-      `
-      // Use the interactions handler from interactions.js
-      if (typeof window.interactionHandler !== 'undefined') {
-        return window.interactionHandler.handleClick({ selector: '${selector.replace(/'/g, "\\'")}' });
-      } else {
-        // Fallback implementation if interactions.js not loaded
-        try {
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          if (!element) {
-            return { success: false, error: 'Element not found: ${selector}' };
-          }
-          element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          await new Promise(resolve => setTimeout(resolve, 100));
-          element.click();
-          return {
-            success: true,
-            message: 'Element clicked successfully',
-            elementInfo: {
-              tagName: element.tagName,
-              className: element.className,
-              id: element.id
-            }
-          };
-        } catch (error) {
-          return { success: false, error: error.message };
-        }
-      }
-    `,
-    );
+    const result = await executeFunctionInTab(tabId, performElementAction, [
+      { selector, ref },
+      "click",
+    ]);
 
     console.log("🖱️ Click result:", result);
     sendResponse(result);
@@ -391,88 +862,28 @@ async function handleBrowserType(message, sendResponse) {
   console.log("⌨️ Background handling browser type:", message);
 
   try {
-    const { tabId, selector, text, clear = false } = message;
+    const { tabId, selector, ref, text, clear = false } = message;
 
     if (!tabId) {
       sendResponse({ success: false, error: "Tab ID is required" });
       return;
     }
 
-    if (!selector) {
-      sendResponse({ success: false, error: "Selector is required" });
+    if (!selector && !ref) {
+      sendResponse({ success: false, error: "Selector or ref is required" });
       return;
     }
 
-    if (!text) {
+    if (typeof text !== "string") {
       sendResponse({ success: false, error: "Text is required" });
       return;
     }
 
-    // Execute type script in the target tab
-    const result = await executeScriptInTab(
-      tabId,
-      `
-      // Use the interactions handler from interactions.js
-      if (typeof window.interactionHandler !== 'undefined') {
-        return window.interactionHandler.handleType({
-          selector: '${selector.replace(/'/g, "\\'")}',
-          text: '${text.replace(/'/g, "\\'")}',
-          clear: ${clear}
-        });
-      } else {
-        // Fallback implementation if interactions.js not loaded
-        try {
-          const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-          if (!element) {
-            return { success: false, error: 'Element not found: ${selector}' };
-          }
-
-          const isInputElement = element.tagName === 'INPUT' ||
-                               element.tagName === 'TEXTAREA' ||
-                               element.isContentEditable;
-
-          if (!isInputElement) {
-            return { success: false, error: 'Element is not a text input field: ${selector}' };
-          }
-
-          element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          await new Promise(resolve => setTimeout(resolve, 100));
-          element.focus();
-
-          if (${clear}) {
-            if (element.isContentEditable) {
-              element.textContent = '';
-            } else {
-              element.value = '';
-            }
-          }
-
-          const textToType = '${text.replace(/'/g, "\\'")}';
-          if (element.isContentEditable) {
-            element.textContent += textToType;
-          } else {
-            element.value += textToType;
-          }
-
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          element.dispatchEvent(new Event('change', { bubbles: true }));
-
-          return {
-            success: true,
-            message: 'Text typed successfully',
-            elementInfo: {
-              tagName: element.tagName,
-              className: element.className,
-              id: element.id,
-              value: element.value || element.textContent
-            }
-          };
-        } catch (error) {
-          return { success: false, error: error.message };
-        }
-      }
-    `,
-    );
+    const result = await executeFunctionInTab(tabId, performElementAction, [
+      { selector, ref },
+      "type",
+      { text, clear },
+    ]);
 
     console.log("⌨️ Type result:", result);
     sendResponse(result);
@@ -482,121 +893,570 @@ async function handleBrowserType(message, sendResponse) {
   }
 }
 
+async function handleBrowserPressKey(message, sendResponse) {
+  console.log("⌨️ Background handling key press:", message);
+
+  try {
+    const { tabId, selector, ref, keys, delay = 0 } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    if (!keys || keys.length === 0) {
+      sendResponse({ success: false, error: "Keys are required" });
+      return;
+    }
+
+    // Without a selector or ref the keys go to the focused element
+    const result = await executeFunctionInTab(tabId, performElementAction, [
+      { selector, ref },
+      "press",
+      { keys, delay },
+    ]);
+
+    console.log("⌨️ Key press result:", result);
+    sendResponse(result);
+  } catch (error) {
+    console.error("❌ Key press error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserFillForm(message, sendResponse) {
+  console.log("📝 Background handling form fill:", message);
+
+  try {
+    const { tabId, fields } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    if (!fields || Object.keys(fields).length === 0) {
+      sendResponse({ success: false, error: "Fields are required" });
+      return;
+    }
+
+    // One injection fills every field and collects validation messages
+    const result = await executeFunctionInTab(tabId, performElementAction, [
+      {},
+      "fillForm",
+      { fields },
+    ]);
+
+    console.log("📝 Form fill result:", result);
+    sendResponse(result);
+  } catch (error) {
+    console.error("❌ Form fill error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Element actions behind the pointer and form control tools
+const ELEMENT_ACTIONS = {
+  BROWSER_HOVER: "hover",
+  BROWSER_DOUBLE_CLICK: "doubleClick",
+  BROWSER_CONTEXT_CLICK: "contextClick",
+  BROWSER_DRAG: "drag",
+  BROWSER_SELECT_OPTION: "selectOption",
+  BROWSER_SET_CHECKED: "setChecked",
+  BROWSER_UPLOAD_FILE: "uploadFile",
+};
+
+async function handleBrowserElementAction(message, sendResponse) {
+  const action = ELEMENT_ACTIONS[message.type];
+  console.log(`🖱️ Background handling ${action}:`, message);
+
+  try {
+    const {
+      tabId,
+      selector,
+      ref,
+      target,
+      offset,
+      steps,
+      value,
+      label,
+      index,
+      checked,
+      files,
+    } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    if (!selector && !ref) {
+      sendResponse({ success: false, error: "Selector or ref is required" });
+      return;
+    }
+
+    const result = await executeFunctionInTab(tabId, performElementAction, [
+      { selector, ref },
+      action,
+      { to: target, offset, steps, value, label, index, checked, files },
+    ]);
+
+    console.log(`🖱️ ${action} result:`, result);
+    sendResponse(result);
+  } catch (error) {
+    console.error(`❌ ${action} error:`, error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Wait for an element by polling from the service worker, so progress can
+// be reported and a cancelled wait stops at the next poll
 async function handleBrowserWait(message, sendResponse) {
   console.log("⏳ Background handling browser wait:", message);
 
+  const operation = startOperation(message);
+
   try {
-    const { tabId, selector, timeout = 30000 } = message;
+    const { tabId, selector, ref, timeout = 30000 } = message;
 
     if (!tabId) {
       sendResponse({ success: false, error: "Tab ID is required" });
       return;
     }
 
-    if (!selector) {
-      sendResponse({ success: false, error: "Selector is required" });
+    if (!selector && !ref) {
+      sendResponse({ success: false, error: "Selector or ref is required" });
       return;
     }
 
+    const label = ref ? `ref ${ref}` : selector;
     const maxTimeout = Math.min(timeout, 60000); // Max 60 seconds
+    const startTime = Date.now();
+    let lastReport = 0;
 
-    // Execute wait script in the target tab
-    const result = await executeScriptInTab(
-      tabId,
-      `
-      // Use the interactions handler from interactions.js
-      if (typeof window.interactionHandler !== 'undefined') {
-        return window.interactionHandler.handleWait({
-          selector: '${selector.replace(/'/g, "\\'")}',
-          timeout: ${maxTimeout}
+    for (;;) {
+      if (operation.cancelled) {
+        sendResponse({
+          success: false,
+          cancelled: true,
+          error: `Wait cancelled: ${label}`,
         });
-      } else {
-        // Fallback implementation if interactions.js not loaded
-        return new Promise((resolve) => {
-          const startTime = Date.now();
-          const interval = 500;
-
-          const checkElement = () => {
-            try {
-              const elapsed = Date.now() - startTime;
-
-              if (elapsed >= ${maxTimeout}) {
-                resolve({
-                  success: false,
-                  error: 'Element not found within ${maxTimeout}ms: ${selector}'
-                });
-                return;
-              }
-
-              const element = document.querySelector('${selector.replace(/'/g, "\\'")}');
-
-              if (element) {
-                const rect = element.getBoundingClientRect();
-                const isVisible = rect.width > 0 && rect.height > 0 &&
-                                window.getComputedStyle(element).visibility !== 'hidden' &&
-                                window.getComputedStyle(element).display !== 'none';
-
-                resolve({
-                  success: true,
-                  message: 'Element found after ' + elapsed + 'ms',
-                  elementInfo: {
-                    tagName: element.tagName,
-                    className: element.className,
-                    id: element.id
-                  },
-                  visible: isVisible,
-                  waitTime: elapsed
-                });
-                return;
-              }
-
-              setTimeout(checkElement, interval);
-
-            } catch (error) {
-              resolve({ success: false, error: error.message });
-            }
-          };
-
-          checkElement();
+        return;
+      }
+
+      const elapsed = Date.now() - startTime;
+
+      // The page may be navigating; treat failed probes as "not yet"
+      const probe = await executeFunctionInTab(tabId, performElementAction, [
+        { selector, ref },
+        "probe",
+      ]).catch(() => null);
+
+      if (probe && probe.error) {
+        sendResponse({ success: false, error: probe.error });
+        return;
+      }
+
+      if (probe && probe.found) {
+        const result = {
+          success: true,
+          message: `Element found after ${elapsed}ms`,
+          elementInfo: probe.elementInfo,
+          visible: probe.visible,
+          waitTime: elapsed,
+        };
+        console.log("⏳ Wait result:", result);
+        sendResponse(result);
+        return;
+      }
+
+      if (elapsed >= maxTimeout) {
+        sendResponse({
+          success: false,
+          error: `Element not found within ${maxTimeout}ms: ${label}`,
         });
+        return;
       }
-    `,
-    );
 
-    console.log("⏳ Wait result:", result);
-    sendResponse(result);
+      if (elapsed - lastReport >= 1000) {
+        lastReport = elapsed;
+        reportOperationProgress(
+          operation,
+          elapsed,
+          maxTimeout,
+          `Waiting for ${label}`,
+        );
+      }
+
+      await delay(WAIT_POLL_INTERVAL);
+    }
   } catch (error) {
     console.error("❌ Wait error:", error);
     sendResponse({ success: false, error: error.message });
+  } finally {
+    finishOperation(operation);
   }
 }
 
-// Helper function to execute scripts in tabs
-async function executeScriptInTab(tabId, script) {
-  return new Promise((resolve, reject) => {
-    chrome.scripting.executeScript(
-      {
-        target: { tabId: tabId },
-        func: function () {
-          // CSP-compliant placeholder - dynamic execution disabled for security
-          return {
-            success: false,
-            error: "Dynamic script execution disabled for CSP compliance",
-          };
-        },
-      },
-      (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-
-        if (result && result[0]) {
-          resolve(result[0].result);
-        } else {
-          reject(new Error("No result from script execution"));
-        }
-      },
+async function handleBrowserAudit(message, sendResponse) {
+  console.log("🌐 Background handling browser audit:", message);
+
+  const operation = startOperation(message);
+
+  try {
+    const {
+      tabId,
+      categories = ["performance", "accessibility", "seo", "best-practices"],
+    } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    if (!Array.isArray(categories) || categories.length === 0) {
+      sendResponse({
+        success: false,
+        error: "At least one audit category is required",
+      });
+      return;
+    }
+
+    // One category at a time, so progress can be reported between them
+    let report = null;
+    for (const [index, category] of categories.entries()) {
+      if (operation.cancelled) {
+        sendResponse({
+          success: false,
+          cancelled: true,
+          error: "Audit cancelled",
+        });
+        return;
+      }
+
+      const partial = await executeFunctionInTab(tabId, collectPageAudit, [
+        [category],
+      ]);
+      report = report
+        ? { ...report, results: { ...report.results, ...partial.results } }
+        : partial;
+
+      reportOperationProgress(
+        operation,
+        index + 1,
+        categories.length,
+        `Audited ${category}`,
+      );
+    }
+
+    console.log("🌐 Audit result:", report);
+    sendResponse({ success: true, ...report });
+  } catch (error) {
+    console.error("❌ Audit error:", error);
+    sendResponse({ success: false, error: error.message });
+  } finally {
+    finishOperation(operation);
+  }
+}
+
+// Handle page content requests from MCP server
+async function handleBrowserGetContent(message, sendResponse) {
+  console.log("🌐 Background handling get content:", message);
+
+  try {
+    const { tabId, selector, format = "html", maxLength } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    const result = await executeFunctionInTab(tabId, extractPageContent, [
+      { selector, format, maxLength },
+    ]);
+
+    if (result.error) {
+      sendResponse({ success: false, error: result.error });
+      return;
+    }
+
+    console.log(
+      `🌐 Content extracted: ${result.matches} match(es), ${result.length} chars${result.truncated ? " (truncated)" : ""}`,
+    );
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error("❌ Get content error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle accessibility snapshot requests from MCP server
+async function handleBrowserSnapshot(message, sendResponse) {
+  console.log("🌐 Background handling snapshot:", message);
+
+  try {
+    const {
+      tabId,
+      selector,
+      interactiveOnly = false,
+      maxNodes = 500,
+    } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    const result = await executeFunctionInTab(
+      tabId,
+      collectAccessibilitySnapshot,
+      [{ selector, interactiveOnly, maxNodes }],
+    );
+
+    if (result.error) {
+      sendResponse({ success: false, error: result.error });
+      return;
+    }
+
+    console.log(
+      `🌐 Snapshot: ${result.nodeCount} node(s)${result.truncated ? " (truncated)" : ""}`,
+    );
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error("❌ Snapshot error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Describe a tab for MCP tool results
+function describeTab(tab) {
+  return {
+    tabId: tab.id,
+    windowId: tab.windowId,
+    url: tab.url || tab.pendingUrl || "",
+    title: tab.title || "",
+    active: tab.active,
+    status: tab.status,
+  };
+}
+
+// Handle tab listing requests from MCP server
+async function handleBrowserListTabs(message, sendResponse) {
+  console.log("🌐 Background handling list tabs:", message);
+
+  try {
+    const tabs = await chrome.tabs.query({});
+    sendResponse({
+      success: true,
+      // tabId on the message is the tab the DevTools panel is inspecting
+      inspectedTabId: message.tabId || null,
+      tabs: tabs.map(describeTab),
+    });
+  } catch (error) {
+    console.error("❌ List tabs error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle new tab requests from MCP server
+async function handleBrowserOpenTab(message, sendResponse) {
+  console.log("🌐 Background handling open tab:", message);
+
+  try {
+    const { url = "about:blank", active = true } = message;
+    const tab = await chrome.tabs.create({ url, active });
+    tabUrls.set(tab.id, url);
+    sendResponse({ success: true, tab: describeTab(tab) });
+  } catch (error) {
+    console.error("❌ Open tab error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle tab close requests from MCP server
+async function handleBrowserCloseTab(message, sendResponse) {
+  console.log("🌐 Background handling close tab:", message);
+
+  try {
+    const { tabId } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    await chrome.tabs.remove(tabId);
+    tabUrls.delete(tabId);
+    sendResponse({ success: true, tabId });
+  } catch (error) {
+    console.error("❌ Close tab error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle tab activation requests from MCP server
+async function handleBrowserSwitchTab(message, sendResponse) {
+  console.log("🌐 Background handling switch tab:", message);
+
+  try {
+    const { tabId } = message;
+
+    if (!tabId) {
+      sendResponse({ success: false, error: "Tab ID is required" });
+      return;
+    }
+
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    sendResponse({ success: true, tab: describeTab(tab) });
+  } catch (error) {
+    console.error("❌ Switch tab error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle route requests from MCP server (routes.js)
+async function handleBrowserRouteAdd(message, sendResponse) {
+  console.log("🌐 Background handling route add:", message.route?.url);
+
+  try {
+    const route = await addRoute(message.tabId, message.route);
+    sendResponse({ success: true, route });
+  } catch (error) {
+    console.error("❌ Route add error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+function handleBrowserRouteList(message, sendResponse) {
+  sendResponse({ success: true, ...listRoutes(message.tabId) });
+}
+
+async function handleBrowserRouteRemove(message, sendResponse) {
+  console.log("🌐 Background handling route remove:", message.routeId);
+
+  try {
+    const removed = await removeRoutes(message.tabId, message.routeId);
+    sendResponse({
+      success: true,
+      removed,
+      routes: listRoutes(message.tabId).routes,
+    });
+  } catch (error) {
+    console.error("❌ Route remove error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle HAR recording markers from MCP server (har-recorder.js)
+async function handleBrowserHarStart(message, sendResponse) {
+  console.log("📼 Background starting HAR recording:", message.tabId);
+
+  try {
+    const { startedAt } = await startHarRecording(message.tabId, {
+      includeBodies: message.includeBodies,
+      maxBodySize: message.maxBodySize,
+    });
+    sendResponse({ success: true, startedAt });
+  } catch (error) {
+    console.error("❌ HAR start error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserHarStop(message, sendResponse) {
+  console.log("📼 Background stopping HAR recording:", message.tabId);
+
+  try {
+    const recording = await stopHarRecording(message.tabId);
+    sendResponse({ success: true, recording });
+  } catch (error) {
+    console.error("❌ HAR stop error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle cookie and storage requests from MCP server (browser-state.js)
+async function handleBrowserGetCookies(message, sendResponse) {
+  try {
+    const cookies = await getCookies(message.tabId, message.filter);
+    sendResponse({ success: true, cookies });
+  } catch (error) {
+    console.error("❌ Get cookies error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserSetCookies(message, sendResponse) {
+  console.log("🍪 Background setting cookies:", message.cookies?.length);
+
+  try {
+    const cookies = await setCookies(message.tabId, message.cookies);
+    sendResponse({ success: true, cookies });
+  } catch (error) {
+    console.error("❌ Set cookies error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserClearCookies(message, sendResponse) {
+  console.log("🍪 Background clearing cookies:", message.filter);
+
+  try {
+    const removed = await clearCookies(message.tabId, message.filter);
+    sendResponse({ success: true, removed });
+  } catch (error) {
+    console.error("❌ Clear cookies error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserGetStorage(message, sendResponse) {
+  try {
+    const result = await executeFunctionInTab(message.tabId, readPageStorage, [
+      message.types,
+    ]);
+    sendResponse(
+      result.error
+        ? { success: false, error: result.error }
+        : { success: true, ...result },
     );
+  } catch (error) {
+    console.error("❌ Get storage error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleBrowserSetStorage(message, sendResponse) {
+  console.log("💾 Background setting storage:", message.tabId);
+
+  try {
+    const result = await executeFunctionInTab(message.tabId, writePageStorage, [
+      message.changes,
+    ]);
+    sendResponse(
+      result.error
+        ? { success: false, error: result.error }
+        : { success: true, ...result },
+    );
+  } catch (error) {
+    console.error("❌ Set storage error:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Helper function to run a self-contained function in a tab (CSP-safe:
+// the function is serialized by Chrome, no string evaluation involved)
+async function executeFunctionInTab(tabId, func, args = []) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    func,
+    args,
   });
+
+  if (!results || !results[0]) {
+    throw new Error("No result from script execution");
+  }
+
+  return results[0].result;
 }
@@ -0,0 +1,181 @@
+/**
+ * Cookies and Storage for Browser Tools MCP Extension
+ *
+ * Implements browser_get_cookies, browser_set_cookies and
+ * browser_clear_cookies with chrome.cookies, in the cookie store of the
+ * target tab (incognito tabs have their own), and browser_get_storage and
+ * browser_set_storage for the localStorage and sessionStorage of the tab's
+ * current origin.
+ *
+ * Cookies are reported in the shape the bridge accepts back
+ * (mcp-server/modules/browser-state.mjs), so a login can be snapshotted
+ * and restored later. Without a url or domain filter the cookies sent to
+ * the tab's URL are used.
+ *
+ * Loaded by the background service worker (importScripts). readPageStorage
+ * and writePageStorage are injected into the tab with
+ * chrome.scripting.executeScript({ func, args }) and must stay fully
+ * self-contained.
+ */
+
+// chrome.cookies sameSite names and the ones reported to the bridge
+const SAME_SITE_NAMES = {
+  strict: "Strict",
+  lax: "Lax",
+  no_restriction: "None",
+};
+
+async function cookieStoreId(tabId) {
+  const stores = await chrome.cookies.getAllCookieStores();
+  return stores.find((store) => store.tabIds.includes(tabId))?.id;
+}
+
+function describeCookie(cookie) {
+  return {
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain,
+    path: cookie.path,
+    expires: cookie.session ? -1 : cookie.expirationDate,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    ...(SAME_SITE_NAMES[cookie.sameSite]
+      ? { sameSite: SAME_SITE_NAMES[cookie.sameSite] }
+      : {}),
+    hostOnly: cookie.hostOnly,
+  };
+}
+
+// URL a cookie is sent to, for chrome.cookies.remove
+function cookieUrl(cookie) {
+  const host = cookie.domain.replace(/^\./, "");
+  return `${cookie.secure ? "https" : "http"}://${host}${cookie.path}`;
+}
+
+async function queryCookies(tabId, { url, domain, name }) {
+  const storeId = await cookieStoreId(tabId);
+  const query = { storeId };
+
+  if (domain) {
+    query.domain = domain;
+  } else {
+    query.url = url || (await chrome.tabs.get(tabId)).url;
+  }
+  if (name) {
+    query.name = name;
+  }
+  return { storeId, cookies: await chrome.cookies.getAll(query) };
+}
+
+/**
+ * Cookies of a tab, by URL (default: the tab's URL) or domain
+ * @param {number} tabId
+ * @param {Object} filter - {url?, domain?, name?}
+ * @returns {Promise<Object[]>}
+ */
+async function getCookies(tabId, filter) {
+  const { cookies } = await queryCookies(tabId, filter);
+  return cookies.map(describeCookie);
+}
+
+/**
+ * Set cookies in the tab's cookie store
+ * @param {number} tabId
+ * @param {Object[]} cookies - chrome.cookies.set details compiled by the
+ *   bridge; those without a url are set for the tab's URL
+ * @returns {Promise<Object[]>} The cookies as stored
+ */
+async function setCookies(tabId, cookies) {
+  const storeId = await cookieStoreId(tabId);
+  const tabUrl = (await chrome.tabs.get(tabId)).url;
+  const stored = [];
+
+  for (const details of cookies) {
+    const cookie = await chrome.cookies.set({
+      url: tabUrl,
+      ...details,
+      storeId,
+    });
+    if (!cookie) {
+      throw new Error(
+        `Cookie "${details.name}" was rejected for ${details.url || tabUrl}`,
+      );
+    }
+    stored.push(describeCookie(cookie));
+  }
+  return stored;
+}
+
+/**
+ * Remove the cookies of a tab matching a filter
+ * @param {number} tabId
+ * @param {Object} filter - {url?, domain?, name?}
+ * @returns {Promise<number>} Number of cookies removed
+ */
+async function clearCookies(tabId, filter) {
+  const { storeId, cookies } = await queryCookies(tabId, filter);
+
+  for (const cookie of cookies) {
+    await chrome.cookies.remove({
+      url: cookieUrl(cookie),
+      name: cookie.name,
+      storeId,
+    });
+  }
+  return cookies.length;
+}
+
+/**
+ * Read localStorage and/or sessionStorage of the page's origin
+ * @param {string[]} types - "local" and/or "session"
+ * @returns {Object} {origin, localStorage?, sessionStorage?} or {error}
+ */
+function readPageStorage(types) {
+  const items = {};
+  try {
+    for (const type of types) {
+      const storage = type === "local" ? localStorage : sessionStorage;
+      const entries = {};
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        entries[key] = storage.getItem(key);
+      }
+      items[`${type}Storage`] = entries;
+    }
+  } catch (error) {
+    // Opaque origins (about:blank, data: URLs, sandboxed frames)
+    return { error: `Storage is not available: ${error.message}` };
+  }
+  return { origin: location.origin, ...items };
+}
+
+/**
+ * Write items to localStorage and/or sessionStorage of the page's origin
+ * @param {Object} changes - {localStorage?, sessionStorage?, clear}; an item
+ *   set to null is removed
+ * @returns {Object} {origin, itemCounts: {localStorage?, sessionStorage?}}
+ *   or {error}
+ */
+function writePageStorage({ clear, ...changes }) {
+  const itemCounts = {};
+  try {
+    for (const [key, items] of Object.entries(changes)) {
+      const storage = key === "localStorage" ? localStorage : sessionStorage;
+      if (clear) {
+        storage.clear();
+      }
+      for (const [name, value] of Object.entries(items)) {
+        if (value === null) {
+          storage.removeItem(name);
+        } else {
+          storage.setItem(name, value);
+        }
+      }
+      itemCounts[key] = storage.length;
+    }
+  } catch (error) {
+    // Opaque origins, or the quota was exceeded
+    return { error: `Storage update failed: ${error.message}` };
+  }
+  return { origin: location.origin, itemCounts };
+}
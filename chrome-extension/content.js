@@ -0,0 +1,227 @@
+/**
+ * Page Content Extractor for Browser Tools MCP Extension
+ *
+ * Implements browser_get_content: returns the outerHTML, innerText or a
+ * Markdown rendering of the whole page or of every element matching a CSS
+ * selector, truncated to a maximum length before it leaves the page.
+ *
+ * Loaded by the background service worker (importScripts) and injected into
+ * the target tab with chrome.scripting.executeScript({ func, args }), so
+ * extractPageContent must stay fully self-contained.
+ */
+
+/**
+ * Extract page or element content
+ * @param {Object} options
+ * @param {string} [options.selector] - CSS selector (defaults to the whole page)
+ * @param {string} [options.format="html"] - html, text or markdown
+ * @param {number} [options.maxLength] - Maximum characters to return
+ * @returns {Object} {content, format, matches, length, truncated} or {error}
+ */
+function extractPageContent({ selector, format = "html", maxLength } = {}) {
+  const SKIPPED_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "SVG",
+    "CANVAS",
+    "IFRAME",
+    "HEAD",
+  ]);
+
+  const collapse = (text) => text.replace(/\s+/g, " ");
+
+  const absoluteUrl = (value) => {
+    try {
+      return new URL(value, document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  };
+
+  // Convert a DOM subtree to Markdown
+  const toMarkdown = (root) => {
+    const inline = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return collapse(node.textContent);
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      if (SKIPPED_TAGS.has(node.tagName.toUpperCase())) return "";
+      if (node.hidden || node.getAttribute("aria-hidden") === "true") return "";
+
+      const children = () => [...node.childNodes].map(inline).join("");
+
+      switch (node.tagName) {
+        case "BR":
+          return "\n";
+        case "STRONG":
+        case "B": {
+          const text = children().trim();
+          return text ? `**${text}**` : "";
+        }
+        case "EM":
+        case "I": {
+          const text = children().trim();
+          return text ? `*${text}*` : "";
+        }
+        case "CODE":
+          return `\`${node.textContent}\``;
+        case "A": {
+          const text = children().trim();
+          const href = node.getAttribute("href");
+          if (!href || href.startsWith("javascript:")) return text;
+          return `[${text || absoluteUrl(href)}](${absoluteUrl(href)})`;
+        }
+        case "IMG": {
+          const src = node.getAttribute("src");
+          return src
+            ? `![${node.getAttribute("alt") || ""}](${absoluteUrl(src)})`
+            : "";
+        }
+        default:
+          return block(node);
+      }
+    };
+
+    const list = (node, depth) => {
+      const ordered = node.tagName === "OL";
+      return [...node.children]
+        .filter((child) => child.tagName === "LI")
+        .map((item, index) => {
+          const marker = ordered ? `${index + 1}.` : "-";
+          const nested = [];
+          const text = [...item.childNodes]
+            .map((child) => {
+              if (child.tagName === "UL" || child.tagName === "OL") {
+                nested.push(list(child, depth + 1));
+                return "";
+              }
+              return inline(child);
+            })
+            .join("")
+            .trim();
+          const indent = "  ".repeat(depth);
+          return [`${indent}${marker} ${text}`, ...nested].join("\n");
+        })
+        .join("\n");
+    };
+
+    const table = (node) => {
+      const rows = [...node.querySelectorAll("tr")].map((row) =>
+        [...row.children].map((cell) =>
+          [...cell.childNodes]
+            .map(inline)
+            .join("")
+            .trim()
+            .replace(/\|/g, "\\|")
+            .replace(/\n/g, " "),
+        ),
+      );
+      if (rows.length === 0) return "";
+      const columns = Math.max(...rows.map((row) => row.length));
+      const line = (cells) =>
+        `| ${Array.from({ length: columns }, (_, i) => cells[i] || "").join(" | ")} |`;
+      return [
+        line(rows[0]),
+        line(Array(columns).fill("---")),
+        ...rows.slice(1).map(line),
+      ].join("\n");
+    };
+
+    const block = (node) => {
+      const children = () =>
+        [...node.childNodes]
+          .map(inline)
+          .join("")
+          .replace(/ *\n */g, "\n")
+          .trim();
+
+      switch (node.tagName) {
+        case "H1":
+        case "H2":
+        case "H3":
+        case "H4":
+        case "H5":
+        case "H6":
+          return `\n\n${"#".repeat(Number(node.tagName[1]))} ${children()}\n\n`;
+        case "P":
+          return `\n\n${children()}\n\n`;
+        case "UL":
+        case "OL":
+          return `\n\n${list(node, 0)}\n\n`;
+        case "PRE":
+          return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, "")}\n\`\`\`\n\n`;
+        case "BLOCKQUOTE":
+          return `\n\n${children()
+            .split("\n")
+            .map((line) => `> ${line}`)
+            .join("\n")}\n\n`;
+        case "HR":
+          return "\n\n---\n\n";
+        case "TABLE":
+          return `\n\n${table(node)}\n\n`;
+        case "DIV":
+        case "SECTION":
+        case "ARTICLE":
+        case "MAIN":
+        case "HEADER":
+        case "FOOTER":
+        case "NAV":
+        case "ASIDE":
+        case "FORM":
+        case "FIGURE":
+        case "LI":
+        case "DL":
+        case "DT":
+        case "DD":
+          return `\n${children()}\n`;
+        default:
+          return [...node.childNodes].map(inline).join("");
+      }
+    };
+
+    return inline(root)
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  };
+
+  const renderers = {
+    html: (element) => element.outerHTML,
+    text: (element) => element.innerText,
+    markdown: (element) => toMarkdown(element),
+  };
+
+  const render = renderers[format];
+  if (!render) {
+    return { error: `Unsupported format: ${format}` };
+  }
+
+  let elements;
+  try {
+    elements = selector
+      ? [...document.querySelectorAll(selector)]
+      : [format === "html" ? document.documentElement : document.body];
+  } catch (error) {
+    return { error: `Invalid selector: ${selector}` };
+  }
+
+  if (elements.length === 0) {
+    return { error: `Element not found: ${selector}` };
+  }
+
+  const separator = format === "html" ? "\n" : "\n\n";
+  const content = elements.map(render).join(separator);
+  const truncated = !!maxLength && content.length > maxLength;
+
+  return {
+    content: truncated ? content.substring(0, maxLength) : content,
+    format,
+    selector: selector || null,
+    matches: elements.length,
+    length: content.length,
+    truncated,
+    url: location.href,
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Shared chrome.debugger Sessions for Browser Tools MCP Extension
+ *
+ * Request interception (routes.js) and HAR recording (har-recorder.js) both
+ * drive a tab through the debugger, but an extension can attach to a tab
+ * only once. Each feature acquires the tab under its own name: the first
+ * acquire attaches, the last release detaches.
+ *
+ * Loaded by the background service worker (importScripts) before the
+ * features that use it.
+ */
+
+const DEBUGGER_PROTOCOL_VERSION = "1.3";
+
+// Debugger sessions by tab: {users: Set<string>, attached: Promise}
+const debuggerSessions = new Map();
+
+/**
+ * Attach the debugger to a tab for a feature (no-op if already attached)
+ * @param {number} tabId
+ * @param {string} user - Feature name, e.g. "routes"
+ * @returns {Promise<void>}
+ */
+async function acquireDebugger(tabId, user) {
+  let session = debuggerSessions.get(tabId);
+
+  if (!session) {
+    session = {
+      users: new Set(),
+      attached: chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION),
+    };
+    debuggerSessions.set(tabId, session);
+    session.attached.catch(() => debuggerSessions.delete(tabId));
+  }
+
+  await session.attached;
+  session.users.add(user);
+}
+
+/**
+ * Release a feature's use of the debugger; detaches after the last one
+ * @param {number} tabId
+ * @param {string} user
+ * @returns {Promise<void>}
+ */
+async function releaseDebugger(tabId, user) {
+  const session = debuggerSessions.get(tabId);
+  if (!session || !session.users.delete(user) || session.users.size > 0) {
+    return;
+  }
+
+  debuggerSessions.delete(tabId);
+  try {
+    await chrome.debugger.detach({ tabId });
+  } catch (error) {
+    // Already detached (tab closed or debugging cancelled by the user)
+    console.warn("⚠️ Debugger detach failed:", error.message);
+  }
+}
+
+chrome.debugger.onDetach.addListener((source) => {
+  debuggerSessions.delete(source.tabId);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  debuggerSessions.delete(tabId);
+});
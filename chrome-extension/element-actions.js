@@ -0,0 +1,1053 @@
+/**
+ * Element Actions for Browser Tools MCP Extension
+ *
+ * Implements the page side of browser_click, browser_type, browser_wait,
+ * browser_press_key, the pointer tools (hover, double click, context click,
+ * drag) and the form controls (select option, set checked, fill form,
+ * upload file):
+ * resolves the target element from a CSS selector or from a ref handed out
+ * by browser_snapshot, then acts on it. fillForm runs the type,
+ * selectOption and setChecked actions for each field by calling
+ * performElementAction recursively within the same injection.
+ *
+ * Pointer tools dispatch the full pointer/mouse event sequence at the
+ * element's centre (pointerover → mouseover → pointermove → mousemove,
+ * pointerdown → mousedown → pointerup → mouseup → click, ...). A drag from
+ * a draggable element (draggable="true", links, images) uses HTML5
+ * drag-and-drop events with a DataTransfer; any other drag moves the
+ * pointer in steps with the button held, which is what sortable lists and
+ * canvas editors listen for.
+ *
+ * Key presses are synthetic (untrusted) events, so the browser does not
+ * perform their default actions by itself. After dispatching
+ * keydown/keypress/keyup the press action performs the common ones unless a
+ * page handler called preventDefault(): text entry and deletion in fields,
+ * Enter submitting a form or activating a button/link, Space activating
+ * buttons and checkboxes, Tab moving focus, Ctrl/Cmd+A selecting all and
+ * arrow keys changing a <select>.
+ *
+ * Refs are looked up in the registry snapshot.js keeps on the extension's
+ * isolated-world global; a ref whose element was removed (or whose page was
+ * replaced) is reported as stale so the caller can take a new snapshot.
+ *
+ * Loaded by the background service worker (importScripts) and injected into
+ * the target tab with chrome.scripting.executeScript({ func, args }), so
+ * performElementAction must stay fully self-contained. Selectors and values
+ * arrive as structured args and are never spliced into script text, so they
+ * need none of the escaping that InteractionHandler.sanitizeScript applies
+ * to the string scripts in interactions.js.
+ */
+
+/**
+ * Resolve the target element and perform an action on it
+ * @param {Object} target - {selector} or {ref}; press falls back to the
+ *   focused element when both are missing
+ * @param {string} action - probe (existence/visibility), click, type,
+ *   press, hover, doubleClick, contextClick or drag
+ * @param {Object} [options] - type: {text, clear}; press: {keys, delay};
+ *   drag: {to: {selector|ref}, offset: {x, y}, steps};
+ *   selectOption: {value, label, index} (each a single item or a list);
+ *   setChecked: {checked}; fillForm: {fields: {selector|ref: value}};
+ *   uploadFile: {files: [{name, mimeType, data (base64)}]}
+ * @returns {Promise<Object>} {success, message, elementInfo, ...} or
+ *   {success: false, error}; probe returns {found: false} while the
+ *   selector matches nothing
+ */
+async function performElementAction(target, action, options = {}) {
+  // {element} is only passed by fillForm's recursive calls in the page
+  const { selector, ref, element: given } = target || {};
+
+  const fail = (error) => ({ success: false, error });
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== "hidden" &&
+      style.display !== "none"
+    );
+  };
+
+  const isTextField = (element) =>
+    element.tagName === "TEXTAREA" ||
+    (element.tagName === "INPUT" &&
+      ![
+        "button",
+        "checkbox",
+        "color",
+        "file",
+        "hidden",
+        "image",
+        "radio",
+        "range",
+        "reset",
+        "submit",
+      ].includes(element.type));
+
+  const describe = (element) => ({
+    tagName: element.tagName,
+    id: element.id,
+    className:
+      typeof element.className === "string"
+        ? element.className
+        : element.getAttribute("class") || "",
+    text: (element.innerText || element.textContent || "")
+      .trim()
+      .substring(0, 100),
+    ref: globalThis.__browserToolsRefs?.refs.get(element),
+  });
+
+  // Key definitions: key value, physical code and legacy keyCode
+  const NAMED_KEYS = {
+    Enter: ["Enter", "Enter", 13],
+    Tab: ["Tab", "Tab", 9],
+    Escape: ["Escape", "Escape", 27],
+    Esc: ["Escape", "Escape", 27],
+    Backspace: ["Backspace", "Backspace", 8],
+    Delete: ["Delete", "Delete", 46],
+    Space: [" ", "Space", 32],
+    ArrowUp: ["ArrowUp", "ArrowUp", 38],
+    ArrowDown: ["ArrowDown", "ArrowDown", 40],
+    ArrowLeft: ["ArrowLeft", "ArrowLeft", 37],
+    ArrowRight: ["ArrowRight", "ArrowRight", 39],
+    Home: ["Home", "Home", 36],
+    End: ["End", "End", 35],
+    PageUp: ["PageUp", "PageUp", 33],
+    PageDown: ["PageDown", "PageDown", 34],
+    Insert: ["Insert", "Insert", 45],
+  };
+  for (let n = 1; n <= 12; n++) {
+    NAMED_KEYS[`F${n}`] = [`F${n}`, `F${n}`, 111 + n];
+  }
+
+  const MODIFIERS = {
+    Shift: ["Shift", "ShiftLeft", 16, "shiftKey"],
+    Control: ["Control", "ControlLeft", 17, "ctrlKey"],
+    Ctrl: ["Control", "ControlLeft", 17, "ctrlKey"],
+    Alt: ["Alt", "AltLeft", 18, "altKey"],
+    Option: ["Alt", "AltLeft", 18, "altKey"],
+    Meta: ["Meta", "MetaLeft", 91, "metaKey"],
+    Cmd: ["Meta", "MetaLeft", 91, "metaKey"],
+    Command: ["Meta", "MetaLeft", 91, "metaKey"],
+  };
+
+  // "Control+Shift+K" → {modifiers, key}; "+" on its own (or "Control++")
+  // is the plus key
+  const parseChord = (spec) => {
+    const parts =
+      spec === "+"
+        ? ["+"]
+        : spec.endsWith("++")
+          ? [...spec.slice(0, -2).split("+"), "+"]
+          : spec.split("+");
+    const name = parts.pop();
+    const modifiers = [];
+    for (const part of parts) {
+      if (!MODIFIERS[part]) {
+        return { error: `Unknown modifier "${part}" in "${spec}"` };
+      }
+      modifiers.push(MODIFIERS[part]);
+    }
+
+    const flags = {};
+    for (const modifier of modifiers) {
+      flags[modifier[3]] = true;
+    }
+
+    if (MODIFIERS[name] && modifiers.length === 0) {
+      const [key, code, keyCode, flag] = MODIFIERS[name];
+      return { modifiers: [], key, code, keyCode, flags: { [flag]: true } };
+    }
+    if (NAMED_KEYS[name]) {
+      const [key, code, keyCode] = NAMED_KEYS[name];
+      return { modifiers, key, code, keyCode, flags };
+    }
+    if ([...name].length === 1) {
+      const key = flags.shiftKey ? name.toUpperCase() : name;
+      const upper = name.toUpperCase();
+      const code = /[A-Z]/.test(upper)
+        ? `Key${upper}`
+        : /[0-9]/.test(name)
+          ? `Digit${name}`
+          : "";
+      return {
+        modifiers,
+        key,
+        code,
+        keyCode: upper.charCodeAt(0),
+        flags,
+      };
+    }
+    return { error: `Unknown key "${name}" in "${spec}"` };
+  };
+
+  const keyEvent = (type, key, code, keyCode, flags) =>
+    new KeyboardEvent(type, {
+      key,
+      code,
+      keyCode,
+      which: keyCode,
+      charCode:
+        type !== "keypress" ? 0 : key === "Enter" ? 13 : key.charCodeAt(0),
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      ...flags,
+    });
+
+  // Insert or delete text at the caret, firing beforeinput/input
+  const editText = (field, inputType, text) => {
+    if (field.isContentEditable) {
+      const command = {
+        insertText: "insertText",
+        insertLineBreak: "insertLineBreak",
+        deleteContentBackward: "delete",
+        deleteContentForward: "forwardDelete",
+      }[inputType];
+      document.execCommand(command, false, text);
+      return;
+    }
+
+    const beforeInput = new InputEvent("beforeinput", {
+      inputType,
+      data: text || null,
+      bubbles: true,
+      cancelable: true,
+    });
+    if (!field.dispatchEvent(beforeInput)) {
+      return;
+    }
+
+    const hasCaret = typeof field.selectionStart === "number";
+    let start = hasCaret ? field.selectionStart : field.value.length;
+    let end = hasCaret ? field.selectionEnd : field.value.length;
+    if (start === end && inputType === "deleteContentBackward") {
+      start = Math.max(0, start - 1);
+    } else if (start === end && inputType === "deleteContentForward") {
+      end = Math.min(field.value.length, end + 1);
+    }
+
+    if (hasCaret) {
+      field.setRangeText(text, start, end, "end");
+    } else {
+      const setValue = Object.getOwnPropertyDescriptor(
+        Object.getPrototypeOf(field),
+        "value",
+      ).set;
+      const value = field.value;
+      setValue.call(field, value.slice(0, start) + text + value.slice(end));
+    }
+    field.dispatchEvent(
+      new InputEvent("input", { inputType, data: text || null, bubbles: true }),
+    );
+  };
+
+  // Next or previous element in tab order
+  const moveFocus = (from, backwards) => {
+    const candidates = Array.from(
+      document.querySelectorAll(
+        "a[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable]",
+      ),
+    ).filter(
+      (candidate) =>
+        candidate.tabIndex >= 0 &&
+        !candidate.disabled &&
+        candidate.type !== "hidden" &&
+        isVisible(candidate),
+    );
+    // Positive tabindex first (ascending), then document order
+    const order = (candidate) =>
+      candidate.tabIndex > 0 ? candidate.tabIndex : Infinity;
+    candidates.sort((a, b) => order(a) - order(b));
+    if (candidates.length === 0) {
+      return from;
+    }
+
+    const index = candidates.indexOf(from);
+    const next =
+      index === -1
+        ? backwards
+          ? candidates.length - 1
+          : 0
+        : (index + (backwards ? -1 : 1) + candidates.length) %
+          candidates.length;
+    candidates[next].focus();
+    return candidates[next];
+  };
+
+  // Default action of an unprevented key; returns the element that has
+  // the keyboard afterwards
+  const performDefault = (field, chord) => {
+    const { key, flags } = chord;
+    const editable = isTextField(field) || field.isContentEditable;
+    const activates =
+      ["BUTTON", "SUMMARY"].includes(field.tagName) ||
+      (field.tagName === "A" && field.hasAttribute("href")) ||
+      (field.tagName === "INPUT" &&
+        ["button", "submit", "reset", "image"].includes(field.type));
+    const shortcut = flags.ctrlKey || flags.metaKey;
+
+    if (shortcut && key.toLowerCase() === "a") {
+      if (editable && !field.isContentEditable) {
+        field.select();
+      } else {
+        window
+          .getSelection()
+          .selectAllChildren(field.isContentEditable ? field : document.body);
+      }
+    } else if (key === "Tab" && !shortcut && !flags.altKey) {
+      return moveFocus(field, flags.shiftKey);
+    } else if (key === "Enter") {
+      if (field.tagName === "TEXTAREA" || field.isContentEditable) {
+        editText(field, "insertLineBreak", "\n");
+      } else if (activates) {
+        field.click();
+      } else if (editable && field.form) {
+        field.form.requestSubmit();
+      }
+    } else if (key === " " && !editable) {
+      if (
+        activates ||
+        (field.tagName === "INPUT" &&
+          ["checkbox", "radio"].includes(field.type))
+      ) {
+        field.click();
+      }
+    } else if (key === "Backspace" && editable) {
+      editText(field, "deleteContentBackward", "");
+    } else if (key === "Delete" && editable) {
+      editText(field, "deleteContentForward", "");
+    } else if (
+      (key === "ArrowUp" || key === "ArrowDown") &&
+      field.tagName === "SELECT" &&
+      !field.multiple
+    ) {
+      const next = field.selectedIndex + (key === "ArrowUp" ? -1 : 1);
+      if (next >= 0 && next < field.options.length) {
+        field.selectedIndex = next;
+        field.dispatchEvent(new Event("input", { bubbles: true }));
+        field.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    } else if (
+      [...key].length === 1 &&
+      editable &&
+      !shortcut &&
+      !flags.altKey
+    ) {
+      editText(field, "insertText", key);
+    }
+    return field;
+  };
+
+  // keydown (modifiers first) → keypress → default action → keyup
+  const pressChord = (field, chord) => {
+    const { modifiers, key, code, keyCode, flags } = chord;
+    const held = {};
+    for (const [
+      modifierKey,
+      modifierCode,
+      modifierKeyCode,
+      flag,
+    ] of modifiers) {
+      held[flag] = true;
+      field.dispatchEvent(
+        keyEvent("keydown", modifierKey, modifierCode, modifierKeyCode, held),
+      );
+    }
+
+    let proceed = field.dispatchEvent(
+      keyEvent("keydown", key, code, keyCode, flags),
+    );
+    const printable =
+      ([...key].length === 1 || key === "Enter") &&
+      !flags.ctrlKey &&
+      !flags.metaKey &&
+      !flags.altKey;
+    if (proceed && printable) {
+      proceed = field.dispatchEvent(
+        keyEvent("keypress", key, code, keyCode, flags),
+      );
+    }
+
+    const next = proceed ? performDefault(field, chord) : field;
+    next.dispatchEvent(keyEvent("keyup", key, code, keyCode, flags));
+
+    for (const [modifierKey, modifierCode, modifierKeyCode, flag] of [
+      ...modifiers,
+    ].reverse()) {
+      delete held[flag];
+      next.dispatchEvent(
+        keyEvent("keyup", modifierKey, modifierCode, modifierKeyCode, held),
+      );
+    }
+
+    return { target: next, prevented: !proceed };
+  };
+
+  const center = (element) => {
+    const rect = element.getBoundingClientRect();
+    return {
+      x: Math.round(rect.left + rect.width / 2),
+      y: Math.round(rect.top + rect.height / 2),
+    };
+  };
+
+  const NON_BUBBLING = new Set([
+    "pointerenter",
+    "pointerleave",
+    "mouseenter",
+    "mouseleave",
+  ]);
+
+  // Dispatch a pointer, mouse or drag event at client coordinates
+  const pointer = (element, type, { x, y }, init = {}) => {
+    const EventType = type.startsWith("pointer")
+      ? PointerEvent
+      : type.startsWith("drag") || type === "drop"
+        ? DragEvent
+        : MouseEvent;
+    return element.dispatchEvent(
+      new EventType(type, {
+        bubbles: !NON_BUBBLING.has(type),
+        cancelable: !NON_BUBBLING.has(type),
+        composed: true,
+        view: window,
+        clientX: x,
+        clientY: y,
+        button: 0,
+        buttons: 0,
+        pointerId: 1,
+        pointerType: "mouse",
+        isPrimary: true,
+        ...init,
+      }),
+    );
+  };
+
+  // Move the pointer onto an element, leaving the previously hovered one
+  const hoverTo = (element, point, buttons = 0) => {
+    const previous = globalThis.__browserToolsHover?.deref();
+    if (previous !== element) {
+      if (previous && previous.isConnected) {
+        for (const type of [
+          "pointerout",
+          "pointerleave",
+          "mouseout",
+          "mouseleave",
+        ]) {
+          pointer(previous, type, point, { buttons, relatedTarget: element });
+        }
+      }
+      for (const type of [
+        "pointerover",
+        "pointerenter",
+        "mouseover",
+        "mouseenter",
+      ]) {
+        pointer(element, type, point, { buttons, relatedTarget: previous });
+      }
+      globalThis.__browserToolsHover = new WeakRef(element);
+    }
+    pointer(element, "pointermove", point, { buttons });
+    pointer(element, "mousemove", point, { buttons });
+  };
+
+  // Press and release a mouse button; mousedown focuses like a real click
+  const pressButton = (element, point, button, detail) => {
+    const buttons = button === 2 ? 2 : 1;
+    pointer(element, "pointerdown", point, { button, buttons });
+    if (pointer(element, "mousedown", point, { button, buttons, detail })) {
+      element.focus({ preventScroll: true });
+    }
+  };
+
+  const releaseButton = (element, point, button, detail) => {
+    pointer(element, "pointerup", point, { button });
+    pointer(element, "mouseup", point, { button, detail });
+  };
+
+  // Element for a {selector} or {ref}: {element}, {error} or {} when the
+  // selector matches nothing
+  const resolve = ({ selector, ref }) => {
+    if (ref) {
+      const element = globalThis.__browserToolsRefs?.elements.get(ref)?.deref();
+      return element && element.isConnected
+        ? { element }
+        : {
+            error: `Unknown or stale ref "${ref}"; take a new browser_snapshot`,
+          };
+    }
+    try {
+      const element = document.querySelector(selector);
+      return element ? { element } : {};
+    } catch (error) {
+      return { error: `Invalid selector: ${selector}` };
+    }
+  };
+
+  // Resolve the element
+  let element = null;
+  if (given) {
+    element = given;
+  } else if (ref || selector) {
+    const resolved = resolve({ selector, ref });
+    if (resolved.error) {
+      return fail(resolved.error);
+    }
+    if (!resolved.element) {
+      return action === "probe"
+        ? { success: false, found: false }
+        : fail(`Element not found: ${selector}`);
+    }
+    element = resolved.element;
+  } else if (action === "press" || action === "fillForm") {
+    element = document.activeElement || document.body;
+  } else {
+    return fail("Either selector or ref is required");
+  }
+
+  const label = ref ? `ref ${ref}` : selector || element.tagName.toLowerCase();
+
+  const actions = {
+    probe: () => ({ found: true, visible: isVisible(element) }),
+
+    click: () => {
+      if (!isVisible(element)) {
+        return fail(`Element is not visible or clickable: ${label}`);
+      }
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      element.click();
+      return { message: "Element clicked successfully" };
+    },
+
+    hover: () => {
+      if (!isVisible(element)) {
+        return fail(`Element is not visible: ${label}`);
+      }
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      hoverTo(element, center(element));
+      return { message: "Element hovered successfully" };
+    },
+
+    doubleClick: () => {
+      if (!isVisible(element)) {
+        return fail(`Element is not visible or clickable: ${label}`);
+      }
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      const point = center(element);
+      hoverTo(element, point);
+      for (const detail of [1, 2]) {
+        pressButton(element, point, 0, detail);
+        releaseButton(element, point, 0, detail);
+        pointer(element, "click", point, { detail });
+      }
+      pointer(element, "dblclick", point, { detail: 2 });
+      return { message: "Element double-clicked successfully" };
+    },
+
+    contextClick: () => {
+      if (!isVisible(element)) {
+        return fail(`Element is not visible or clickable: ${label}`);
+      }
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      const point = center(element);
+      hoverTo(element, point);
+      pressButton(element, point, 2, 1);
+      const nativeMenu = pointer(element, "contextmenu", point, {
+        button: 2,
+        buttons: 2,
+      });
+      releaseButton(element, point, 2, 1);
+      return {
+        message: "Element right-clicked successfully",
+        // The page showing its own menu prevents the browser's
+        customMenu: !nativeMenu,
+      };
+    },
+
+    drag: async () => {
+      const { to, offset, steps = 10 } = options;
+      if (!isVisible(element)) {
+        return fail(`Element is not visible: ${label}`);
+      }
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      const from = center(element);
+
+      let targetElement = null;
+      let end;
+      if (to && (to.selector || to.ref)) {
+        const resolved = resolve(to);
+        if (resolved.error) {
+          return fail(resolved.error);
+        }
+        targetElement = resolved.element;
+        if (!targetElement) {
+          return fail(`Drop target not found: ${to.selector}`);
+        }
+        end = center(targetElement);
+      } else if (offset) {
+        end = { x: from.x + (offset.x || 0), y: from.y + (offset.y || 0) };
+      } else {
+        return fail("A drop target (selector or ref) or an offset is required");
+      }
+
+      // Whatever is under the pointer receives the events
+      const elementAt = ({ x, y }) =>
+        document.elementFromPoint(x, y) || targetElement || element;
+
+      hoverTo(element, from);
+      pressButton(element, from, 0, 1);
+
+      let dataTransfer = null;
+      if (element.draggable) {
+        dataTransfer = new DataTransfer();
+        if (
+          !pointer(element, "dragstart", from, { buttons: 1, dataTransfer })
+        ) {
+          dataTransfer = null; // The page cancelled the drag
+        }
+      }
+
+      const mode = dataTransfer ? "html5" : "pointer";
+      let over = element;
+      let dropAllowed = false;
+      for (let step = 1; step <= steps; step++) {
+        const point = {
+          x: Math.round(from.x + ((end.x - from.x) * step) / steps),
+          y: Math.round(from.y + ((end.y - from.y) * step) / steps),
+        };
+        const current = elementAt(point);
+
+        if (dataTransfer) {
+          pointer(element, "drag", point, { buttons: 1, dataTransfer });
+          if (current !== over) {
+            pointer(current, "dragenter", point, { buttons: 1, dataTransfer });
+            pointer(over, "dragleave", point, { buttons: 1, dataTransfer });
+          }
+          // Drop targets opt in by preventing dragover
+          dropAllowed = !pointer(current, "dragover", point, {
+            buttons: 1,
+            dataTransfer,
+          });
+        } else {
+          hoverTo(current, point, 1);
+        }
+        over = current;
+
+        // Give listeners (and animations) a frame between moves
+        await new Promise((done) => setTimeout(done, 16));
+      }
+
+      let dropped = false;
+      if (dataTransfer) {
+        if (dropAllowed) {
+          pointer(over, "drop", end, { dataTransfer });
+          dropped = true;
+        }
+        pointer(element, "dragend", end, { dataTransfer });
+      }
+      releaseButton(over, end, 0, 1);
+
+      return {
+        message: `Element dragged to (${end.x}, ${end.y})`,
+        mode,
+        from,
+        to: end,
+        dropped: dataTransfer ? dropped : undefined,
+        dropTarget: describe(over),
+      };
+    },
+
+    selectOption: () => {
+      if (element.tagName !== "SELECT") {
+        return fail(`Element is not a <select>: ${label}`);
+      }
+      if (element.disabled) {
+        return fail(`Select is disabled: ${label}`);
+      }
+
+      const list = (value) =>
+        value === undefined ? [] : Array.isArray(value) ? value : [value];
+      const choices = Array.from(element.options);
+      const wanted = [
+        ...list(options.value).map((value) => [
+          `value "${value}"`,
+          (option) => option.value === String(value),
+        ]),
+        ...list(options.label).map((text) => [
+          `label "${text}"`,
+          (option) => (option.label || option.text).trim() === text.trim(),
+        ]),
+        ...list(options.index).map((index) => [
+          `index ${index}`,
+          (option) => option.index === index,
+        ]),
+      ];
+      if (wanted.length === 0) {
+        return fail("A value, label or index to select is required");
+      }
+
+      const matches = [];
+      for (const [description, matchesOption] of wanted) {
+        const option = choices.find(matchesOption);
+        if (!option) {
+          const available = choices
+            .slice(0, 20)
+            .map((option) => JSON.stringify(option.value))
+            .join(", ");
+          return fail(
+            `No option with ${description} in ${label} (values: ${available})`,
+          );
+        }
+        if (option.disabled) {
+          return fail(`Option with ${description} is disabled`);
+        }
+        if (!matches.includes(option)) {
+          matches.push(option);
+        }
+      }
+      if (matches.length > 1 && !element.multiple) {
+        return fail(`Select does not allow multiple options: ${label}`);
+      }
+
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      element.focus();
+      for (const option of choices) {
+        option.selected = matches.includes(option);
+      }
+      element.dispatchEvent(new Event("input", { bubbles: true }));
+      element.dispatchEvent(new Event("change", { bubbles: true }));
+
+      return {
+        message: `Selected ${matches.length} option(s)`,
+        selected: Array.from(element.selectedOptions, (option) => ({
+          value: option.value,
+          label: (option.label || option.text).trim(),
+          index: option.index,
+        })),
+      };
+    },
+
+    setChecked: async () => {
+      const { checked = true } = options;
+      // A label stands for the control it labels
+      const control =
+        element.tagName === "LABEL" && element.control
+          ? element.control
+          : element;
+      const native =
+        control.tagName === "INPUT" &&
+        ["checkbox", "radio"].includes(control.type);
+      const role = control.getAttribute("role");
+      if (
+        !native &&
+        !["checkbox", "switch", "radio", "menuitemcheckbox"].includes(role)
+      ) {
+        return fail(`Element is not a checkbox, radio or switch: ${label}`);
+      }
+
+      const isChecked = () =>
+        native
+          ? control.checked
+          : control.getAttribute("aria-checked") === "true";
+      const isRadio = native ? control.type === "radio" : role === "radio";
+
+      if (isChecked() === checked) {
+        return {
+          message: `Already ${checked ? "checked" : "unchecked"}`,
+          checked,
+        };
+      }
+      if (isRadio && !checked) {
+        return fail(
+          `A radio button cannot be unchecked; check another option instead: ${label}`,
+        );
+      }
+      if (
+        control.disabled ||
+        control.getAttribute("aria-disabled") === "true"
+      ) {
+        return fail(`Control is disabled: ${label}`);
+      }
+
+      // A click toggles the state and fires click/input/change the way a
+      // user's click does, which keeps framework state in sync
+      control.scrollIntoView({ behavior: "instant", block: "center" });
+      control.click();
+      // Let custom widgets update aria-checked after their handlers run
+      await new Promise((done) => setTimeout(done, 0));
+
+      if (isChecked() !== checked) {
+        return fail(
+          `The page did not let the control become ${checked ? "checked" : "unchecked"}: ${label}`,
+        );
+      }
+      return { message: checked ? "Checked" : "Unchecked", checked };
+    },
+
+    fillForm: async () => {
+      const { fields = {} } = options;
+      const results = [];
+      const controls = new Map(); // result → element, for validation
+
+      for (const [field, value] of Object.entries(fields)) {
+        const fieldTarget = /^e\d+$/.test(field)
+          ? { ref: field }
+          : { selector: field };
+        const resolved = resolve(fieldTarget);
+        const control = resolved.element;
+        if (!control) {
+          results.push({
+            field,
+            success: false,
+            error: resolved.error || `Element not found: ${field}`,
+          });
+          continue;
+        }
+
+        // Pick the action from the kind of control
+        let step;
+        if (control.tagName === "SELECT") {
+          const wanted = Array.isArray(value) ? value : [String(value)];
+          const byValue = wanted.every((item) =>
+            Array.from(control.options).some((option) => option.value === item),
+          );
+          step = [
+            "selectOption",
+            byValue ? { value: wanted } : { label: wanted },
+          ];
+        } else if (
+          control.tagName === "INPUT" &&
+          control.type === "radio" &&
+          typeof value === "string"
+        ) {
+          // A radio group is filled by the value of the radio to check
+          const radio = Array.from(
+            (control.form || document).querySelectorAll('input[type="radio"]'),
+          ).find(
+            (candidate) =>
+              candidate.name === control.name && candidate.value === value,
+          );
+          if (!radio) {
+            results.push({
+              field,
+              success: false,
+              error: `No radio with value "${value}" in group "${control.name}"`,
+            });
+            continue;
+          }
+          step = ["setChecked", { checked: true }, radio];
+        } else if (
+          (control.tagName === "INPUT" &&
+            ["checkbox", "radio"].includes(control.type)) ||
+          ["checkbox", "switch", "radio"].includes(control.getAttribute("role"))
+        ) {
+          step = ["setChecked", { checked: Boolean(value) }];
+        } else if (control.tagName === "INPUT" && control.type === "file") {
+          if (!value || !Array.isArray(value.files)) {
+            results.push({
+              field,
+              success: false,
+              error: 'File inputs take {"files": [paths]}',
+            });
+            continue;
+          }
+          step = ["uploadFile", { files: value.files }];
+        } else {
+          step = ["type", { text: String(value), clear: true }];
+        }
+
+        const [fieldAction, fieldOptions, fieldElement = control] = step;
+        const outcome = await performElementAction(
+          { element: fieldElement },
+          fieldAction,
+          fieldOptions,
+        );
+
+        // Per-field results keep the outcome without message/elementInfo
+        const { message, elementInfo, ...details } = outcome;
+        const result = { field, ...details };
+        results.push(result);
+        controls.set(result, control);
+      }
+
+      // Blur the last field so validation that runs on blur shows up
+      if (document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.blur();
+      }
+      await new Promise((done) => setTimeout(done, 50));
+
+      // Validation messages: the field's own, then any shown on the page
+      for (const [result, control] of controls) {
+        let validationMessage = control.validity?.valid
+          ? ""
+          : control.validationMessage || "";
+        if (
+          !validationMessage &&
+          control.getAttribute("aria-invalid") === "true"
+        ) {
+          const ids = `${control.getAttribute("aria-errormessage") || ""} ${control.getAttribute("aria-describedby") || ""}`;
+          validationMessage = ids
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((id) => document.getElementById(id)?.innerText?.trim())
+            .filter(Boolean)
+            .join(" ");
+          validationMessage ||= "Marked invalid (aria-invalid)";
+        }
+        if (validationMessage) {
+          result.validationMessage = validationMessage;
+        }
+      }
+
+      const messages = Array.from(
+        document.querySelectorAll(
+          '[role="alert"], [aria-live="assertive"], .error, .error-message, .invalid-feedback, .field-error, .form-error',
+        ),
+      )
+        .filter(isVisible)
+        .map((node) => node.innerText.trim())
+        .filter(Boolean)
+        .filter((text, index, all) => all.indexOf(text) === index)
+        .slice(0, 20);
+
+      const filled = results.filter((result) => result.success).length;
+      return {
+        message: `Filled ${filled} of ${results.length} field(s)`,
+        fields: results,
+        messages,
+        elementInfo: undefined,
+      };
+    },
+
+    uploadFile: () => {
+      const { files = [] } = options;
+      // A label stands for the input it labels
+      const input =
+        element.tagName === "LABEL" && element.control
+          ? element.control
+          : element;
+      if (input.tagName !== "INPUT" || input.type !== "file") {
+        return fail(`Element is not a file input: ${label}`);
+      }
+      if (input.disabled) {
+        return fail(`File input is disabled: ${label}`);
+      }
+      if (files.length > 1 && !input.multiple) {
+        return fail(`File input does not accept multiple files: ${label}`);
+      }
+
+      const transfer = new DataTransfer();
+      for (const { name, mimeType, data } of files) {
+        const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+        transfer.items.add(new File([bytes], name, { type: mimeType }));
+      }
+      input.files = transfer.files;
+      input.dispatchEvent(new Event("input", { bubbles: true }));
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+
+      return {
+        message: `Attached ${input.files.length} file(s)`,
+        files: Array.from(input.files, (file) => ({
+          name: file.name,
+          size: file.size,
+          type: file.type,
+        })),
+      };
+    },
+
+    type: () => {
+      const { text = "", clear = false } = options;
+
+      if (!isTextField(element) && !element.isContentEditable) {
+        return fail(`Element is not a text input field: ${label}`);
+      }
+
+      element.scrollIntoView({ behavior: "instant", block: "center" });
+      element.focus();
+
+      if (element.isContentEditable) {
+        element.textContent = (clear ? "" : element.textContent) + text;
+      } else {
+        // Native setter, so frameworks tracking the value see the change
+        const setValue = Object.getOwnPropertyDescriptor(
+          Object.getPrototypeOf(element),
+          "value",
+        ).set;
+        setValue.call(element, (clear ? "" : element.value) + text);
+      }
+
+      element.dispatchEvent(new Event("input", { bubbles: true }));
+      element.dispatchEvent(new Event("change", { bubbles: true }));
+
+      const value = element.isContentEditable
+        ? element.textContent
+        : element.value;
+      return {
+        message: "Text typed successfully",
+        value:
+          element.type === "password"
+            ? "•".repeat(value.length)
+            : value.substring(0, 100),
+      };
+    },
+
+    press: async () => {
+      const { keys = [], delay = 0 } = options;
+      const sequence = Array.isArray(keys) ? keys : [keys];
+      const chords = [];
+      for (const spec of sequence) {
+        const chord = parseChord(spec);
+        if (chord.error) {
+          return fail(chord.error);
+        }
+        chords.push(chord);
+      }
+
+      if (selector || ref) {
+        element.scrollIntoView({ behavior: "instant", block: "center" });
+        element.focus();
+      }
+
+      let current = element;
+      const prevented = [];
+      for (const [index, chord] of chords.entries()) {
+        if (index > 0 && delay > 0) {
+          await new Promise((done) => setTimeout(done, delay));
+        }
+        if (!current.isConnected) {
+          current = document.activeElement || document.body;
+        }
+        const outcome = pressChord(current, chord);
+        if (outcome.prevented) {
+          prevented.push(sequence[index]);
+        }
+        current = outcome.target;
+      }
+
+      return {
+        message: `Pressed ${sequence.join(", ")}`,
+        keys: sequence,
+        prevented,
+        elementInfo: describe(current),
+      };
+    },
+  };
+
+  if (!actions[action]) {
+    return fail(`Unknown element action: ${action}`);
+  }
+
+  try {
+    const result = await actions[action]();
+    if (result.success === false) {
+      return result;
+    }
+    return { success: true, elementInfo: describe(element), ...result };
+  } catch (error) {
+    return fail(error.message);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * HAR Recording for Browser Tools MCP Extension
+ *
+ * Implements the start and stop markers of browser_export_har: between them,
+ * the chrome.debugger Network and Page events of a tab are recorded as they
+ * arrive, together with the response bodies when requested. The bridge
+ * turns the recording into a HAR 1.2 file (mcp-server/modules/har.mjs).
+ *
+ * The debugger is shared with request interception (debugger-sessions.js),
+ * so a tab can record and have routes at the same time; mocked responses
+ * show up in the HAR like any other.
+ *
+ * Loaded by the background service worker (importScripts); a recording is
+ * lost when the debugger detaches or the tab closes.
+ */
+
+const HAR_EVENTS = new Set([
+  "Network.requestWillBeSent",
+  "Network.requestWillBeSentExtraInfo",
+  "Network.responseReceived",
+  "Network.responseReceivedExtraInfo",
+  "Network.loadingFinished",
+  "Network.loadingFailed",
+  "Page.domContentEventFired",
+  "Page.loadEventFired",
+]);
+const MAX_HAR_EVENTS = 20000;
+// All captured bodies of a recording together (they travel in one message)
+const MAX_HAR_BODY_TOTAL = 20 * 1024 * 1024;
+
+// Recordings in progress by tab
+const harRecordings = new Map();
+
+/**
+ * Start recording the network activity of a tab
+ * @param {number} tabId
+ * @param {Object} options
+ * @param {boolean} options.includeBodies - Capture response bodies
+ * @param {number} options.maxBodySize - Largest body to capture (bytes)
+ * @returns {Promise<{startedAt: string}>}
+ */
+async function startHarRecording(tabId, { includeBodies, maxBodySize }) {
+  if (harRecordings.has(tabId)) {
+    throw new Error(`HAR recording already in progress for tab ${tabId}`);
+  }
+
+  const recording = {
+    startedAt: new Date().toISOString(),
+    includeBodies,
+    maxBodySize,
+    events: [],
+    bodies: {},
+    bodyBytes: 0,
+    pendingBodies: new Set(),
+    truncated: false,
+    mainFrameId: null,
+  };
+  // Registered first so events arriving during setup are kept
+  harRecordings.set(tabId, recording);
+
+  try {
+    await acquireDebugger(tabId, "har");
+    const target = { tabId };
+    await chrome.debugger.sendCommand(
+      target,
+      "Network.enable",
+      includeBodies
+        ? {
+            maxTotalBufferSize: MAX_HAR_BODY_TOTAL,
+            maxResourceBufferSize: maxBodySize,
+          }
+        : {},
+    );
+    await chrome.debugger.sendCommand(target, "Page.enable");
+    const { frameTree } = await chrome.debugger.sendCommand(
+      target,
+      "Page.getFrameTree",
+    );
+    recording.mainFrameId = frameTree.frame.id;
+  } catch (error) {
+    harRecordings.delete(tabId);
+    await releaseDebugger(tabId, "har");
+    throw error;
+  }
+
+  return { startedAt: recording.startedAt };
+}
+
+/**
+ * Stop recording and hand over what was recorded
+ * @param {number} tabId
+ * @returns {Promise<Object>} {startedAt, stoppedAt, events, bodies,
+ *   mainFrameId, browser, truncated}
+ */
+async function stopHarRecording(tabId) {
+  const recording = harRecordings.get(tabId);
+  if (!recording) {
+    throw new Error(`No HAR recording in progress for tab ${tabId}`);
+  }
+
+  // Bodies of requests that finished just before the stop marker
+  await Promise.allSettled([...recording.pendingBodies]);
+  harRecordings.delete(tabId);
+
+  try {
+    await chrome.debugger.sendCommand({ tabId }, "Network.disable");
+  } catch (error) {
+    // Already detached (tab closed or debugging cancelled by the user)
+  }
+  await releaseDebugger(tabId, "har");
+
+  const version = navigator.userAgent.match(/Chrome\/([\d.]+)/)?.[1] ?? "";
+  return {
+    startedAt: recording.startedAt,
+    stoppedAt: new Date().toISOString(),
+    events: recording.events,
+    bodies: recording.bodies,
+    mainFrameId: recording.mainFrameId,
+    browser: { name: "Chrome", version },
+    truncated: recording.truncated,
+  };
+}
+
+// Fetch a response body while it is still in the debugger's buffer
+async function captureResponseBody(tabId, recording, params) {
+  const { requestId, encodedDataLength } = params;
+
+  if (encodedDataLength > recording.maxBodySize) {
+    recording.bodies[requestId] = {
+      omitted: `Body larger than maxBodySize (${recording.maxBodySize} bytes)`,
+    };
+    return;
+  }
+
+  try {
+    const { body, base64Encoded } = await chrome.debugger.sendCommand(
+      { tabId },
+      "Network.getResponseBody",
+      { requestId },
+    );
+    const size = base64Encoded
+      ? Math.floor((body.length * 3) / 4)
+      : body.length;
+
+    if (size > recording.maxBodySize) {
+      recording.bodies[requestId] = {
+        omitted: `Body larger than maxBodySize (${recording.maxBodySize} bytes)`,
+      };
+    } else if (recording.bodyBytes + size > MAX_HAR_BODY_TOTAL) {
+      recording.bodies[requestId] = {
+        omitted: `Recording body limit reached (${MAX_HAR_BODY_TOTAL} bytes)`,
+      };
+    } else {
+      recording.bodyBytes += size;
+      recording.bodies[requestId] = { body, base64Encoded };
+    }
+  } catch (error) {
+    // Redirects, 204s and evicted buffers have no body to return
+    recording.bodies[requestId] = { omitted: error.message };
+  }
+}
+
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  const recording = harRecordings.get(source.tabId);
+  if (!recording || !HAR_EVENTS.has(method)) {
+    return;
+  }
+
+  if (recording.events.length >= MAX_HAR_EVENTS) {
+    recording.truncated = true;
+    return;
+  }
+  recording.events.push({ method, params });
+
+  if (method === "Network.loadingFinished" && recording.includeBodies) {
+    const pending = captureResponseBody(source.tabId, recording, params);
+    recording.pendingBodies.add(pending);
+    pending.finally(() => recording.pendingBodies.delete(pending));
+  }
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  if (harRecordings.delete(source.tabId)) {
+    console.log(`🔌 HAR recording of tab ${source.tabId} lost (${reason})`);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  harRecordings.delete(tabId);
+});
@@ -11,6 +11,9 @@
  * Features:
  * - URL validation and normalization
  * - Navigation with proper error handling (navigationResult messages per AsyncAPI)
+ * - Wait conditions (commit, DOMContentLoaded, load, network idle, selector)
+ *   with the HTTP status and redirect chain of the main document
+ * - Back, forward, reload and stop, tracked like navigations
  * - Loading state management
  * - Integration with Configuration Panel UI
  * - Real-time status updates via WebSocket
@@ -18,11 +21,16 @@
  * @see {@link ./contracts/websocket.asyncapi.yaml} NavigationResultMessage schema
  */
 
+// Quiet period without requests that counts as network idle
+const NETWORK_IDLE_MS = 500;
+
 class NavigationHandler {
   constructor() {
     this.isNavigating = false;
     this.navigationTimeout = 10000; // 10 second timeout
     this.currentNavigationController = null;
+    this.currentRequestId = null; // Bridge request being served
+    this.navigationCancelled = false;
     this.activeNavigationListener = null; // Track active listener for cleanup
     this.retryAttempts = 0;
     this.maxRetries = 2; // Maximum retry attempts for transient failures
@@ -94,6 +102,9 @@ class NavigationHandler {
     this.validateUrl = this.validateUrl.bind(this);
     this.normalizeUrl = this.normalizeUrl.bind(this);
     this.navigateToUrl = this.navigateToUrl.bind(this);
+    this.trackNavigation = this.trackNavigation.bind(this);
+    this.handleHistoryRequest = this.handleHistoryRequest.bind(this);
+    this.handleStopRequest = this.handleStopRequest.bind(this);
     this.updateNavigationStatus = this.updateNavigationStatus.bind(this);
     this.createManagedListener = this.createManagedListener.bind(this);
     this.removeListener = this.removeListener.bind(this);
@@ -113,9 +124,15 @@ class NavigationHandler {
    * @param {Function} sendResponse - Response callback function
    */
   async handleNavigationRequest(message, sendResponse) {
-    const { url, requestId, timeout } = message;
+    const { url, requestId, timeout, tabId, waitUntil = "load" } = message;
 
-    console.log("🧭 Navigation request received:", { url, requestId, timeout });
+    console.log("🧭 Navigation request received:", {
+      url,
+      requestId,
+      timeout,
+      tabId,
+      waitUntil,
+    });
 
     // Enhanced message validation
     if (!message || typeof message !== "object") {
@@ -149,6 +166,18 @@ class NavigationHandler {
       return;
     }
 
+    // Wait condition: a lifecycle event or a CSS selector
+    if (typeof waitUntil !== "string" || waitUntil.trim() === "") {
+      const error =
+        'waitUntil must be "commit", "domcontentloaded", "load", "networkidle" or a selector';
+      this.addLogEntry("error", error);
+      this.sendNavigationResponse(sendResponse, requestId, {
+        success: false,
+        error,
+      });
+      return;
+    }
+
     // Check if already navigating
     if (this.isNavigating) {
       const error = "Navigation already in progress";
@@ -180,6 +209,8 @@ class NavigationHandler {
       // Start navigation (thread-safe)
       this.threadSafeConfig.setNavigationStateSafe(true);
       this.isNavigating = true;
+      this.currentRequestId = requestId;
+      this.navigationCancelled = false;
       this.updateNavigationStatus(
         "navigating",
         `Navigating to ${normalizedUrl}...`
@@ -187,7 +218,11 @@ class NavigationHandler {
       this.addLogEntry("info", `Navigating to: ${normalizedUrl}`);
 
       // Perform navigation with retry logic
-      const result = await this.navigateToUrlWithRetry(normalizedUrl);
+      const result = await this.navigateToUrlWithRetry(
+        normalizedUrl,
+        tabId,
+        waitUntil
+      );
 
       if (result.success) {
         console.log("✅ Navigation successful");
@@ -199,6 +234,9 @@ class NavigationHandler {
           finalUrl: result.finalUrl,
           title: result.title,
           loadTime: result.loadTime,
+          status: result.status,
+          redirectChain: result.redirectChain,
+          waitUntil,
           timestamp: Date.now(),
         });
       } else {
@@ -235,6 +273,7 @@ class NavigationHandler {
       // Reset navigation state (thread-safe)
       this.threadSafeConfig.setNavigationStateSafe(false);
       this.isNavigating = false;
+      this.currentRequestId = null;
       this.retryAttempts = 0; // Reset retry counter
       // Reset timeout to default
       this.navigationTimeout = 10000;
@@ -382,10 +421,20 @@ class NavigationHandler {
 
   /**
    * Navigation with retry logic for transient failures
+   *
+   * The navigation timeout covers all attempts: each attempt gets the time
+   * left, and no retry starts once its backoff would run past the deadline.
+   *
    * @param {string} url - Normalized URL to navigate to
+   * @param {number} [tabId] - Tab to navigate (defaults to the inspected tab)
+   * @param {string} [waitUntil="load"] - Wait condition (see trackNavigation)
    * @returns {Promise<Object>} Navigation result
    */
-  async navigateToUrlWithRetry(url) {
+  async navigateToUrlWithRetry(url, tabId, waitUntil = "load") {
+    const deadline = Date.now() + this.navigationTimeout;
+    const canRetry = (attempt) =>
+      attempt < this.maxRetries &&
+      Date.now() + this.retryDelay(attempt + 1) < deadline;
     let lastError = null;
 
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
@@ -399,15 +448,16 @@ class NavigationHandler {
             `Retry attempt ${attempt}/${this.maxRetries}`
           );
           // Wait before retry (exponential backoff with 5-second cap)
-          const baseDelay = 1000;
-          const exponentialDelay = Math.pow(2, attempt) * baseDelay;
-          const cappedDelay = Math.min(exponentialDelay, 5000); // Max 5 seconds
+          const cappedDelay = this.retryDelay(attempt);
           console.log(`⏳ Waiting ${cappedDelay}ms before retry...`);
           await new Promise((resolve) => setTimeout(resolve, cappedDelay));
         }
 
         this.retryAttempts = attempt;
-        const result = await this.navigateToUrl(url);
+        const result = await this.navigateToUrl(url, tabId, {
+          waitUntil,
+          timeout: deadline - Date.now(),
+        });
 
         if (result.success) {
           return result;
@@ -423,7 +473,7 @@ class NavigationHandler {
             result.error.includes("ERR_") ||
             result.error.includes("connection"));
 
-        if (!isRetryable || attempt === this.maxRetries) {
+        if (!isRetryable || !canRetry(attempt)) {
           return result;
         }
       } catch (error) {
@@ -434,7 +484,7 @@ class NavigationHandler {
         );
 
         // Don't retry on non-recoverable errors
-        if (attempt === this.maxRetries || !this.isRetryableError(error)) {
+        if (!canRetry(attempt) || !this.isRetryableError(error)) {
           throw error;
         }
       }
@@ -443,6 +493,16 @@ class NavigationHandler {
     throw lastError || new Error("Navigation failed after all retry attempts");
   }
 
+  /**
+   * Backoff before a retry attempt (exponential with 5-second cap)
+   * @param {number} attempt - Retry attempt (1 for the first retry)
+   * @returns {number} Delay in milliseconds
+   */
+  retryDelay(attempt) {
+    const baseDelay = 1000;
+    return Math.min(Math.pow(2, attempt) * baseDelay, 5000); // Max 5 seconds
+  }
+
   /**
    * Check if an error is retryable
    * @param {Error} error - Error to check
@@ -484,90 +544,196 @@ class NavigationHandler {
   /**
    * Perform the actual navigation
    * @param {string} url - Normalized URL to navigate to
+   * @param {number} [targetTabId] - Tab to navigate (defaults to the inspected tab)
+   * @param {Object} [options] - trackNavigation options (waitUntil, timeout)
    * @returns {Promise<Object>} Navigation result
    */
-  async navigateToUrl(url) {
+  async navigateToUrl(url, targetTabId, options = {}) {
+    console.log(`🧭 Navigating to: ${url}`);
+
+    return this.trackNavigation(
+      targetTabId,
+      `navigation-${url.substring(0, 50)}`,
+      (tabId, callback) => chrome.tabs.update(tabId, { url }, callback),
+      options
+    );
+  }
+
+  /**
+   * Start a navigation and wait until the page reaches a wait condition
+   *
+   * Shared by navigateToUrl and the history tools. Every Chrome event
+   * listener comes from the listener pool and is removed when the navigation
+   * settles; the timeout and cancelRequest abort the wait through
+   * currentNavigationController.
+   *
+   * Wait conditions: "commit" (the new document is committed),
+   * "domcontentloaded", "load", "networkidle" (load, then no requests for
+   * NETWORK_IDLE_MS) or a CSS selector (DOMContentLoaded, then the element
+   * exists). The main-frame response is watched for the HTTP status and the
+   * redirect chain; a network error (other than an abort) fails the
+   * navigation.
+   *
+   * @param {number} [targetTabId] - Tab to navigate (defaults to the inspected tab)
+   * @param {string} description - Debug description for the managed listeners
+   * @param {Function} startNavigation - Called with (tabId, callback); starts
+   *   the navigation with a Chrome API that calls back when it was accepted
+   * @param {Object} [options]
+   * @param {string} [options.waitUntil="load"] - Wait condition
+   * @param {number} [options.timeout=this.navigationTimeout] - Milliseconds
+   * @returns {Promise<Object>} {success, finalUrl, title, loadTime, status,
+   *   redirectChain} or {success: false, error, loadTime}
+   */
+  async trackNavigation(
+    targetTabId,
+    description,
+    startNavigation,
+    { waitUntil = "load", timeout = this.navigationTimeout } = {}
+  ) {
     const startTime = Date.now();
+    const managedListeners = [];
+
+    // Add a pooled listener to a Chrome event for this navigation only
+    const listen = (event, listenerFunction, ...extraArgs) => {
+      const managedListener = this.createManagedListener(
+        listenerFunction,
+        description,
+        event
+      );
+      event.addListener(managedListener.listener, ...extraArgs);
+      managedListeners.push(managedListener);
+      return managedListener;
+    };
 
     try {
-      // Get current tab ID
-      const tabId = chrome.devtools?.inspectedWindow?.tabId;
+      // Requested tab, or the tab this DevTools panel is inspecting
+      const tabId = targetTabId || chrome.devtools?.inspectedWindow?.tabId;
       if (!tabId) {
         throw new Error("No active tab found");
       }
 
-      console.log(`🧭 Navigating tab ${tabId} to: ${url}`);
-
       // Create abort controller for timeout
       this.currentNavigationController = new AbortController();
+      const { signal } = this.currentNavigationController;
 
       // Set up timeout
       const timeoutId = setTimeout(() => {
         if (this.currentNavigationController) {
           this.currentNavigationController.abort();
         }
-      }, this.navigationTimeout);
-
-      // Perform navigation using Chrome APIs
-      return new Promise((resolve, reject) => {
-        // Create managed listener for navigation completion
-        const updateListenerFunction = (updatedTabId, changeInfo, tab) => {
-          if (updatedTabId !== tabId) return;
+      }, timeout);
+
+      // Every stage below races against the timeout and cancellation
+      const aborted = new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => {
+          reject(
+            new Error(
+              this.navigationCancelled
+                ? "Navigation cancelled"
+                : `Navigation timeout after ${timeout}ms (waiting for ${waitUntil})`
+            )
+          );
+        });
+      });
+      aborted.catch(() => {});
+
+      // Main-frame response: HTTP status and redirect chain
+      const response = { status: undefined, redirectChain: [] };
+      const mainFrame = { urls: ["<all_urls>"], tabId, types: ["main_frame"] };
+      listen(
+        chrome.webRequest.onBeforeRedirect,
+        (details) => {
+          response.redirectChain.push({
+            url: details.url,
+            status: details.statusCode,
+            location: details.redirectUrl,
+          });
+        },
+        mainFrame
+      );
+      listen(
+        chrome.webRequest.onResponseStarted,
+        (details) => {
+          response.status = details.statusCode;
+        },
+        mainFrame
+      );
 
-          // Check for loading complete
-          if (changeInfo.status === "complete" && tab.url) {
-            clearTimeout(timeoutId);
-            managedListener.remove(); // Use managed removal
+      // Requests of the tab in flight, for networkidle
+      const network = { inFlight: new Set(), lastActivity: Date.now() };
+      if (waitUntil === "networkidle") {
+        const allRequests = { urls: ["<all_urls>"], tabId };
+        const settled = (details) => {
+          network.inFlight.delete(details.requestId);
+          network.lastActivity = Date.now();
+        };
+        listen(
+          chrome.webRequest.onBeforeRequest,
+          (details) => {
+            network.inFlight.add(details.requestId);
+            network.lastActivity = Date.now();
+          },
+          allRequests
+        );
+        listen(chrome.webRequest.onCompleted, settled, allRequests);
+        listen(chrome.webRequest.onErrorOccurred, settled, allRequests);
+      }
 
-            const loadTime = Date.now() - startTime;
-            console.log(`✅ Navigation completed in ${loadTime}ms`);
+      const milestone = ["commit", "domcontentloaded"].includes(waitUntil)
+        ? waitUntil
+        : ["load", "networkidle"].includes(waitUntil)
+          ? "load"
+          : "domcontentloaded"; // selector
 
-            resolve({
-              success: true,
-              finalUrl: tab.url,
-              title: tab.title,
-              loadTime,
-            });
-          }
+      // Perform navigation using Chrome APIs and wait for the milestone
+      const reached = new Promise((resolve, reject) => {
+        const isMainFrame = (details) =>
+          details.tabId === tabId && details.frameId === 0;
 
-          // Check for navigation errors
-          if (changeInfo.status === "complete" && !tab.url) {
-            clearTimeout(timeoutId);
-            managedListener.remove(); // Use managed removal
-            reject(new Error("Navigation completed but no URL available"));
+        // Load complete; same-document history entries (pushState,
+        // fragments) only change the URL of a loaded tab. Either also ends
+        // the earlier milestones.
+        const updateListenerFunction = (updatedTabId, changeInfo, tab) => {
+          if (updatedTabId !== tabId) return;
+          if (
+            changeInfo.status === "complete" ||
+            (changeInfo.url && tab.status === "complete")
+          ) {
+            resolve();
           }
         };
-
-        // Create managed listener with pool management
-        const managedListener = this.createManagedListener(
-          updateListenerFunction,
-          `navigation-${url.substring(0, 50)}`
+        const managedListener = listen(
+          chrome.tabs.onUpdated,
+          updateListenerFunction
         );
 
         // Store reference for legacy compatibility
         this.activeNavigationListener = managedListener.listener;
 
-        // Set up timeout rejection
-        this.currentNavigationController.signal.addEventListener(
-          "abort",
-          () => {
-            managedListener.remove(); // Use managed removal
-            this.activeNavigationListener = null;
-            reject(
-              new Error(`Navigation timeout after ${this.navigationTimeout}ms`)
-            );
-          }
-        );
+        if (milestone === "commit") {
+          listen(chrome.webNavigation.onCommitted, (details) => {
+            if (isMainFrame(details)) resolve();
+          });
+        } else if (milestone === "domcontentloaded") {
+          listen(chrome.webNavigation.onDOMContentLoaded, (details) => {
+            if (isMainFrame(details)) resolve();
+          });
+        }
 
-        // Start listening for updates using managed listener
-        chrome.tabs.onUpdated.addListener(managedListener.listener);
+        listen(
+          chrome.webRequest.onErrorOccurred,
+          (details) => {
+            // Aborted requests are superseded or stopped navigations
+            if (details.error !== "net::ERR_ABORTED") {
+              reject(new Error(`Navigation failed: ${details.error}`));
+            }
+          },
+          mainFrame
+        );
 
         // Perform the navigation
-        chrome.tabs.update(tabId, { url }, (tab) => {
+        startNavigation(tabId, () => {
           if (chrome.runtime.lastError) {
-            clearTimeout(timeoutId);
-            managedListener.remove(); // Use managed removal
-            this.activeNavigationListener = null;
             reject(
               new Error(
                 `Navigation failed: ${chrome.runtime.lastError.message}`
@@ -579,6 +745,36 @@ class NavigationHandler {
           console.log("🔄 Navigation started successfully");
         });
       });
+
+      await Promise.race([reached, aborted]);
+
+      if (waitUntil === "networkidle") {
+        await Promise.race([this.waitForNetworkIdle(network, signal), aborted]);
+      } else if (milestone !== waitUntil) {
+        await Promise.race([
+          this.waitForSelector(tabId, waitUntil, signal),
+          aborted,
+        ]);
+      }
+
+      clearTimeout(timeoutId);
+
+      const tab = await chrome.tabs.get(tabId);
+      if (!tab.url) {
+        throw new Error("Navigation completed but no URL available");
+      }
+
+      const loadTime = Date.now() - startTime;
+      console.log(`✅ Navigation reached ${waitUntil} in ${loadTime}ms`);
+
+      return {
+        success: true,
+        finalUrl: tab.url,
+        title: tab.title,
+        loadTime,
+        status: response.status,
+        redirectChain: response.redirectChain,
+      };
     } catch (error) {
       const loadTime = Date.now() - startTime;
       console.error(`❌ Navigation failed after ${loadTime}ms:`, error);
@@ -588,10 +784,232 @@ class NavigationHandler {
         loadTime,
       };
     } finally {
+      managedListeners.forEach((managedListener) => managedListener.remove());
+      this.activeNavigationListener = null;
       this.currentNavigationController = null;
     }
   }
 
+  /**
+   * Wait until the tab has had no requests in flight for NETWORK_IDLE_MS
+   * @param {Object} network - {inFlight, lastActivity} kept by trackNavigation
+   * @param {AbortSignal} signal - Navigation abort signal
+   * @returns {Promise<void>}
+   */
+  waitForNetworkIdle(network, signal) {
+    return new Promise((resolve) => {
+      const intervalId = setInterval(() => {
+        if (signal.aborted) {
+          clearInterval(intervalId);
+          return;
+        }
+        if (
+          network.inFlight.size === 0 &&
+          Date.now() - network.lastActivity >= NETWORK_IDLE_MS
+        ) {
+          clearInterval(intervalId);
+          resolve();
+        }
+      }, 100);
+    });
+  }
+
+  /**
+   * Wait until an element matching a selector exists in the tab
+   * @param {number} tabId - Tab to check
+   * @param {string} selector - CSS selector
+   * @param {AbortSignal} signal - Navigation abort signal
+   * @returns {Promise<void>}
+   * @throws {Error} If the selector is invalid
+   */
+  async waitForSelector(tabId, selector, signal) {
+    while (!signal.aborted) {
+      let found = false;
+      try {
+        const [injection] = await chrome.scripting.executeScript({
+          target: { tabId },
+          func: (selector) => {
+            try {
+              return Boolean(document.querySelector(selector));
+            } catch (error) {
+              return null;
+            }
+          },
+          args: [selector],
+        });
+        found = injection?.result;
+      } catch (error) {
+        // The document can be replaced while polling; try again
+        console.warn("⚠️ Selector check failed:", error.message);
+      }
+
+      if (found === null) {
+        throw new Error(`Invalid selector for waitUntil: ${selector}`);
+      }
+      if (found) {
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Handle a back, forward or reload request from WebSocket
+   * @param {Object} message - WebSocket message with action "goBack",
+   *   "goForward" or "reload" (bypassCache), and optional tabId and timeout
+   * @param {Function} sendResponse - Response callback function
+   */
+  async handleHistoryRequest(message, sendResponse) {
+    const { action, requestId, timeout, tabId, bypassCache } = message;
+
+    const historyNavigations = {
+      goBack: {
+        label: "Going back",
+        start: (id, callback) => chrome.tabs.goBack(id, callback),
+      },
+      goForward: {
+        label: "Going forward",
+        start: (id, callback) => chrome.tabs.goForward(id, callback),
+      },
+      reload: {
+        label: bypassCache ? "Reloading (bypassing cache)" : "Reloading",
+        start: (id, callback) =>
+          chrome.tabs.reload(
+            id,
+            { bypassCache: Boolean(bypassCache) },
+            callback
+          ),
+      },
+    };
+
+    const navigation = historyNavigations[action];
+    if (!navigation) {
+      this.sendNavigationResponse(sendResponse, requestId, {
+        success: false,
+        error: `Unknown history action: ${action}`,
+      });
+      return;
+    }
+
+    // Check if already navigating
+    if (this.isNavigating) {
+      const error = "Navigation already in progress";
+      console.warn("⚠️ Navigation warning:", error);
+      this.addLogEntry("error", error);
+      this.sendNavigationResponse(sendResponse, requestId, {
+        success: false,
+        error,
+      });
+      return;
+    }
+
+    if (timeout && typeof timeout === "number" && timeout > 0) {
+      this.navigationTimeout = this.threadSafeConfig.setTimeoutSafe(timeout);
+    }
+
+    try {
+      this.threadSafeConfig.setNavigationStateSafe(true);
+      this.isNavigating = true;
+      this.currentRequestId = requestId;
+      this.navigationCancelled = false;
+      this.updateNavigationStatus("navigating", `${navigation.label}...`);
+      this.addLogEntry("info", navigation.label);
+
+      const result = await this.trackNavigation(
+        tabId,
+        `history-${action}`,
+        navigation.start
+      );
+
+      if (result.success) {
+        this.addLogEntry("info", `${navigation.label}: ${result.finalUrl}`);
+        this.updateNavigationStatus("success", `Loaded: ${result.finalUrl}`);
+        this.sendNavigationResponse(sendResponse, requestId, {
+          success: true,
+          finalUrl: result.finalUrl,
+          title: result.title,
+          loadTime: result.loadTime,
+        });
+      } else {
+        this.addLogEntry(
+          "error",
+          `${navigation.label} failed: ${result.error}`
+        );
+        this.updateNavigationStatus("error", `Failed: ${result.error}`);
+        this.sendNavigationResponse(sendResponse, requestId, {
+          success: false,
+          error: result.error,
+        });
+      }
+    } finally {
+      this.threadSafeConfig.setNavigationStateSafe(false);
+      this.isNavigating = false;
+      this.currentRequestId = null;
+      this.navigationTimeout = 10000;
+
+      setTimeout(() => {
+        this.updateNavigationStatus("ready", "Ready for navigation");
+      }, 3000);
+    }
+  }
+
+  /**
+   * Stop loading the page in a tab, like the browser's stop button
+   *
+   * A navigation this handler is waiting for fails as cancelled. Chrome has
+   * no tabs API for stopping, so window.stop() runs in the page; it also
+   * aborts a navigation that has not committed yet.
+   *
+   * @param {Object} message - WebSocket message with optional tabId
+   * @param {Function} sendResponse - Response callback function
+   */
+  async handleStopRequest(message, sendResponse) {
+    const { requestId } = message;
+    const startTime = Date.now();
+
+    try {
+      const tabId = message.tabId || chrome.devtools?.inspectedWindow?.tabId;
+      if (!tabId) {
+        throw new Error("No active tab found");
+      }
+
+      const before = await chrome.tabs.get(tabId);
+      const wasLoading = before.status === "loading";
+
+      if (this.isNavigating && this.currentNavigationController) {
+        this.navigationCancelled = true;
+        this.currentNavigationController.abort();
+      }
+
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => window.stop(),
+        injectImmediately: true,
+      });
+
+      const tab = await chrome.tabs.get(tabId);
+      this.addLogEntry(
+        "info",
+        wasLoading ? `Stopped loading: ${tab.url}` : "Page was not loading"
+      );
+      this.updateNavigationStatus("ready", "Loading stopped");
+      this.sendNavigationResponse(sendResponse, requestId, {
+        success: true,
+        finalUrl: tab.url,
+        title: tab.title,
+        loadTime: Date.now() - startTime,
+        wasLoading,
+      });
+    } catch (error) {
+      console.error("❌ Stop failed:", error);
+      this.addLogEntry("error", `Stop failed: ${error.message}`);
+      this.sendNavigationResponse(sendResponse, requestId, {
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Update navigation status in the UI
    * @param {string} state - Navigation state (ready, navigating, success, error)
@@ -646,6 +1064,24 @@ class NavigationHandler {
     }
   }
 
+  /**
+   * Cancel the navigation serving a bridge request (MCP cancellation)
+   * @param {string} requestId - Request identifier from the bridge
+   * @returns {boolean} Whether a navigation was cancelled
+   */
+  cancelRequest(requestId) {
+    if (!this.isNavigating || this.currentRequestId !== requestId) {
+      return false;
+    }
+
+    console.log(`🛑 Cancelling navigation for request ${requestId}`);
+    this.navigationCancelled = true;
+    if (this.currentNavigationController) {
+      this.currentNavigationController.abort();
+    }
+    return true;
+  }
+
   /**
    * Cancel any ongoing navigation with proper cleanup
    */
@@ -746,6 +1182,8 @@ class NavigationHandler {
    *
    * @param {Function} listenerFunction - The listener callback function to manage
    * @param {string} [description="navigation"] - Debug description for the listener
+   * @param {Object} [event=chrome.tabs.onUpdated] - Chrome event the caller adds
+   *   the listener to; remove() takes it off this event
    * @returns {Object} Listener management object with the following properties:
    *   - id: {string} Unique listener identifier
    *   - listener: {Function} Wrapped listener function with usage tracking
@@ -766,7 +1204,11 @@ class NavigationHandler {
    * @throws {Error} When listener pool is at capacity and cleanup fails
    * @since 1.1.0
    */
-  createManagedListener(listenerFunction, description = "navigation") {
+  createManagedListener(
+    listenerFunction,
+    description = "navigation",
+    event = chrome.tabs.onUpdated
+  ) {
     // Check if we're approaching listener limit
     if (this.listenerPool.size >= this.maxConcurrentListeners) {
       console.warn(
@@ -779,6 +1221,8 @@ class NavigationHandler {
     const listenerData = {
       id: listenerId,
       function: listenerFunction,
+      listener: null,
+      event,
       description,
       createdAt: Date.now(),
       isActive: true,
@@ -794,6 +1238,7 @@ class NavigationHandler {
       listenerData.usage.lastUsed = Date.now();
       return listenerFunction(...args);
     };
+    listenerData.listener = wrappedListener;
 
     // Store in pool
     this.listenerPool.set(listenerId, listenerData);
@@ -838,7 +1283,8 @@ class NavigationHandler {
     try {
       // Remove from Chrome API if it's still active
       if (listenerData.isActive) {
-        chrome.tabs.onUpdated.removeListener(listenerData.function);
+        // The wrapper is what was added to the event
+        listenerData.event.removeListener(listenerData.listener);
         console.log(
           `🗑️ Removed listener from Chrome API: ${listenerId} (${listenerData.description})`
         );
@@ -10,6 +10,7 @@
  * - Settings persistence
  * - UI state management
  * - Real-time status updates
+ * - Network request capture (forwarded to the HTTP bridge)
  */
 
 // Application state
@@ -32,6 +33,10 @@ let isDiscoveryInProgress = false;
 let discoveryController = null;
 let navigationHandler = null;
 
+// Bridge request IDs handed to the background script and not yet answered,
+// so its progress reports can be forwarded to the right request
+const pendingInteractionRequests = new Set();
+
 // DOM elements (will be initialized when DOM loads)
 let elements = {};
 
@@ -43,6 +48,7 @@ document.addEventListener("DOMContentLoaded", () => {
   loadSettings();
   initializeWebSocket();
   initializeNavigationHandler();
+  initializeNetworkCapture();
   setupEventListeners();
 
   console.log("✅ Browser Tools Panel initialized");
@@ -171,6 +177,95 @@ function initializeNavigationHandler() {
   }
 }
 
+function initializeNetworkCapture() {
+  if (!chrome.devtools?.network?.onRequestFinished) {
+    console.warn("⚠️ DevTools network API not available - capture disabled");
+    return;
+  }
+
+  chrome.devtools.network.onRequestFinished.addListener((entry) => {
+    if (!wsManager || !wsManager.isConnected) {
+      return;
+    }
+
+    const request = summarizeNetworkEntry(entry);
+    wsManager.send({ type: "networkRequest", data: request });
+
+    if (request.failed || request.status >= 400) {
+      addLogEntry(
+        "error",
+        `Network: ${request.method} ${request.url} → ${request.failed ? request.error || "failed" : request.status}`,
+      );
+    }
+  });
+
+  console.log("🌐 Network capture initialized");
+}
+
+// Reduce a HAR entry to the fields exposed by browser_get_network
+function summarizeNetworkEntry(entry) {
+  const { request, response, timings } = entry;
+  const initiator = entry._initiator || {};
+  const failed = response.status === 0 || Boolean(response._error);
+
+  const summary = {
+    url: request.url,
+    method: request.method,
+    status: response.status,
+    statusText: response.statusText,
+    resourceType: entry._resourceType || "other",
+    mimeType: response.content?.mimeType || "",
+    startedDateTime: entry.startedDateTime,
+    time: entry.time,
+    timings: {
+      blocked: timings.blocked,
+      dns: timings.dns,
+      connect: timings.connect,
+      ssl: timings.ssl,
+      send: timings.send,
+      wait: timings.wait,
+      receive: timings.receive,
+    },
+    size: {
+      transfer: response._transferSize ?? response.bodySize,
+      body: response.content?.size ?? -1,
+    },
+    initiator: {
+      type: initiator.type || "other",
+      url: initiator.url || initiator.stack?.callFrames?.[0]?.url || null,
+      lineNumber:
+        initiator.lineNumber ??
+        initiator.stack?.callFrames?.[0]?.lineNumber ??
+        null,
+    },
+    fromCache: entry._fromCache || null,
+    failed,
+    error: response._error || null,
+    tabId: chrome.devtools.inspectedWindow.tabId,
+  };
+
+  if (settings.showRequestHeaders) {
+    summary.requestHeaders = summarizeHeaders(request.headers);
+  }
+  if (settings.showResponseHeaders) {
+    summary.responseHeaders = summarizeHeaders(response.headers);
+  }
+
+  return summary;
+}
+
+// Convert HAR headers to an object, truncating values to stringSizeLimit
+function summarizeHeaders(headers = []) {
+  return Object.fromEntries(
+    headers.map(({ name, value }) => [
+      name,
+      value.length > settings.stringSizeLimit
+        ? `${value.substring(0, settings.stringSizeLimit)}...`
+        : value,
+    ]),
+  );
+}
+
 function setupEventListeners() {
   // Configuration panel events
   elements.serverHost.addEventListener("change", (e) => {
@@ -504,10 +599,29 @@ function runAudit() {
     return;
   }
 
-  addLogEntry("info", "Running Lighthouse audit...");
+  addLogEntry("info", "Running page audit...");
 
-  // TODO: This will be implemented by Agent C (Audit Specialist)
-  addLogEntry("info", "Audit tool will be implemented by Agent C");
+  chrome.runtime.sendMessage(
+    {
+      type: "BROWSER_AUDIT",
+      tabId: chrome.devtools.inspectedWindow.tabId,
+    },
+    (response) => {
+      if (!response || !response.success) {
+        addLogEntry(
+          "error",
+          `Audit failed: ${response?.error || "Unknown error"}`,
+        );
+        return;
+      }
+
+      Object.entries(response.results).forEach(([category, report]) => {
+        const score =
+          report.score === null ? "n/a" : Math.round(report.score * 100);
+        addLogEntry("info", `Audit ${category}: ${score}`);
+      });
+    },
+  );
 }
 
 function getPageContent() {
@@ -617,6 +731,21 @@ function handleWebSocketMessage(message) {
       }
       break;
 
+    case "goBack":
+    case "goForward":
+    case "reload":
+      // History navigation and reload requests from MCP server
+      handleHistoryRequest(
+        "handleHistoryRequest",
+        message,
+        `${messageType}Result`,
+      );
+      break;
+
+    case "stop":
+      handleHistoryRequest("handleStopRequest", message, "stopResult");
+      break;
+
     case "click":
       // Click request from MCP server
       handleInteractionRequest("BROWSER_CLICK", message, "clickResult");
@@ -632,10 +761,194 @@ function handleWebSocketMessage(message) {
       handleInteractionRequest("BROWSER_WAIT", message, "waitResult");
       break;
 
+    case "pressKey":
+      // Keyboard input request from MCP server
+      handleInteractionRequest("BROWSER_PRESS_KEY", message, "pressKeyResult");
+      break;
+
+    case "hover":
+      // Pointer interaction requests from MCP server
+      handleInteractionRequest("BROWSER_HOVER", message, "hoverResult");
+      break;
+
+    case "doubleClick":
+      handleInteractionRequest(
+        "BROWSER_DOUBLE_CLICK",
+        message,
+        "doubleClickResult",
+      );
+      break;
+
+    case "contextClick":
+      handleInteractionRequest(
+        "BROWSER_CONTEXT_CLICK",
+        message,
+        "contextClickResult",
+      );
+      break;
+
+    case "drag":
+      handleInteractionRequest("BROWSER_DRAG", message, "dragResult");
+      break;
+
+    case "selectOption":
+      // Form control requests from MCP server
+      handleInteractionRequest(
+        "BROWSER_SELECT_OPTION",
+        message,
+        "selectOptionResult",
+      );
+      break;
+
+    case "setChecked":
+      handleInteractionRequest(
+        "BROWSER_SET_CHECKED",
+        message,
+        "setCheckedResult",
+      );
+      break;
+
+    case "fillForm":
+      handleInteractionRequest("BROWSER_FILL_FORM", message, "fillFormResult");
+      break;
+
+    case "uploadFile":
+      handleInteractionRequest(
+        "BROWSER_UPLOAD_FILE",
+        message,
+        "uploadFileResult",
+      );
+      break;
+
+    case "snapshot":
+      // Accessibility snapshot request from MCP server
+      handleInteractionRequest("BROWSER_SNAPSHOT", message, "snapshotResult");
+      break;
+
+    case "audit":
+      // Audit request from MCP server
+      handleInteractionRequest("BROWSER_AUDIT", message, "auditResult");
+      break;
+
+    case "getContent":
+      // Page content request from MCP server
+      handleInteractionRequest("BROWSER_GET_CONTENT", message, "pageContent");
+      break;
+
+    case "listTabs":
+      // Tab management requests from MCP server
+      handleInteractionRequest("BROWSER_LIST_TABS", message, "listTabsResult");
+      break;
+
+    case "openTab":
+      handleInteractionRequest("BROWSER_OPEN_TAB", message, "openTabResult");
+      break;
+
+    case "closeTab":
+      handleInteractionRequest("BROWSER_CLOSE_TAB", message, "closeTabResult");
+      break;
+
+    case "switchTab":
+      handleInteractionRequest(
+        "BROWSER_SWITCH_TAB",
+        message,
+        "switchTabResult",
+      );
+      break;
+
+    case "addRoute":
+      // Request interception requests from MCP server
+      handleInteractionRequest("BROWSER_ROUTE_ADD", message, "addRouteResult");
+      break;
+
+    case "listRoutes":
+      handleInteractionRequest(
+        "BROWSER_ROUTE_LIST",
+        message,
+        "listRoutesResult",
+      );
+      break;
+
+    case "removeRoute":
+      handleInteractionRequest(
+        "BROWSER_ROUTE_REMOVE",
+        message,
+        "removeRouteResult",
+      );
+      break;
+
+    case "harStart":
+      // HAR recording markers from MCP server
+      handleInteractionRequest("BROWSER_HAR_START", message, "harStartResult");
+      break;
+
+    case "harStop":
+      handleInteractionRequest("BROWSER_HAR_STOP", message, "harStopResult");
+      break;
+
+    case "getCookies":
+      // Cookie and storage requests from MCP server
+      handleInteractionRequest(
+        "BROWSER_GET_COOKIES",
+        message,
+        "getCookiesResult",
+      );
+      break;
+
+    case "setCookies":
+      handleInteractionRequest(
+        "BROWSER_SET_COOKIES",
+        message,
+        "setCookiesResult",
+      );
+      break;
+
+    case "clearCookies":
+      handleInteractionRequest(
+        "BROWSER_CLEAR_COOKIES",
+        message,
+        "clearCookiesResult",
+      );
+      break;
+
+    case "getStorage":
+      handleInteractionRequest(
+        "BROWSER_GET_STORAGE",
+        message,
+        "getStorageResult",
+      );
+      break;
+
+    case "setStorage":
+      handleInteractionRequest(
+        "BROWSER_SET_STORAGE",
+        message,
+        "setStorageResult",
+      );
+      break;
+
+    case "take-screenshot":
+      // Screenshot request from MCP server
+      handleInteractionRequest(
+        "BROWSER_SCREENSHOT",
+        message,
+        "screenshot-data",
+      );
+      break;
+
     case "screenshot-data":
       addLogEntry("info", "Screenshot data received");
       break;
 
+    case "cancel":
+      // The MCP client cancelled a running request; no reply is expected
+      addLogEntry("info", `Cancelling request ${requestId}`);
+      if (navigationHandler && navigationHandler.cancelRequest(requestId)) {
+        break;
+      }
+      chrome.runtime.sendMessage({ type: "CANCEL_OPERATION", requestId });
+      break;
+
     case "evaluateResult":
       addLogEntry("info", `JS Result: ${JSON.stringify(message.result)}`);
       break;
@@ -692,19 +1005,30 @@ window.addLogEntry = addLogEntry;
 function handleInteractionRequest(messageType, message, responseType) {
   console.log(`🖱️ Handling ${messageType} request:`, message);
 
-  addLogEntry("info", `${messageType} request: ${message.selector || "N/A"}`);
+  addLogEntry(
+    "info",
+    `${messageType} request: ${message.selector || message.ref || "N/A"}`,
+  );
+
+  if (message.requestId) {
+    pendingInteractionRequests.add(message.requestId);
+  }
 
   // Send request to background script
   chrome.runtime.sendMessage(
     {
-      type: messageType,
       tabId: chrome.devtools.inspectedWindow.tabId,
       ...message,
+      type: messageType,
     },
     (response) => {
       console.log(`🖱️ ${messageType} response:`, response);
+      pendingInteractionRequests.delete(message.requestId);
 
-      if (response && response.success) {
+      if (response && response.cancelled) {
+        // The bridge has already given up on a cancelled request
+        addLogEntry("info", `${messageType} cancelled`);
+      } else if (response && response.success) {
         addLogEntry("info", `${messageType} completed successfully`);
 
         // Send success response back via WebSocket
@@ -734,6 +1058,49 @@ function handleInteractionRequest(messageType, message, responseType) {
   );
 }
 
+// Run a back, forward, reload or stop request on the navigation handler,
+// which tracks it like a navigation, and send the reply to the bridge
+function handleHistoryRequest(method, message, responseType) {
+  if (!navigationHandler) {
+    addLogEntry("error", "Navigation handler not available");
+    if (wsManager) {
+      wsManager.send({
+        type: responseType,
+        success: false,
+        error: "Navigation handler not available",
+        requestId: message.requestId,
+      });
+    }
+    return;
+  }
+
+  navigationHandler[method](message, (response) => {
+    if (wsManager) {
+      wsManager.send({ type: responseType, ...response });
+    }
+  });
+}
+
+// Forward progress of long-running background operations to the bridge
+chrome.runtime.onMessage.addListener((message) => {
+  if (
+    message.type !== "OPERATION_PROGRESS" ||
+    !pendingInteractionRequests.has(message.requestId)
+  ) {
+    return;
+  }
+
+  if (wsManager && wsManager.isConnected) {
+    wsManager.send({
+      type: "progress",
+      requestId: message.requestId,
+      progress: message.progress,
+      total: message.total,
+      message: message.message,
+    });
+  }
+});
+
 // Diagnostic function to help troubleshoot connection issues
 function runConnectionDiagnostics() {
   console.log("\n🔬 RUNNING CONNECTION DIAGNOSTICS");
@@ -0,0 +1,248 @@
+/**
+ * Request Interception for Browser Tools MCP Extension
+ *
+ * Implements browser_route_add, browser_route_list and browser_route_remove:
+ * requests of a tab that match a route are fulfilled with a canned response,
+ * failed with a network error, or continued, optionally after a delay.
+ *
+ * Interception uses the chrome.debugger Fetch domain, so Chrome shows its
+ * "is debugging this browser" bar while a tab has routes. The debugger is
+ * acquired (debugger-sessions.js) when a tab gets its first route and
+ * released with the last one; Fetch.enable only pauses requests whose URL
+ * can match one of the routes. Routes are compiled by the bridge
+ * (network-routes.mjs): urlRegex is the exact URL match, urlPattern the Fetch
+ * domain wildcard, and the body is base64-encoded.
+ *
+ * Routes added later take precedence. Every match is recorded in the tab's
+ * route log, which browser_route_list returns.
+ *
+ * Loaded by the background service worker (importScripts); state lives there
+ * and is lost when the debugger detaches or the tab closes.
+ */
+
+const MAX_ROUTE_LOG = 200;
+
+// Routes and log of each tab with interception enabled
+const routeSessions = new Map();
+let nextRouteId = 1;
+
+/**
+ * Add a route to a tab, acquiring the debugger on its first route
+ * @param {number} tabId - Tab to intercept
+ * @param {Object} route - Compiled route from the bridge
+ * @returns {Promise<Object>} The installed route (without its body)
+ */
+async function addRoute(tabId, route) {
+  let session = routeSessions.get(tabId);
+
+  if (!session) {
+    await acquireDebugger(tabId, "routes");
+    // A concurrent addRoute for the same tab may have created it meanwhile
+    session = routeSessions.get(tabId);
+  }
+  if (!session) {
+    session = { routes: [], log: [] };
+    routeSessions.set(tabId, session);
+  }
+
+  const installed = {
+    ...route,
+    id: `route-${nextRouteId++}`,
+    matcher: new RegExp(route.urlRegex),
+    hits: 0,
+    createdAt: new Date().toISOString(),
+  };
+  session.routes.unshift(installed);
+
+  try {
+    await updateInterception(tabId, session);
+  } catch (error) {
+    session.routes = session.routes.filter((other) => other !== installed);
+    if (session.routes.length === 0) {
+      await detachRoutes(tabId);
+    }
+    throw error;
+  }
+
+  return describeRoute(installed);
+}
+
+/**
+ * Remove one route, or every route of a tab
+ * @param {number} tabId
+ * @param {string} [routeId] - Route to remove (all when omitted)
+ * @returns {Promise<number>} Number of routes removed
+ */
+async function removeRoutes(tabId, routeId) {
+  const session = routeSessions.get(tabId);
+  if (!session) {
+    if (routeId) {
+      throw new Error(`Route not found: ${routeId}`);
+    }
+    return 0;
+  }
+
+  const before = session.routes.length;
+  if (routeId) {
+    session.routes = session.routes.filter((route) => route.id !== routeId);
+    if (session.routes.length === before) {
+      throw new Error(`Route not found: ${routeId}`);
+    }
+  } else {
+    session.routes = [];
+  }
+
+  if (session.routes.length === 0) {
+    await detachRoutes(tabId);
+  } else {
+    await updateInterception(tabId, session);
+  }
+  return before - session.routes.length;
+}
+
+/**
+ * Routes of a tab and the log of requests they handled
+ * @param {number} tabId
+ * @returns {{routes: Object[], log: Object[]}}
+ */
+function listRoutes(tabId) {
+  const session = routeSessions.get(tabId);
+  return {
+    routes: session ? session.routes.map(describeRoute) : [],
+    log: session ? [...session.log] : [],
+  };
+}
+
+// Route as reported to the bridge (no compiled matcher or body)
+function describeRoute(route) {
+  const { matcher, urlRegex, urlPattern, body, ...description } = route;
+  return description;
+}
+
+// Pause only requests a route can match; the patterns are a superset, the
+// exact match happens in handleRequestPaused
+async function updateInterception(tabId, session) {
+  const patterns = session.routes.map((route) => ({
+    urlPattern: route.urlPattern,
+    ...(route.resourceTypes.length === 1
+      ? { resourceType: route.resourceTypes[0] }
+      : {}),
+    requestStage: "Request",
+  }));
+
+  await chrome.debugger.sendCommand({ tabId }, "Fetch.enable", { patterns });
+}
+
+async function detachRoutes(tabId) {
+  routeSessions.delete(tabId);
+  // Interception would otherwise outlive the routes while another feature
+  // keeps the debugger attached
+  try {
+    await chrome.debugger.sendCommand({ tabId }, "Fetch.disable");
+  } catch (error) {
+    // Already detached (tab closed or debugging cancelled by the user)
+  }
+  await releaseDebugger(tabId, "routes");
+}
+
+// A route with times expires after its last match
+function routeExpired(route) {
+  return Boolean(route.times) && route.hits >= route.times;
+}
+
+function routeMatches(route, request, resourceType) {
+  return (
+    route.matcher.test(request.url) &&
+    (!route.method || route.method === request.method) &&
+    (route.resourceTypes.length === 0 ||
+      route.resourceTypes.includes(resourceType))
+  );
+}
+
+// Fulfill, fail or continue one paused request
+async function handleRequestPaused(tabId, params) {
+  const session = routeSessions.get(tabId);
+  const { requestId, request, resourceType } = params;
+  const target = { tabId };
+
+  // An expired route stays installed until its last request is answered
+  const route = session?.routes.find(
+    (candidate) =>
+      !routeExpired(candidate) &&
+      routeMatches(candidate, request, resourceType),
+  );
+
+  if (!route) {
+    await chrome.debugger.sendCommand(target, "Fetch.continueRequest", {
+      requestId,
+    });
+    return;
+  }
+
+  route.hits++;
+  session.log.push({
+    routeId: route.id,
+    url: request.url,
+    method: request.method,
+    resourceType,
+    action: route.action,
+    status: route.action === "fulfill" ? route.status : undefined,
+    timestamp: new Date().toISOString(),
+  });
+  if (session.log.length > MAX_ROUTE_LOG) {
+    session.log.splice(0, session.log.length - MAX_ROUTE_LOG);
+  }
+
+  try {
+    if (route.delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, route.delay));
+    }
+
+    if (route.action === "fulfill") {
+      await chrome.debugger.sendCommand(target, "Fetch.fulfillRequest", {
+        requestId,
+        responseCode: route.status,
+        responseHeaders: route.headers,
+        body: route.body,
+      });
+    } else if (route.action === "abort") {
+      await chrome.debugger.sendCommand(target, "Fetch.failRequest", {
+        requestId,
+        errorReason: route.errorReason,
+      });
+    } else {
+      await chrome.debugger.sendCommand(target, "Fetch.continueRequest", {
+        requestId,
+      });
+    }
+  } finally {
+    // Removed only now: removing the tab's last route disables the Fetch
+    // domain, which would release this request unanswered
+    if (routeExpired(route) && session.routes.includes(route)) {
+      await removeRoutes(tabId, route.id).catch((error) =>
+        console.warn("⚠️ Expired route removal failed:", error.message),
+      );
+    }
+  }
+}
+
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  if (method !== "Fetch.requestPaused" || !routeSessions.has(source.tabId)) {
+    return;
+  }
+
+  handleRequestPaused(source.tabId, params).catch((error) => {
+    // The request may be gone (navigation, tab closed, debugger detached)
+    console.warn("⚠️ Paused request handling failed:", error.message);
+  });
+});
+
+chrome.debugger.onDetach.addListener((source, reason) => {
+  if (routeSessions.delete(source.tabId)) {
+    console.log(`🔌 Routes of tab ${source.tabId} cleared (${reason})`);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  routeSessions.delete(tabId);
+});
@@ -0,0 +1,424 @@
+/**
+ * Accessibility Snapshot Collector for Browser Tools MCP Extension
+ *
+ * Implements browser_snapshot: a compact accessibility tree of the page
+ * (role, accessible name, state, value) in which every element node carries
+ * a short ref ("e12") that browser_click, browser_type and browser_wait
+ * accept in place of a CSS selector.
+ *
+ * Refs are kept in a registry on the extension's isolated-world global
+ * (globalThis.__browserToolsRefs), which chrome.scripting calls share for
+ * the lifetime of the document: an element keeps its ref across snapshots,
+ * and refs become stale when the element is removed or the page navigates.
+ * element-actions.js resolves refs from the same registry.
+ *
+ * Loaded by the background service worker (importScripts) and injected into
+ * the target tab with chrome.scripting.executeScript({ func, args }), so
+ * collectAccessibilitySnapshot must stay fully self-contained.
+ */
+
+/**
+ * Collect the accessibility tree of the page or of one element
+ * @param {Object} options
+ * @param {string} [options.selector] - Root element (defaults to the body)
+ * @param {boolean} [options.interactiveOnly=false] - Keep only controls,
+ *   links, headings and landmarks
+ * @param {number} [options.maxNodes=500] - Maximum nodes returned
+ * @returns {Object} {url, title, nodes, nodeCount, truncated} or {error}
+ */
+function collectAccessibilitySnapshot({
+  selector,
+  interactiveOnly = false,
+  maxNodes = 500,
+} = {}) {
+  const MAX_NAME_LENGTH = 100;
+
+  const SKIPPED_TAGS = new Set([
+    "SCRIPT",
+    "STYLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "HEAD",
+    "META",
+    "LINK",
+  ]);
+
+  const INPUT_ROLES = {
+    button: "button",
+    submit: "button",
+    reset: "button",
+    image: "button",
+    checkbox: "checkbox",
+    radio: "radio",
+    range: "slider",
+    number: "spinbutton",
+    search: "searchbox",
+  };
+
+  const TAG_ROLES = {
+    A: (element) => (element.hasAttribute("href") ? "link" : null),
+    AREA: (element) => (element.hasAttribute("href") ? "link" : null),
+    BUTTON: () => "button",
+    SUMMARY: () => "button",
+    INPUT: (element) =>
+      element.type === "hidden" ? null : INPUT_ROLES[element.type] || "textbox",
+    TEXTAREA: () => "textbox",
+    SELECT: (element) =>
+      element.multiple || element.size > 1 ? "listbox" : "combobox",
+    OPTION: () => "option",
+    IMG: (element) => (element.getAttribute("alt") === "" ? null : "img"),
+    H1: () => "heading",
+    H2: () => "heading",
+    H3: () => "heading",
+    H4: () => "heading",
+    H5: () => "heading",
+    H6: () => "heading",
+    P: () => "paragraph",
+    UL: () => "list",
+    OL: () => "list",
+    LI: () => "listitem",
+    TABLE: () => "table",
+    TR: () => "row",
+    TD: () => "cell",
+    TH: () => "columnheader",
+    NAV: () => "navigation",
+    MAIN: () => "main",
+    HEADER: () => "banner",
+    FOOTER: () => "contentinfo",
+    ASIDE: () => "complementary",
+    FORM: () => "form",
+    SECTION: (element) =>
+      element.hasAttribute("aria-label") ||
+      element.hasAttribute("aria-labelledby")
+        ? "region"
+        : null,
+    DIALOG: () => "dialog",
+    FIELDSET: () => "group",
+    DETAILS: () => "group",
+    PROGRESS: () => "progressbar",
+  };
+
+  const INTERACTIVE_ROLES = new Set([
+    "button",
+    "link",
+    "textbox",
+    "searchbox",
+    "checkbox",
+    "radio",
+    "switch",
+    "combobox",
+    "listbox",
+    "option",
+    "slider",
+    "spinbutton",
+    "tab",
+    "menuitem",
+    "menuitemcheckbox",
+    "menuitemradio",
+    "treeitem",
+  ]);
+
+  const STRUCTURE_ROLES = new Set([
+    "heading",
+    "navigation",
+    "main",
+    "banner",
+    "contentinfo",
+    "complementary",
+    "form",
+    "region",
+    "dialog",
+    "alertdialog",
+  ]);
+
+  // Roles whose accessible name comes from their text content
+  const NAME_FROM_CONTENT = new Set([
+    "button",
+    "link",
+    "heading",
+    "option",
+    "cell",
+    "columnheader",
+    "tab",
+    "menuitem",
+    "menuitemcheckbox",
+    "menuitemradio",
+    "treeitem",
+    "paragraph",
+    "checkbox",
+    "radio",
+    "switch",
+  ]);
+
+  const registry = (globalThis.__browserToolsRefs ||= {
+    next: 1,
+    elements: new Map(),
+    refs: new WeakMap(),
+  });
+
+  // Forget refs of elements that are gone
+  for (const [ref, weakElement] of registry.elements) {
+    const element = weakElement.deref();
+    if (!element || !element.isConnected) {
+      registry.elements.delete(ref);
+    }
+  }
+
+  const refFor = (element) => {
+    let ref = registry.refs.get(element);
+    if (!ref) {
+      ref = `e${registry.next++}`;
+      registry.refs.set(element, ref);
+    }
+    registry.elements.set(ref, new WeakRef(element));
+    return ref;
+  };
+
+  const collapse = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+  const truncate = (text) =>
+    text.length > MAX_NAME_LENGTH
+      ? `${text.slice(0, MAX_NAME_LENGTH - 1)}…`
+      : text;
+
+  const isHidden = (element) => {
+    if (
+      element.hidden ||
+      element.inert ||
+      element.getAttribute("aria-hidden") === "true"
+    ) {
+      return true;
+    }
+    const style = window.getComputedStyle(element);
+    return (
+      style.display === "none" ||
+      style.visibility === "hidden" ||
+      style.visibility === "collapse"
+    );
+  };
+
+  const roleOf = (element) => {
+    const explicit = element.getAttribute("role");
+    if (explicit) {
+      const role = explicit.trim().split(/\s+/)[0];
+      return role === "presentation" || role === "none" ? null : role;
+    }
+    if (
+      element.isContentEditable &&
+      !element.parentElement?.isContentEditable
+    ) {
+      return "textbox";
+    }
+    const implicit = TAG_ROLES[element.tagName];
+    return implicit ? implicit(element) : null;
+  };
+
+  const nameOf = (element, role) => {
+    const labelledBy = element.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = collapse(
+        labelledBy
+          .split(/\s+/)
+          .map((id) => document.getElementById(id)?.textContent || "")
+          .join(" "),
+      );
+      if (text) return text;
+    }
+
+    const label = collapse(element.getAttribute("aria-label"));
+    if (label) return label;
+
+    if (element.labels && element.labels.length > 0) {
+      const text = collapse(
+        Array.from(
+          element.labels,
+          (labelElement) => labelElement.innerText,
+        ).join(" "),
+      );
+      if (text) return text;
+    }
+
+    if (element.tagName === "IMG" || element.type === "image") {
+      const alt = collapse(element.getAttribute("alt"));
+      if (alt) return alt;
+    }
+
+    if (
+      element.tagName === "INPUT" &&
+      ["button", "submit", "reset"].includes(element.type)
+    ) {
+      return (
+        element.value ||
+        (element.type === "submit"
+          ? "Submit"
+          : element.type === "reset"
+            ? "Reset"
+            : "")
+      );
+    }
+
+    if (NAME_FROM_CONTENT.has(role)) {
+      const text = collapse(element.innerText || element.textContent);
+      if (text) return text;
+    }
+
+    return collapse(
+      element.getAttribute("title") || element.getAttribute("placeholder"),
+    );
+  };
+
+  // State and value, only where they apply
+  const describeState = (element, role, node) => {
+    if (role === "heading") {
+      node.level =
+        Number(element.getAttribute("aria-level")) ||
+        Number(element.tagName.slice(1)) ||
+        undefined;
+    }
+
+    if (role === "checkbox" || role === "radio" || role === "switch") {
+      const ariaChecked = element.getAttribute("aria-checked");
+      node.checked =
+        element.indeterminate || ariaChecked === "mixed"
+          ? "mixed"
+          : ariaChecked !== null
+            ? ariaChecked === "true"
+            : Boolean(element.checked);
+    }
+
+    if (element.disabled || element.getAttribute("aria-disabled") === "true") {
+      node.disabled = true;
+    }
+
+    const expanded = element.getAttribute("aria-expanded");
+    if (expanded !== null) {
+      node.expanded = expanded === "true";
+    } else if (element.tagName === "SUMMARY" && element.parentElement) {
+      node.expanded = element.parentElement.open;
+    }
+
+    if (
+      role === "option" &&
+      (element.selected || element.getAttribute("aria-selected") === "true")
+    ) {
+      node.selected = true;
+    }
+
+    if (element.required || element.getAttribute("aria-required") === "true") {
+      node.required = true;
+    }
+
+    if (element.readOnly || element.getAttribute("aria-readonly") === "true") {
+      node.readonly = true;
+    }
+
+    if (element === document.activeElement) {
+      node.focused = true;
+    }
+
+    if (
+      ["textbox", "searchbox", "spinbutton", "slider"].includes(role) &&
+      "value" in element
+    ) {
+      node.value =
+        element.type === "password"
+          ? "•".repeat(element.value.length)
+          : truncate(element.value);
+    } else if (role === "textbox" && element.isContentEditable) {
+      node.value = truncate(collapse(element.innerText));
+    } else if (role === "combobox" && element.tagName === "SELECT") {
+      node.value = collapse(
+        Array.from(element.selectedOptions, (option) => option.text).join(", "),
+      );
+    }
+  };
+
+  const childNodesOf = (element) => {
+    if (element.tagName === "SLOT") {
+      return element.assignedNodes({ flatten: true });
+    }
+    return (element.shadowRoot || element).childNodes;
+  };
+
+  let nodeCount = 0;
+  let truncated = false;
+
+  // Walk the DOM; elements without a role are skipped but their children
+  // are kept, text is kept unless an ancestor's name already contains it
+  const walk = (domNode, output, insideNamedNode) => {
+    for (const child of childNodesOf(domNode)) {
+      if (nodeCount >= maxNodes) {
+        truncated = true;
+        return;
+      }
+
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = collapse(child.textContent);
+        if (text && !insideNamedNode && !interactiveOnly) {
+          output.push({ role: "text", name: truncate(text) });
+          nodeCount++;
+        }
+        continue;
+      }
+
+      if (
+        child.nodeType !== Node.ELEMENT_NODE ||
+        SKIPPED_TAGS.has(child.tagName) ||
+        isHidden(child)
+      ) {
+        continue;
+      }
+
+      const role = roleOf(child);
+      const keep =
+        role &&
+        (!interactiveOnly ||
+          INTERACTIVE_ROLES.has(role) ||
+          STRUCTURE_ROLES.has(role));
+
+      if (!keep) {
+        walk(child, output, insideNamedNode);
+        continue;
+      }
+
+      const node = { ref: refFor(child), role };
+      const name = nameOf(child, role);
+      if (name) {
+        node.name = truncate(name);
+      }
+      describeState(child, role, node);
+      nodeCount++;
+
+      const children = [];
+      walk(child, children, insideNamedNode || NAME_FROM_CONTENT.has(role));
+      if (children.length > 0) {
+        node.children = children;
+      }
+      output.push(node);
+    }
+  };
+
+  let root = document.body || document.documentElement;
+  if (selector) {
+    try {
+      root = document.querySelector(selector);
+    } catch (error) {
+      return { error: `Invalid selector: ${selector}` };
+    }
+    if (!root) {
+      return { error: `Element not found: ${selector}` };
+    }
+  }
+
+  // With a selector the root element itself is part of the snapshot
+  const nodes = [];
+  walk(selector ? { childNodes: [root] } : root, nodes, false);
+
+  return {
+    url: location.href,
+    title: document.title,
+    nodes,
+    nodeCount,
+    truncated,
+  };
+}
@@ -254,6 +254,19 @@ class WebSocketManager {
           }
         }
       );
+
+      // Identify this connection (profile, window, tab) to the bridge
+      chrome.runtime.sendMessage(
+        {
+          type: "GET_CONNECTION_IDENTITY",
+          tabId: chrome.devtools.inspectedWindow.tabId,
+        },
+        (response) => {
+          if (response && response.success) {
+            this.send({ type: "identify", identity: response.identity });
+          }
+        }
+      );
     }
   }
 
@@ -7,11 +7,19 @@
  * This is the middleware component for the MCP method.
  *
  * Features:
- * - WebSocket server for Chrome extension connection
+ * - WebSocket server for Chrome extension connections (several at once,
+ *   with per-request selection and failover)
+ * - Tab management and per-request tab targeting (tabId)
  * - HTTP endpoints for MCP server requests
- * - Console log and error aggregation
+ * - Console log and error aggregation with filtering (level, time, text, cursor)
+ * - Network request capture with filtering (status, URL, type, time window)
  * - Screenshot capture with local file saving
  * - Page content retrieval
+ * - Page audits (accessibility, SEO, best practices, performance, PWA)
+ * - File uploads from an allow-listed directory (MCP_UPLOAD_DIR)
+ * - Server-Sent Events stream of state changes (GET /events), including
+ *   progress of long-running extension operations
+ * - Cancellation forwarded to the extension when a caller gives up
  *
  * Runs on port 3024 (dedicated MCP method port)
  */
@@ -23,6 +31,29 @@ import fs from "fs";
 import path from "path";
 import os from "os";
 import { fileURLToPath } from "url";
+import { PendingRequestTable } from "./modules/pending-requests.mjs";
+import { ConnectionRegistry } from "./modules/connection-registry.mjs";
+import {
+  FilterError,
+  filterConsoleEntries,
+  filterNetworkRequests,
+  isFailedRequest,
+} from "./modules/log-filters.mjs";
+import { UploadError, readUploadFiles } from "./modules/upload-files.mjs";
+import { RouteError, compileRoute } from "./modules/network-routes.mjs";
+import {
+  HarError,
+  buildHar,
+  harFilename,
+  recordingOptions,
+} from "./modules/har.mjs";
+import {
+  BrowserStateError,
+  compileCookies,
+  compileStorage,
+  cookieFilter,
+  storageTypes,
+} from "./modules/browser-state.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,16 +61,45 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const PORT = 3024; // Dedicated port for MCP method
 const HOST = "127.0.0.1";
+const SCREENSHOT_OUTPUTS = ["inline", "file", "both"];
+const CONTENT_FORMATS = ["html", "text", "markdown"];
+const DEFAULT_CONTENT_MAX_LENGTH = 50000;
 
 // State management
-let wsConnection = null;
-let currentTabId = null;
-let currentUrl = "";
+const connections = new ConnectionRegistry();
 let consoleLogs = [];
 let consoleErrors = [];
 let networkErrors = [];
+let networkRequests = [];
 const MAX_LOGS = 1000;
 
+// Sequence shared by console logs and errors (pagination cursor)
+let consoleSequence = 0;
+
+// Extension requests awaiting a reply, keyed by requestId
+const pendingRequests = new PendingRequestTable();
+
+// Clients following GET /events
+const eventClients = new Set();
+
+// Push a state change (new console entry, failed request, URL change) to
+// every /events client
+function publishEvent(type, data) {
+  const payload = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) {
+    client.write(payload);
+  }
+}
+
+// The current URL changes whenever another connection becomes active
+function publishActiveUrl() {
+  publishEvent("url", {
+    url: connections.active?.identity.url || "",
+    connectionId: connections.activeId,
+    active: true,
+  });
+}
+
 // Helper to get downloads folder
 function getDownloadsFolder() {
   return path.join(os.homedir(), "Downloads");
@@ -52,17 +112,107 @@ function ensureDirectoryExists(dirPath) {
   }
 }
 
+// Send a request to the extension connection selected for this HTTP request
+// and wait for the reply carrying the same requestId. The request is
+// cancelled if the HTTP client goes away. Progress reported by the extension
+// is published on /events under the caller's operationId.
+function requestExtension(req, res, message, options = {}) {
+  const { id, ws } = req.extension;
+  const requestId = pendingRequests.createId();
+  const operationId = req.body?.operationId;
+  const replyPromise = pendingRequests.register(requestId, {
+    action: message.action || message.type,
+    owner: id,
+    onProgress: operationId
+      ? ({ progress, total, message: text }) =>
+          publishEvent("progress", {
+            operationId,
+            progress,
+            total,
+            message: text,
+          })
+      : null,
+    // Once the bridge stops waiting (client gone, timeout), let the extension
+    // stop the operation too. Error replies need no cancel: the extension
+    // has already finished.
+    onAbandon: () => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: "cancel", requestId }));
+      }
+    },
+    ...options,
+  });
+
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      pendingRequests.cancel(requestId, "cancelled by client");
+    }
+  });
+
+  try {
+    ws.send(JSON.stringify({ ...message, requestId }));
+  } catch (error) {
+    pendingRequests.cancel(requestId, `send failed: ${error.message}`);
+  }
+
+  return replyPromise;
+}
+
 // Initialize Express app
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: "50mb" }));
 
+// Optional tab targeting: any endpoint accepts a tabId (body or query).
+// Requests without one act on the tab the DevTools panel is inspecting.
+app.use((req, res, next) => {
+  const value = req.body?.tabId ?? req.query.tabId;
+  if (value === undefined || value === null || value === "") {
+    return next();
+  }
+
+  const tabId = Number(value);
+  if (!Number.isInteger(tabId) || tabId < 0) {
+    return res
+      .status(400)
+      .json({ error: "tabId must be a non-negative integer" });
+  }
+
+  req.tabId = tabId;
+  next();
+});
+
+// Connection targeting: a connectionId (body or query) picks one of the
+// connected extensions; otherwise the active connection is used
+app.use((req, res, next) => {
+  const connectionId = req.body?.connectionId ?? req.query.connectionId;
+
+  if (
+    connectionId === undefined ||
+    connectionId === null ||
+    connectionId === ""
+  ) {
+    req.extension = connections.active;
+    return next();
+  }
+
+  req.extension = connections.get(String(connectionId));
+  if (!req.extension) {
+    return res
+      .status(404)
+      .json({ error: `Unknown extension connection: ${connectionId}` });
+  }
+  next();
+});
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
     status: "ok",
-    connected: wsConnection !== null,
-    currentUrl,
+    connected: connections.size > 0,
+    connections: connections.size,
+    activeConnectionId: connections.activeId,
+    currentUrl: connections.active?.identity.url || "",
     timestamp: new Date().toISOString(),
   });
 });
@@ -82,13 +232,40 @@ app.get("/.port", (req, res) => {
 
 // Current URL endpoint
 app.get("/current-url", (req, res) => {
-  res.json({ url: currentUrl });
+  res.json({ url: req.extension?.identity.url || "" });
 });
 
-// Console logs endpoints
+// State change stream (Server-Sent Events): console, networkError, url
+app.get("/events", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write(": connected\n\n");
+
+  eventClients.add(res);
+  req.on("close", () => {
+    eventClients.delete(res);
+  });
+});
+
+// Console logs endpoint: logs and errors merged in capture order
+// (filters: level, since, text, sourceUrl, cursor, limit)
 app.get("/console-logs", (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  res.json(consoleLogs.slice(-limit));
+  const entries = [...consoleLogs, ...consoleErrors].sort(
+    (a, b) => a.id - b.id,
+  );
+
+  try {
+    res.json(filterConsoleEntries(entries, req.query));
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
 
 app.get("/console-errors", (req, res) => {
@@ -101,6 +278,19 @@ app.get("/network-errors", (req, res) => {
   res.json(networkErrors.slice(-limit));
 });
 
+// Network requests endpoint (filters: statusMin, statusMax, urlPattern,
+// resourceType, method, since, until, errorsOnly, limit)
+app.get("/network-requests", (req, res) => {
+  try {
+    res.json(filterNetworkRequests(networkRequests, req.query));
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Clear logs endpoints
 app.post("/clear-console-logs", (req, res) => {
   consoleLogs = [];
@@ -112,70 +302,112 @@ app.post("/clear-console-errors", (req, res) => {
   res.json({ success: true });
 });
 
-// Navigate endpoint
+app.post("/clear-network-requests", (req, res) => {
+  networkRequests = [];
+  networkErrors = [];
+  res.json({ success: true });
+});
+
+// Navigate endpoint: replies once the page reaches the wait condition
 app.post("/navigate", async (req, res) => {
-  const { url } = req.body;
+  const { url, waitUntil = "load", timeout } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    wsConnection.send(
-      JSON.stringify({
-        action: "navigate",
-        url,
-      }),
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "navigate", url, waitUntil, timeout, tabId: req.tabId },
+      {
+        responseType: "navigationResult",
+        timeout: navigationWaitMs(timeout),
+        timeoutMessage: "Navigation timeout",
+      },
     );
 
-    // Wait a bit for navigation to start
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    res.json({ success: true, url });
+    if (result.success) {
+      const { finalUrl, title, loadTime, status, redirectChain } = result;
+      res.json({
+        success: true,
+        url: result.url || url,
+        finalUrl,
+        title,
+        loadTime,
+        status,
+        redirectChain,
+        waitUntil,
+      });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Click endpoint
-app.post("/click", async (req, res) => {
-  const { selector } = req.body;
+// Time the bridge waits for a navigation, back, forward or reload
+function navigationWaitMs(timeout) {
+  // The extension clamps its own timeout to 1-60 s; allow for the round trip
+  return Math.min(Math.max(Number(timeout) || 10000, 1000), 60000) + 5000;
+}
+
+// History navigation endpoints: the extension tracks them like a
+// navigation and replies once the page has loaded
+app.post("/go-back", async (req, res) => {
+  const { timeout } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the result
-    const resultPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Click operation timeout"));
-      }, 10000);
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "goBack", timeout, tabId: req.tabId },
+      {
+        responseType: "goBackResult",
+        timeout: navigationWaitMs(timeout),
+        timeoutMessage: "Go back timeout",
+      },
+    );
 
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "clickResult") {
-          clearTimeout(timeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message);
-        }
-      };
+    if (result.success) {
+      const { finalUrl, title, loadTime } = result;
+      res.json({ success: true, finalUrl, title, loadTime });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      wsConnection.on("message", messageHandler);
-    });
+app.post("/go-forward", async (req, res) => {
+  const { timeout } = req.body;
 
-    const requestId = Date.now().toString();
-    wsConnection.send(
-      JSON.stringify({
-        action: "click",
-        selector,
-        requestId,
-      }),
-    );
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-    const result = await resultPromise;
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "goForward", timeout, tabId: req.tabId },
+      {
+        responseType: "goForwardResult",
+        timeout: navigationWaitMs(timeout),
+        timeoutMessage: "Go forward timeout",
+      },
+    );
 
     if (result.success) {
-      res.json({ success: true, result: result.result });
+      const { finalUrl, title, loadTime } = result;
+      res.json({ success: true, finalUrl, title, loadTime });
     } else {
       res.status(400).json({ success: false, error: result.error });
     }
@@ -184,45 +416,83 @@ app.post("/click", async (req, res) => {
   }
 });
 
-// Type endpoint
-app.post("/type", async (req, res) => {
-  const { selector, text, clear = false } = req.body;
+app.post("/reload", async (req, res) => {
+  const { timeout, bypassCache = false } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the result
-    const resultPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Type operation timeout"));
-      }, 10000);
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "reload", bypassCache, timeout, tabId: req.tabId },
+      {
+        responseType: "reloadResult",
+        timeout: navigationWaitMs(timeout),
+        timeoutMessage: "Reload timeout",
+      },
+    );
 
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "typeResult") {
-          clearTimeout(timeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message);
-        }
-      };
+    if (result.success) {
+      const { finalUrl, title, loadTime } = result;
+      res.json({ success: true, finalUrl, title, loadTime });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      wsConnection.on("message", messageHandler);
-    });
+app.post("/stop", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-    const requestId = Date.now().toString();
-    wsConnection.send(
-      JSON.stringify({
-        action: "type",
-        selector,
-        text,
-        clear,
-        requestId,
-      }),
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "stop", tabId: req.tabId },
+      {
+        responseType: "stopResult",
+        timeout: 10000,
+        timeoutMessage: "Stop timeout",
+      },
     );
 
-    const result = await resultPromise;
+    if (result.success) {
+      const { finalUrl, title, loadTime, wasLoading } = result;
+      res.json({ success: true, finalUrl, title, loadTime, wasLoading });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Click endpoint
+app.post("/click", async (req, res) => {
+  const { selector, ref } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "click", selector, ref, tabId: req.tabId },
+      {
+        responseType: "clickResult",
+        timeout: 10000,
+        timeoutMessage: "Click operation timeout",
+      },
+    );
 
     if (result.success) {
       res.json({ success: true, result: result.result });
@@ -234,151 +504,162 @@ app.post("/type", async (req, res) => {
   }
 });
 
-// Evaluate JavaScript endpoint
-app.post("/evaluate", async (req, res) => {
-  const { script } = req.body;
+// Pointer endpoints: hover, double click, context click and drag dispatch
+// the full pointer/mouse event sequence at the element's centre
+app.post("/hover", async (req, res) => {
+  const { selector, ref } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the result
-    const resultPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Evaluation timeout"));
-      }, 10000);
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "hover", selector, ref, tabId: req.tabId },
+      {
+        responseType: "hoverResult",
+        timeout: 10000,
+        timeoutMessage: "Hover operation timeout",
+      },
+    );
 
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "evaluateResult") {
-          clearTimeout(timeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message.result);
-        }
-      };
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      wsConnection.on("message", messageHandler);
-    });
+app.post("/double-click", async (req, res) => {
+  const { selector, ref } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-    wsConnection.send(
-      JSON.stringify({
-        action: "evaluate",
-        script,
-      }),
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "doubleClick", selector, ref, tabId: req.tabId },
+      {
+        responseType: "doubleClickResult",
+        timeout: 10000,
+        timeoutMessage: "Double-click operation timeout",
+      },
     );
 
-    const result = await resultPromise;
-    res.json({ result });
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Screenshot endpoint
-app.post("/capture-screenshot", async (req, res) => {
-  const { selector, fullPage = false } = req.body;
+app.post("/context-click", async (req, res) => {
+  const { selector, ref } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the screenshot
-    const screenshotPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Screenshot timeout"));
-      }, 30000);
-
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "screenshot-data") {
-          clearTimeout(timeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message.data);
-        }
-      };
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "contextClick", selector, ref, tabId: req.tabId },
+      {
+        responseType: "contextClickResult",
+        timeout: 10000,
+        timeoutMessage: "Context-click operation timeout",
+      },
+    );
 
-      wsConnection.on("message", messageHandler);
-    });
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // 🔍 DEBUG: Log outgoing WebSocket message
-    const outgoingMessage = JSON.stringify({
-      type: "take-screenshot",
-      selector,
-      fullPage,
-      requestId: Date.now().toString(),
-    });
-    console.log("\n📤 [WEBSOCKET OUT]", new Date().toISOString());
-    console.log("Sending:", outgoingMessage);
-    wsConnection.send(outgoingMessage);
+app.post("/drag", async (req, res) => {
+  const { selector, ref, targetSelector, targetRef, offsetX, offsetY, steps } =
+    req.body;
 
-    const screenshotData = await screenshotPromise;
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-    // Save screenshot to file
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const filename = `screenshot-${timestamp}.png`;
-    const screenshotDir = path.join(path.dirname(__dirname), ".screenshots");
-    ensureDirectoryExists(screenshotDir);
-    const filepath = path.join(screenshotDir, filename);
+  const target =
+    targetSelector || targetRef
+      ? { selector: targetSelector, ref: targetRef }
+      : undefined;
+  const offset =
+    offsetX !== undefined || offsetY !== undefined
+      ? { x: offsetX || 0, y: offsetY || 0 }
+      : undefined;
 
-    // Decode base64 and save
-    const buffer = Buffer.from(
-      screenshotData.replace(/^data:image\/png;base64,/, ""),
-      "base64",
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      {
+        action: "drag",
+        selector,
+        ref,
+        target,
+        offset,
+        steps,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "dragResult",
+        timeout: 15000,
+        timeoutMessage: "Drag operation timeout",
+      },
     );
-    fs.writeFileSync(filepath, buffer);
 
-    res.json({
-      success: true,
-      path: filepath,
-      filename,
-    });
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Wait for element endpoint
-app.post("/wait", async (req, res) => {
-  const { selector, timeout = 30000 } = req.body;
+// Type endpoint
+app.post("/type", async (req, res) => {
+  const { selector, ref, text, clear = false } = req.body;
 
-  if (!wsConnection) {
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the result
-    const maxTimeout = Math.min(timeout, 60000); // Max 60 seconds
-    const resultPromise = new Promise((resolve, reject) => {
-      const operationTimeout = setTimeout(() => {
-        reject(new Error("Wait operation timeout"));
-      }, maxTimeout + 5000); // Add 5 seconds buffer
-
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "waitResult") {
-          clearTimeout(operationTimeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message);
-        }
-      };
-
-      wsConnection.on("message", messageHandler);
-    });
-
-    const requestId = Date.now().toString();
-    wsConnection.send(
-      JSON.stringify({
-        action: "wait",
-        selector,
-        timeout: maxTimeout,
-        requestId,
-      }),
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "type", selector, ref, text, clear, tabId: req.tabId },
+      {
+        responseType: "typeResult",
+        timeout: 10000,
+        timeoutMessage: "Type operation timeout",
+      },
     );
 
-    const result = await resultPromise;
-
     if (result.success) {
       res.json({ success: true, result: result.result });
     } else {
@@ -389,113 +670,1043 @@ app.post("/wait", async (req, res) => {
   }
 });
 
-// Get page content endpoint
-app.get("/get-content", async (req, res) => {
-  if (!wsConnection) {
+// Evaluate JavaScript endpoint
+app.post("/evaluate", async (req, res) => {
+  const { script } = req.body;
+
+  if (!req.extension) {
     return res.status(503).json({ error: "Chrome extension not connected" });
   }
 
   try {
-    // Create a promise to wait for the content
-    const contentPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Content fetch timeout"));
-      }, 10000);
+    const reply = await requestExtension(
+      req,
+      res,
+      { action: "evaluate", script, tabId: req.tabId },
+      {
+        responseType: "evaluateResult",
+        timeout: 10000,
+        timeoutMessage: "Evaluation timeout",
+      },
+    );
 
-      const messageHandler = (data) => {
-        const message = JSON.parse(data);
-        if (message.type === "pageContent") {
-          clearTimeout(timeout);
-          wsConnection.off("message", messageHandler);
-          resolve(message.content);
-        }
-      };
+    res.json({ result: reply.result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Screenshot endpoint
+// output: "file" saves a PNG to .screenshots/, "inline" returns the image
+// data (optionally re-encoded to fit maxBytes), "both" does both
+app.post("/capture-screenshot", async (req, res) => {
+  const {
+    selector,
+    fullPage = false,
+    output = "both",
+    format = "png",
+    quality = 80,
+    maxBytes,
+    maxWidth,
+  } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-      wsConnection.on("message", messageHandler);
+  if (!SCREENSHOT_OUTPUTS.includes(output)) {
+    return res.status(400).json({
+      error: `Invalid output "${output}" (expected ${SCREENSHOT_OUTPUTS.join(", ")})`,
     });
+  }
 
-    wsConnection.send(
-      JSON.stringify({
-        action: "getContent",
-      }),
+  const save = output !== "inline";
+  const inline = output !== "file";
+
+  try {
+    // 🔍 DEBUG: Log outgoing WebSocket message
+    console.log("\n📤 [WEBSOCKET OUT]", new Date().toISOString());
+    console.log("Sending: take-screenshot", { selector, fullPage, output });
+
+    const reply = await requestExtension(
+      req,
+      res,
+      {
+        type: "take-screenshot",
+        selector,
+        fullPage,
+        save,
+        inline,
+        format,
+        quality,
+        maxBytes,
+        maxWidth,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "screenshot-data",
+        timeout: 30000,
+        timeoutMessage: "Screenshot timeout",
+      },
     );
 
-    const content = await contentPromise;
-    res.json({ content });
+    if (!reply.success) {
+      return res.status(400).json({ success: false, error: reply.error });
+    }
+
+    const capture = reply.result;
+    const response = { success: true, output };
+
+    if (save) {
+      // Save screenshot to file
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const filename = `screenshot-${timestamp}.png`;
+      const screenshotDir = path.join(path.dirname(__dirname), ".screenshots");
+      ensureDirectoryExists(screenshotDir);
+      const filepath = path.join(screenshotDir, filename);
+
+      // Decode base64 and save
+      const buffer = Buffer.from(
+        capture.data.replace(/^data:image\/png;base64,/, ""),
+        "base64",
+      );
+      fs.writeFileSync(filepath, buffer);
+
+      response.path = filepath;
+      response.filename = filename;
+    }
+
+    if (inline) {
+      const { dataUrl, mimeType, width, height, bytes, withinBudget } =
+        capture.inline;
+      response.screenshot = dataUrl.replace(/^data:image\/\w+;base64,/, "");
+      response.mimeType = mimeType;
+      response.width = width;
+      response.height = height;
+      response.bytes = bytes;
+      response.withinBudget = withinBudget;
+    }
+
+    res.json(response);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start HTTP server
-const server = app.listen(PORT, HOST, () => {
-  console.log(`🚀 HTTP Bridge Server running at http://${HOST}:${PORT}`);
-  console.log("📡 Waiting for Chrome extension connection...");
-});
+// Form control endpoints: select options, check/uncheck, fill a whole form,
+// attach files to a file input
+app.post("/select-option", async (req, res) => {
+  const { selector, ref, value, label, index } = req.body;
 
-// Create WebSocket server
-const wss = new WebSocketServer({
-  server,
-  path: "/extension-ws",
-});
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-// Handle WebSocket connections
-wss.on("connection", (ws) => {
-  console.log("✅ Chrome extension connected!");
-  wsConnection = ws;
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      {
+        action: "selectOption",
+        selector,
+        ref,
+        value,
+        label,
+        index,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "selectOptionResult",
+        timeout: 10000,
+        timeoutMessage: "Select option timeout",
+      },
+    );
 
-  // Handle messages from Chrome extension
-  ws.on("message", (data) => {
-    // 🔍 DEBUG: Log ALL incoming WebSocket messages
-    console.log("\n📨 [WEBSOCKET IN]", new Date().toISOString());
-    console.log("Raw data:", data.toString());
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    try {
-      const message = JSON.parse(data);
-      console.log("Parsed message:", JSON.stringify(message, null, 2));
+app.post("/set-checked", async (req, res) => {
+  const { selector, ref, checked = true } = req.body;
 
-      // Update state based on message type
-      switch (message.type) {
-        case "url":
-          currentUrl = message.url;
-          console.log(`📍 Current URL: ${currentUrl}`);
-          break;
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
 
-        case "tabId":
-          currentTabId = message.tabId;
-          console.log(`📑 Current Tab ID: ${currentTabId}`);
-          break;
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "setChecked", selector, ref, checked, tabId: req.tabId },
+      {
+        responseType: "setCheckedResult",
+        timeout: 10000,
+        timeoutMessage: "Set checked timeout",
+      },
+    );
 
-        case "consoleLog":
-          consoleLogs.push({
-            timestamp: new Date().toISOString(),
-            ...message.data,
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/fill-form", async (req, res) => {
+  const { fields = {} } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  // File fields ({files: [paths]}) carry the file contents to the page
+  let pageFields;
+  try {
+    pageFields = Object.fromEntries(
+      Object.entries(fields).map(([field, value]) =>
+        value && Array.isArray(value.files)
+          ? [field, { files: readUploadFiles(value.files) }]
+          : [field, value],
+      ),
+    );
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "fillForm", fields: pageFields, tabId: req.tabId },
+      {
+        responseType: "fillFormResult",
+        timeout: 30000,
+        timeoutMessage: "Form fill timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/upload-file", async (req, res) => {
+  const { selector, ref, files } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  let payload;
+  try {
+    payload = readUploadFiles(Array.isArray(files) ? files : [files]);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "uploadFile", selector, ref, files: payload, tabId: req.tabId },
+      {
+        responseType: "uploadFileResult",
+        timeout: 30000,
+        timeoutMessage: "File upload timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Key press endpoint: keys, chords and sequences on the focused element
+app.post("/press-key", async (req, res) => {
+  const { selector, ref, keys, delay = 0 } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const sequence = Array.isArray(keys) ? keys : [keys];
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "pressKey", selector, ref, keys, delay, tabId: req.tabId },
+      {
+        responseType: "pressKeyResult",
+        timeout: 10000 + sequence.length * delay, // Delays between keys
+        timeoutMessage: "Key press timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Wait for element endpoint
+app.post("/wait", async (req, res) => {
+  const { selector, ref, timeout = 30000 } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const maxTimeout = Math.min(timeout, 60000); // Max 60 seconds
+    const result = await requestExtension(
+      req,
+      res,
+      {
+        action: "wait",
+        selector,
+        ref,
+        timeout: maxTimeout,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "waitResult",
+        timeout: maxTimeout + 5000, // Add 5 seconds buffer
+        timeoutMessage: "Wait operation timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, result: result.result });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get page content endpoint
+app.get("/get-content", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  const { selector, format = "html" } = req.query;
+  const maxLength =
+    req.query.maxLength !== undefined
+      ? parseInt(req.query.maxLength, 10)
+      : DEFAULT_CONTENT_MAX_LENGTH;
+
+  if (!CONTENT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `Invalid format "${format}" (expected ${CONTENT_FORMATS.join(", ")})`,
+    });
+  }
+
+  if (!Number.isInteger(maxLength) || maxLength < 1) {
+    return res
+      .status(400)
+      .json({ error: "maxLength must be a positive integer" });
+  }
+
+  try {
+    const reply = await requestExtension(
+      req,
+      res,
+      {
+        action: "getContent",
+        selector,
+        format,
+        maxLength,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "pageContent",
+        timeout: 10000,
+        timeoutMessage: "Content fetch timeout",
+      },
+    );
+
+    if (!reply.success) {
+      return res.status(400).json({ error: reply.error });
+    }
+
+    const { content, matches, length, truncated, url } = reply.result;
+    res.json({
+      content,
+      format,
+      selector: selector || null,
+      matches,
+      length,
+      truncated,
+      url,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accessibility snapshot endpoint: refs it hands out target later actions
+app.post("/snapshot", async (req, res) => {
+  const { selector, interactiveOnly = false, maxNodes = 500 } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      {
+        action: "snapshot",
+        selector,
+        interactiveOnly,
+        maxNodes,
+        tabId: req.tabId,
+      },
+      {
+        responseType: "snapshotResult",
+        timeout: 15000,
+        timeoutMessage: "Snapshot timeout",
+      },
+    );
+
+    if (result.success) {
+      const { url, title, nodes, nodeCount, truncated } = result.result;
+      res.json({ success: true, url, title, nodes, nodeCount, truncated });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Page audit endpoint
+app.post("/audit", async (req, res) => {
+  const {
+    categories = ["performance", "accessibility", "seo", "best-practices"],
+  } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "audit", categories, tabId: req.tabId },
+      {
+        responseType: "auditResult",
+        timeout: 30000,
+        timeoutMessage: "Audit timeout",
+      },
+    );
+
+    if (result.success) {
+      const { url, title, fetchTime, results } = result.result;
+      res.json({ success: true, url, title, fetchTime, results });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Extension connection endpoints
+app.get("/connections", (req, res) => {
+  res.json({
+    activeConnectionId: connections.activeId,
+    connections: connections.list(),
+  });
+});
+
+app.post("/connections/select", (req, res) => {
+  if (!req.body.connectionId) {
+    return res.status(400).json({ error: "connectionId is required" });
+  }
+
+  // The connection middleware already rejected unknown IDs
+  const changed = connections.activeId !== req.extension.id;
+  connections.select(req.extension.id);
+  if (changed) {
+    publishActiveUrl();
+  }
+  res.json({ success: true, activeConnectionId: connections.activeId });
+});
+
+// Request interception endpoints: routes are compiled here and installed
+// by the extension on the tab's debugger Fetch domain
+app.get("/routes", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "listRoutes", tabId: req.tabId },
+      {
+        responseType: "listRoutesResult",
+        timeout: 10000,
+        timeoutMessage: "List routes timeout",
+      },
+    );
+
+    if (result.success) {
+      const { routes, log } = result.result;
+      res.json({ success: true, routes, log });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/routes/add", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  let route;
+  try {
+    route = compileRoute(req.body);
+  } catch (error) {
+    if (error instanceof RouteError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "addRoute", route, tabId: req.tabId },
+      {
+        responseType: "addRouteResult",
+        timeout: 10000,
+        timeoutMessage: "Add route timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, route: result.result.route });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/routes/remove", async (req, res) => {
+  const { routeId } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "removeRoute", routeId, tabId: req.tabId },
+      {
+        responseType: "removeRouteResult",
+        timeout: 10000,
+        timeoutMessage: "Remove route timeout",
+      },
+    );
+
+    if (result.success) {
+      const { removed, routes } = result.result;
+      res.json({ success: true, removed, routes });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// HAR export endpoint: "start" begins recording the tab's network activity,
+// "stop" ends it and writes the HAR 1.2 file to .har/ next to .screenshots/
+app.post("/har", async (req, res) => {
+  const { action, includeBodies, maxBodySize, filename } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  let options;
+  let name;
+  try {
+    if (action !== "start" && action !== "stop") {
+      throw new HarError('action must be "start" or "stop"');
+    }
+    options = recordingOptions({ includeBodies, maxBodySize });
+    name = harFilename(filename);
+  } catch (error) {
+    if (error instanceof HarError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    if (action === "start") {
+      const result = await requestExtension(
+        req,
+        res,
+        { action: "harStart", ...options, tabId: req.tabId },
+        {
+          responseType: "harStartResult",
+          timeout: 10000,
+          timeoutMessage: "HAR start timeout",
+        },
+      );
+
+      if (result.success) {
+        const { startedAt } = result.result;
+        res.json({ success: true, action, recording: true, startedAt });
+      } else {
+        res.status(400).json({ success: false, error: result.error });
+      }
+      return;
+    }
+
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "harStop", tabId: req.tabId },
+      {
+        responseType: "harStopResult",
+        timeout: 30000,
+        timeoutMessage: "HAR stop timeout",
+      },
+    );
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    const recording = result.result.recording;
+    const { har, incomplete } = buildHar(recording, {
+      creator: { name: "MCP HTTP Bridge", version: "1.2.0" },
+    });
+    const json = JSON.stringify(har, null, 2);
+
+    const harDir = path.join(path.dirname(__dirname), ".har");
+    ensureDirectoryExists(harDir);
+    const filepath = path.join(harDir, name);
+    fs.writeFileSync(filepath, json);
+
+    res.json({
+      success: true,
+      action,
+      recording: false,
+      path: filepath,
+      filename: name,
+      entries: har.log.entries.length,
+      pages: har.log.pages.length,
+      bytes: Buffer.byteLength(json),
+      incomplete,
+      truncated: recording.truncated,
+      startedAt: recording.startedAt,
+      stoppedAt: recording.stoppedAt,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cookie and storage endpoints: cookies live in the tab's cookie store,
+// storage belongs to the tab's current origin
+async function browserStateRequest(req, res, message, compile) {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  let args;
+  try {
+    args = compile();
+  } catch (error) {
+    if (error instanceof BrowserStateError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: message, ...args, tabId: req.tabId },
+      {
+        responseType: `${message}Result`,
+        timeout: 10000,
+        timeoutMessage: `${message} timeout`,
+      },
+    );
+
+    if (result.success) {
+      const { success, ...reply } = result.result;
+      res.json({ success: true, ...reply });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get("/cookies", (req, res) =>
+  browserStateRequest(req, res, "getCookies", () => ({
+    filter: cookieFilter(req.query),
+  })),
+);
+
+app.post("/cookies/set", (req, res) =>
+  browserStateRequest(req, res, "setCookies", () => ({
+    cookies: compileCookies(req.body.cookies),
+  })),
+);
+
+app.post("/cookies/clear", (req, res) =>
+  browserStateRequest(req, res, "clearCookies", () => ({
+    filter: cookieFilter(req.body),
+  })),
+);
+
+app.get("/storage", (req, res) =>
+  browserStateRequest(req, res, "getStorage", () => ({
+    types: storageTypes(req.query.type),
+  })),
+);
+
+app.post("/storage/set", (req, res) =>
+  browserStateRequest(req, res, "setStorage", () => ({
+    changes: compileStorage(req.body),
+  })),
+);
+
+// Tab management endpoints
+app.get("/tabs", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "listTabs" },
+      {
+        responseType: "listTabsResult",
+        timeout: 10000,
+        timeoutMessage: "List tabs timeout",
+      },
+    );
+
+    if (result.success) {
+      const { tabs, inspectedTabId } = result.result;
+      res.json({ success: true, tabs, inspectedTabId });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/tabs/open", async (req, res) => {
+  const { url = "about:blank", active = true } = req.body;
+
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "openTab", url, active },
+      {
+        responseType: "openTabResult",
+        timeout: 10000,
+        timeoutMessage: "Open tab timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, tab: result.result.tab });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/tabs/close", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  if (req.tabId === undefined) {
+    return res.status(400).json({ error: "tabId is required" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "closeTab", tabId: req.tabId },
+      {
+        responseType: "closeTabResult",
+        timeout: 10000,
+        timeoutMessage: "Close tab timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, closed: true, tabId: req.tabId });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/tabs/switch", async (req, res) => {
+  if (!req.extension) {
+    return res.status(503).json({ error: "Chrome extension not connected" });
+  }
+
+  if (req.tabId === undefined) {
+    return res.status(400).json({ error: "tabId is required" });
+  }
+
+  try {
+    const result = await requestExtension(
+      req,
+      res,
+      { action: "switchTab", tabId: req.tabId },
+      {
+        responseType: "switchTabResult",
+        timeout: 10000,
+        timeoutMessage: "Switch tab timeout",
+      },
+    );
+
+    if (result.success) {
+      res.json({ success: true, tab: result.result.tab });
+    } else {
+      res.status(400).json({ success: false, error: result.error });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start HTTP server
+const server = app.listen(PORT, HOST, () => {
+  console.log(`🚀 HTTP Bridge Server running at http://${HOST}:${PORT}`);
+  console.log("📡 Waiting for Chrome extension connection...");
+});
+
+// Create WebSocket server
+const wss = new WebSocketServer({
+  server,
+  path: "/extension-ws",
+});
+
+// Handle WebSocket connections
+wss.on("connection", (ws, request) => {
+  const connection = connections.add(ws, {
+    remoteAddress: request.socket.remoteAddress,
+  });
+  console.log(
+    `✅ Chrome extension connected! (${connection.id}${connections.activeId === connection.id ? ", active" : ""}, ${connections.size} connected)`,
+  );
+
+  // Handle messages from Chrome extension
+  ws.on("message", (data) => {
+    // 🔍 DEBUG: Log ALL incoming WebSocket messages
+    console.log("\n📨 [WEBSOCKET IN]", new Date().toISOString());
+
+    try {
+      const message = JSON.parse(data);
+
+      // Replies can carry cookies, storage contents and HAR bodies: log
+      // only what identifies them
+      if (message.requestId !== undefined) {
+        const { type, requestId, success } = message;
+        console.log("Reply:", JSON.stringify({ type, requestId, success }));
+      } else {
+        console.log("Raw data:", data.toString());
+        console.log("Parsed message:", JSON.stringify(message, null, 2));
+      }
+
+      connections.touch(connection.id);
+
+      // Progress of a pending request (the reply follows later)
+      if (message.type === "progress") {
+        pendingRequests.handleProgress(message, connection.id);
+        return;
+      }
+
+      // Replies to bridge requests carry the requestId they answer
+      if (message.requestId !== undefined) {
+        pendingRequests.handleReply(message, connection.id);
+        return;
+      }
+
+      // Update state based on message type
+      switch (message.type) {
+        case "identify":
+          connections.identify(connection.id, message.identity || {});
+          console.log(
+            `🪪 ${connection.id} identified:`,
+            JSON.stringify(connection.identity),
+          );
+          break;
+
+        case "url":
+          connections.identify(connection.id, { url: message.url });
+          console.log(`📍 Current URL (${connection.id}): ${message.url}`);
+          publishEvent("url", {
+            url: message.url,
+            connectionId: connection.id,
+            active: connections.activeId === connection.id,
           });
+          break;
+
+        case "tabId":
+          connections.identify(connection.id, { tabId: message.tabId });
+          console.log(`📑 Current Tab ID (${connection.id}): ${message.tabId}`);
+          break;
+
+        case "consoleLog": {
+          const entry = {
+            timestamp: new Date().toISOString(),
+            level: "log",
+            // Entries without a tab come from the connection's inspected tab
+            tabId: connection.identity.tabId,
+            ...message.data,
+            connectionId: connection.id,
+            id: ++consoleSequence,
+          };
+          consoleLogs.push(entry);
           // Rotate logs if too many
           if (consoleLogs.length > MAX_LOGS) {
             consoleLogs = consoleLogs.slice(-MAX_LOGS);
           }
+          publishEvent("console", {
+            id: entry.id,
+            level: entry.level,
+            connectionId: connection.id,
+          });
           break;
+        }
 
-        case "consoleError":
-          consoleErrors.push({
+        case "consoleError": {
+          const entry = {
             timestamp: new Date().toISOString(),
+            level: "error",
+            tabId: connection.identity.tabId,
             ...message.data,
-          });
+            connectionId: connection.id,
+            id: ++consoleSequence,
+          };
+          consoleErrors.push(entry);
           if (consoleErrors.length > MAX_LOGS) {
             consoleErrors = consoleErrors.slice(-MAX_LOGS);
           }
+          publishEvent("console", {
+            id: entry.id,
+            level: entry.level,
+            connectionId: connection.id,
+          });
           break;
+        }
 
         case "networkError":
           networkErrors.push({
             timestamp: new Date().toISOString(),
             ...message.data,
+            connectionId: connection.id,
           });
           if (networkErrors.length > MAX_LOGS) {
             networkErrors = networkErrors.slice(-MAX_LOGS);
           }
+          publishEvent("networkError", {
+            url: message.data?.url,
+            connectionId: connection.id,
+          });
+          break;
+
+        case "networkRequest": {
+          const request = {
+            timestamp: new Date().toISOString(),
+            ...message.data,
+            connectionId: connection.id,
+          };
+          networkRequests.push(request);
+          if (networkRequests.length > MAX_LOGS) {
+            networkRequests = networkRequests.slice(-MAX_LOGS);
+          }
+
+          // Keep the error-only feed for /network-errors
+          if (isFailedRequest(request)) {
+            networkErrors.push(request);
+            if (networkErrors.length > MAX_LOGS) {
+              networkErrors = networkErrors.slice(-MAX_LOGS);
+            }
+            publishEvent("networkError", {
+              url: request.url,
+              status: request.status,
+              connectionId: connection.id,
+            });
+          }
           break;
+        }
       }
     } catch (error) {
       console.error("Error processing WebSocket message:", error);
@@ -503,11 +1714,25 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
-    console.log("⚠️  Chrome extension disconnected");
-    if (wsConnection === ws) {
-      wsConnection = null;
-      currentTabId = null;
-      currentUrl = "";
+    const { wasActive, activeId } = connections.remove(connection.id);
+    console.log(`⚠️  Chrome extension disconnected (${connection.id})`);
+
+    if (wasActive) {
+      console.log(
+        activeId
+          ? `🔀 Failing over to ${activeId}`
+          : "📡 No extension connections left",
+      );
+      publishActiveUrl();
+    }
+
+    // Requests already sent over this connection can no longer be answered
+    const cancelled = pendingRequests.cancelAll(
+      "cancelled: extension disconnected",
+      connection.id,
+    );
+    if (cancelled > 0) {
+      console.log(`🛑 Cancelled ${cancelled} pending extension requests`);
     }
   });
 
@@ -0,0 +1,158 @@
+/**
+ * HTTP Bridge Event Stream Client
+ *
+ * Follows the bridge's GET /events Server-Sent Events stream so the MCP
+ * server learns about new console entries, failed requests and URL changes
+ * as soon as the extension reports them.
+ *
+ * Features:
+ * - Incremental SSE parsing (events may span network chunks)
+ * - Automatic reconnect while started (bridge restarts, late bridge start)
+ * - Explicit start/stop so the stream only runs while it is needed
+ */
+
+import http from "http";
+
+/**
+ * Parse complete SSE events out of a text buffer
+ * @param {string} buffer - Unparsed stream text
+ * @returns {{events: Object[], rest: string}} Parsed {type, data} events
+ *   and the trailing incomplete text
+ */
+export function parseSseEvents(buffer) {
+  const blocks = buffer.replace(/\r\n/g, "\n").split("\n\n");
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let type = "message";
+    const dataLines = [];
+
+    for (const line of block.split("\n")) {
+      if (line.startsWith(":")) continue;
+      if (line.startsWith("event:")) {
+        type = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+
+    if (dataLines.length === 0) continue;
+
+    try {
+      events.push({ type, data: JSON.parse(dataLines.join("\n")) });
+    } catch (error) {
+      // Ignore events that are not JSON
+    }
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Reconnecting client for the bridge event stream
+ */
+export class BridgeEventStream {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - HTTP bridge port
+   * @param {Function} options.onEvent - Called with each {type, data} event
+   * @param {string} [options.hostname="localhost"]
+   * @param {string} [options.path="/events"]
+   * @param {number} [options.reconnectDelay=2000] - Delay between attempts (ms)
+   * @param {Function} [options.log]
+   */
+  constructor({
+    port,
+    onEvent,
+    hostname = "localhost",
+    path = "/events",
+    reconnectDelay = 2000,
+    log = () => {},
+  }) {
+    this.port = port;
+    this.onEvent = onEvent;
+    this.hostname = hostname;
+    this.path = path;
+    this.reconnectDelay = reconnectDelay;
+    this.log = log;
+
+    this.running = false;
+    this.request = null;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Start following the stream (no-op if already started)
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  /**
+   * Stop following the stream
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.request) {
+      this.request.destroy();
+      this.request = null;
+    }
+  }
+
+  connect() {
+    const request = http.get(
+      {
+        hostname: this.hostname,
+        port: this.port,
+        path: this.path,
+        headers: { Accept: "text/event-stream" },
+      },
+      (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          this.log(`Bridge event stream returned HTTP ${res.statusCode}`);
+          return;
+        }
+
+        this.log("Connected to bridge event stream");
+        res.setEncoding("utf8");
+
+        let buffer = "";
+        res.on("data", (chunk) => {
+          const { events, rest } = parseSseEvents(buffer + chunk);
+          buffer = rest;
+          for (const event of events) {
+            this.onEvent(event);
+          }
+        });
+      },
+    );
+
+    request.on("error", (error) => {
+      this.log(`Bridge event stream error: ${error.message}`);
+    });
+
+    request.on("close", () => {
+      if (this.request === request) {
+        this.request = null;
+        this.scheduleReconnect();
+      }
+    });
+
+    this.request = request;
+  }
+
+  scheduleReconnect() {
+    if (!this.running) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, this.reconnectDelay);
+    this.reconnectTimer.unref();
+  }
+}
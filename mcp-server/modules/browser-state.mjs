@@ -0,0 +1,239 @@
+/**
+ * Browser State for the MCP HTTP Bridge
+ *
+ * Validates the arguments of the cookie and storage tools
+ * (browser_get_cookies, browser_set_cookies, browser_clear_cookies,
+ * browser_get_storage, browser_set_storage) before they are sent to the
+ * extension (chrome-extension/browser-state.js).
+ *
+ * Cookies use the shape browser_get_cookies returns, so a snapshot can be
+ * restored as is: {name, value, domain, path, expires, httpOnly, secure,
+ * sameSite, hostOnly}, where expires is in seconds since the epoch and -1
+ * marks a session cookie. They are compiled here into chrome.cookies.set
+ * details.
+ *
+ * Invalid arguments throw a BrowserStateError, which endpoints report as 400.
+ */
+
+// browser_set_cookies sameSite values and their chrome.cookies names
+export const SAME_SITE_VALUES = {
+  Strict: "strict",
+  Lax: "lax",
+  None: "no_restriction",
+};
+
+export const STORAGE_TYPES = ["local", "session"];
+export const MAX_COOKIES = 500;
+
+/**
+ * Error raised for cookie or storage arguments that cannot be applied
+ */
+export class BrowserStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BrowserStateError";
+  }
+}
+
+function httpUrl(value, field) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new BrowserStateError(`${field} must be an absolute URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new BrowserStateError(`${field} must be an http(s) URL`);
+  }
+  return url.href;
+}
+
+/**
+ * Validate the filter of browser_get_cookies and browser_clear_cookies
+ * @param {Object} filter
+ * @param {string} [filter.url] - Cookies sent to this URL
+ * @param {string} [filter.domain] - Cookies of this domain and its subdomains
+ * @param {string} [filter.name] - Cookies with this name
+ * @returns {{url?: string, domain?: string, name?: string}} Without url and
+ *   domain the extension uses the tab's URL
+ * @throws {BrowserStateError}
+ */
+export function cookieFilter({ url, domain, name } = {}) {
+  const filter = {};
+  if (url !== undefined && domain !== undefined) {
+    throw new BrowserStateError("Give either url or domain, not both");
+  }
+  if (url !== undefined) {
+    filter.url = httpUrl(url, "url");
+  }
+  if (domain !== undefined) {
+    if (typeof domain !== "string" || domain.trim() === "") {
+      throw new BrowserStateError("domain must be a non-empty string");
+    }
+    filter.domain = domain.replace(/^\./, "");
+  }
+  if (name !== undefined) {
+    if (typeof name !== "string" || name === "") {
+      throw new BrowserStateError("name must be a non-empty string");
+    }
+    filter.name = name;
+  }
+  return filter;
+}
+
+/**
+ * Validate cookies and compile them to chrome.cookies.set details
+ * @param {Object[]} cookies - Cookies as returned by browser_get_cookies;
+ *   url may replace domain and path, neither sets them for the tab's URL
+ * @returns {Object[]} {name, value, url?, domain?, path?, expirationDate?,
+ *   httpOnly?, secure?, sameSite?}
+ * @throws {BrowserStateError}
+ */
+export function compileCookies(cookies) {
+  if (!Array.isArray(cookies) || cookies.length === 0) {
+    throw new BrowserStateError("cookies must be a non-empty array");
+  }
+  if (cookies.length > MAX_COOKIES) {
+    throw new BrowserStateError(`At most ${MAX_COOKIES} cookies at a time`);
+  }
+
+  return cookies.map((cookie, index) => {
+    const label = `cookies[${index}]`;
+    if (!cookie || typeof cookie !== "object") {
+      throw new BrowserStateError(`${label} must be an object`);
+    }
+
+    const {
+      name,
+      value,
+      url,
+      domain,
+      path,
+      expires,
+      httpOnly,
+      secure,
+      sameSite,
+      hostOnly,
+    } = cookie;
+
+    if (typeof name !== "string" || name === "") {
+      throw new BrowserStateError(`${label}.name must be a non-empty string`);
+    }
+    if (typeof value !== "string") {
+      throw new BrowserStateError(`${label}.value must be a string`);
+    }
+    if (url !== undefined && domain !== undefined) {
+      throw new BrowserStateError(
+        `${label}: give either url or domain, not both`,
+      );
+    }
+
+    const details = { name, value };
+
+    if (url !== undefined) {
+      details.url = httpUrl(url, `${label}.url`);
+    } else if (domain !== undefined) {
+      if (typeof domain !== "string" || domain.replace(/^\./, "") === "") {
+        throw new BrowserStateError(`${label}.domain must be a domain name`);
+      }
+      const host = domain.replace(/^\./, "");
+      details.url = `${secure ? "https" : "http"}://${host}${path ?? "/"}`;
+      // A host-only cookie is set without a domain, or it would also be
+      // sent to subdomains
+      if (!hostOnly) {
+        details.domain = domain;
+      }
+    }
+
+    if (path !== undefined) {
+      if (typeof path !== "string" || !path.startsWith("/")) {
+        throw new BrowserStateError(`${label}.path must start with "/"`);
+      }
+      details.path = path;
+    }
+    if (expires !== undefined && expires !== -1) {
+      if (typeof expires !== "number" || !(expires > 0)) {
+        throw new BrowserStateError(
+          `${label}.expires must be seconds since the epoch (-1 for a session cookie)`,
+        );
+      }
+      details.expirationDate = expires;
+    }
+    if (httpOnly !== undefined) {
+      details.httpOnly = Boolean(httpOnly);
+    }
+    if (secure !== undefined) {
+      details.secure = Boolean(secure);
+    }
+    if (sameSite !== undefined) {
+      if (!SAME_SITE_VALUES[sameSite]) {
+        throw new BrowserStateError(
+          `${label}.sameSite must be one of ${Object.keys(SAME_SITE_VALUES).join(", ")}`,
+        );
+      }
+      details.sameSite = SAME_SITE_VALUES[sameSite];
+    }
+
+    return details;
+  });
+}
+
+/**
+ * Validate the storage types of browser_get_storage
+ * @param {string} [type] - "local", "session" or omitted for both
+ * @returns {string[]}
+ * @throws {BrowserStateError}
+ */
+export function storageTypes(type) {
+  if (type === undefined || type === "") {
+    return [...STORAGE_TYPES];
+  }
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new BrowserStateError(
+      `type must be one of ${STORAGE_TYPES.join(", ")}`,
+    );
+  }
+  return [type];
+}
+
+/**
+ * Validate the items of browser_set_storage
+ * @param {Object} changes
+ * @param {Object} [changes.localStorage] - Items to set; null removes one
+ * @param {Object} [changes.sessionStorage] - Items to set; null removes one
+ * @param {boolean} [changes.clear=false] - Clear the given storages first
+ * @returns {{localStorage?: Object, sessionStorage?: Object, clear: boolean}}
+ * @throws {BrowserStateError}
+ */
+export function compileStorage({
+  localStorage,
+  sessionStorage,
+  clear = false,
+} = {}) {
+  const changes = { clear: Boolean(clear) };
+
+  for (const [key, items] of Object.entries({
+    localStorage,
+    sessionStorage,
+  })) {
+    if (items === undefined) {
+      continue;
+    }
+    if (!items || typeof items !== "object" || Array.isArray(items)) {
+      throw new BrowserStateError(`${key} must be an object of items`);
+    }
+    for (const [name, value] of Object.entries(items)) {
+      if (value !== null && typeof value !== "string") {
+        throw new BrowserStateError(
+          `${key}["${name}"] must be a string (or null to remove it)`,
+        );
+      }
+    }
+    changes[key] = items;
+  }
+
+  if (!changes.localStorage && !changes.sessionStorage) {
+    throw new BrowserStateError("Give localStorage and/or sessionStorage");
+  }
+  return changes;
+}
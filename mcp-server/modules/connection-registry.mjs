@@ -0,0 +1,149 @@
+/**
+ * Connection Registry for the MCP HTTP Bridge
+ *
+ * Tracks every Chrome extension WebSocket connected to the bridge (one per
+ * DevTools panel: different profiles, windows or inspected tabs) and decides
+ * which one serves a request.
+ *
+ * Features:
+ * - Stable connection IDs (ext-1, ext-2, ...) in connection order
+ * - Per-connection identity reported by the extension (profile, window, tab)
+ * - One active (default) connection; new connections never take over
+ * - Deterministic failover: when the active connection closes, the
+ *   longest-connected remaining connection becomes active
+ */
+
+/**
+ * Registry of connected extension WebSockets
+ */
+export class ConnectionRegistry {
+  constructor() {
+    /** @type {Map<string, Object>} Insertion order = connection order */
+    this.connections = new Map();
+
+    /** @type {string|null} */
+    this.activeId = null;
+
+    this.sequence = 0;
+  }
+
+  /**
+   * Register a new connection
+   * @param {Object} ws - WebSocket of the connection
+   * @param {Object} [info]
+   * @param {string} [info.remoteAddress] - Peer address
+   * @returns {Object} Connection record
+   */
+  add(ws, { remoteAddress = null } = {}) {
+    const connection = {
+      id: `ext-${++this.sequence}`,
+      ws,
+      remoteAddress,
+      connectedAt: new Date().toISOString(),
+      lastMessageAt: null,
+      identity: {},
+    };
+
+    this.connections.set(connection.id, connection);
+
+    if (this.activeId === null) {
+      this.activeId = connection.id;
+    }
+
+    return connection;
+  }
+
+  /**
+   * Remove a connection, failing over if it was the active one
+   * @param {string} id - Connection ID
+   * @returns {Object} {removed, wasActive, activeId}
+   */
+  remove(id) {
+    const removed = this.connections.delete(id);
+    const wasActive = removed && this.activeId === id;
+
+    if (wasActive) {
+      // Map iteration follows insertion order: the oldest connection wins
+      const next = this.connections.keys().next();
+      this.activeId = next.done ? null : next.value;
+    }
+
+    return { removed, wasActive, activeId: this.activeId };
+  }
+
+  /**
+   * Get a connection by ID
+   * @param {string} id - Connection ID
+   * @returns {Object|null} Connection record
+   */
+  get(id) {
+    return this.connections.get(id) || null;
+  }
+
+  /**
+   * The connection used when a request does not name one
+   * @returns {Object|null} Connection record
+   */
+  get active() {
+    return this.activeId === null ? null : this.get(this.activeId);
+  }
+
+  /**
+   * Make a connection the default target
+   * @param {string} id - Connection ID
+   * @returns {boolean} True if the connection exists
+   */
+  select(id) {
+    if (!this.connections.has(id)) {
+      return false;
+    }
+    this.activeId = id;
+    return true;
+  }
+
+  /**
+   * Merge identity fields reported by the extension
+   * @param {string} id - Connection ID
+   * @param {Object} identity - profileId, windowId, tabId, url, ...
+   */
+  identify(id, identity) {
+    const connection = this.get(id);
+    if (connection) {
+      Object.assign(connection.identity, identity);
+    }
+  }
+
+  /**
+   * Record activity on a connection
+   * @param {string} id - Connection ID
+   */
+  touch(id) {
+    const connection = this.get(id);
+    if (connection) {
+      connection.lastMessageAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Serializable description of every connection
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.connections.values(), (connection) => ({
+      id: connection.id,
+      active: connection.id === this.activeId,
+      connectedAt: connection.connectedAt,
+      lastMessageAt: connection.lastMessageAt,
+      remoteAddress: connection.remoteAddress,
+      ...connection.identity,
+    }));
+  }
+
+  /**
+   * Number of connected extensions
+   * @returns {number}
+   */
+  get size() {
+    return this.connections.size;
+  }
+}
@@ -0,0 +1,557 @@
+/**
+ * HAR Export for the MCP HTTP Bridge
+ *
+ * Converts a network recording of the extension (chrome-extension/
+ * har-recorder.js) into a HAR 1.2 log for browser_export_har. The recording
+ * holds the raw chrome.debugger Network and Page events between the start
+ * and stop markers, plus the response bodies that fit its size caps.
+ *
+ * Each redirect hop becomes its own entry. Timings follow the DevTools HAR
+ * export: ssl is part of connect, and time is the sum of the other phases.
+ * Requests still in flight when the recording stops are left out and
+ * counted as incomplete.
+ *
+ * Invalid export options throw a HarError, which endpoints report as 400.
+ */
+
+import path from "path";
+
+export const HAR_VERSION = "1.2";
+export const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+export const MAX_BODY_SIZE_LIMIT = 10 * 1024 * 1024;
+
+// Network.Response.protocol values and their HAR httpVersion
+const HTTP_VERSIONS = {
+  "http/0.9": "HTTP/0.9",
+  "http/1.0": "HTTP/1.0",
+  "http/1.1": "HTTP/1.1",
+  h2: "HTTP/2.0",
+  h3: "HTTP/3",
+};
+
+/**
+ * Error raised for HAR export options that cannot be used
+ */
+export class HarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HarError";
+  }
+}
+
+/**
+ * Validate the body capture options of a recording
+ * @param {Object} options
+ * @param {boolean} [options.includeBodies=false] - Capture response bodies
+ * @param {number} [options.maxBodySize] - Largest body to capture (bytes)
+ * @returns {{includeBodies: boolean, maxBodySize: number}}
+ * @throws {HarError}
+ */
+export function recordingOptions({
+  includeBodies = false,
+  maxBodySize = DEFAULT_MAX_BODY_SIZE,
+} = {}) {
+  if (typeof includeBodies !== "boolean") {
+    throw new HarError("includeBodies must be a boolean");
+  }
+  if (
+    !Number.isInteger(maxBodySize) ||
+    maxBodySize < 0 ||
+    maxBodySize > MAX_BODY_SIZE_LIMIT
+  ) {
+    throw new HarError(`maxBodySize must be 0-${MAX_BODY_SIZE_LIMIT} bytes`);
+  }
+  return { includeBodies, maxBodySize };
+}
+
+/**
+ * File name for an exported HAR
+ * @param {string} [name] - Requested name; ".har" is appended if missing
+ * @param {Date} [now] - Time for the default name
+ * @returns {string} e.g. "checkout-bug.har" or "session-2025-01-01T...har"
+ * @throws {HarError} Names with directories or unsafe characters
+ */
+export function harFilename(name, now = new Date()) {
+  if (name === undefined || name === "") {
+    const timestamp = now.toISOString().replace(/[:.]/g, "-");
+    return `session-${timestamp}.har`;
+  }
+  if (
+    typeof name !== "string" ||
+    path.basename(name) !== name ||
+    !/^[\w.-]+$/.test(name) ||
+    name.startsWith(".")
+  ) {
+    throw new HarError(
+      "filename must be a plain file name (letters, digits, '.', '_', '-')",
+    );
+  }
+  return name.endsWith(".har") ? name : `${name}.har`;
+}
+
+/**
+ * Build a HAR 1.2 log from a recording
+ * @param {Object} recording - Reply of the extension's harStop
+ * @param {Array<{method: string, params: Object}>} recording.events - CDP events in arrival order
+ * @param {Object} [recording.bodies] - Response bodies by requestId:
+ *   {body, base64Encoded} or {omitted: reason}
+ * @param {string} [recording.mainFrameId] - Frame whose documents are pages
+ * @param {{name: string, version: string}} [recording.browser]
+ * @param {Object} [options]
+ * @param {{name: string, version: string}} [options.creator]
+ * @returns {{har: Object, incomplete: number}} HAR document and the number
+ *   of requests left out because they had not finished
+ */
+export function buildHar(recording, { creator } = {}) {
+  const { events = [], bodies = {}, mainFrameId, browser } = recording;
+  const records = collectRequests(events);
+  const pages = collectPages(records, events, mainFrameId);
+
+  const entries = [];
+  let incomplete = 0;
+
+  for (const [requestId, record] of records) {
+    record.hops.forEach((hop, index) => {
+      if (!hop.response && !hop.error) {
+        incomplete++;
+        return;
+      }
+      const isLast = index === record.hops.length - 1;
+      entries.push(
+        buildEntry(hop, {
+          requestExtra: record.requestExtra[index],
+          responseExtra: record.responseExtra[index],
+          body: isLast ? bodies[requestId] : undefined,
+          page: pageAt(pages, hop.timestamp),
+        }),
+      );
+    });
+  }
+
+  entries.sort((a, b) => a._startTime - b._startTime);
+  entries.forEach((entry) => delete entry._startTime);
+
+  const har = {
+    log: {
+      version: HAR_VERSION,
+      creator: creator ?? { name: "Browser Tools MCP", version: "" },
+      ...(browser ? { browser } : {}),
+      pages: pages.map(({ timestamp, ...page }) => page),
+      entries,
+    },
+  };
+
+  return { har, incomplete };
+}
+
+// Group Network events by requestId; a request has one hop per redirect.
+// ExtraInfo events carry the headers actually sent and received and arrive
+// in hop order, but not necessarily after the event they belong to.
+function collectRequests(events) {
+  const records = new Map();
+  const recordOf = (requestId) => {
+    if (!records.has(requestId)) {
+      records.set(requestId, { hops: [], requestExtra: [], responseExtra: [] });
+    }
+    return records.get(requestId);
+  };
+
+  for (const { method, params } of events) {
+    if (!params?.requestId) {
+      continue;
+    }
+    const record = recordOf(params.requestId);
+    const hop = record.hops.at(-1);
+
+    switch (method) {
+      case "Network.requestWillBeSent":
+        if (params.redirectResponse && hop) {
+          hop.response = params.redirectResponse;
+          hop.responseTime = params.timestamp;
+          hop.endTime = params.timestamp;
+        }
+        record.hops.push({
+          request: params.request,
+          timestamp: params.timestamp,
+          wallTime: params.wallTime,
+          type: params.type,
+          frameId: params.frameId,
+          isNavigation: params.loaderId === params.requestId,
+        });
+        break;
+      case "Network.requestWillBeSentExtraInfo":
+        record.requestExtra.push(params);
+        break;
+      case "Network.responseReceivedExtraInfo":
+        record.responseExtra.push(params);
+        break;
+      case "Network.responseReceived":
+        if (hop) {
+          hop.response = params.response;
+          hop.responseTime = params.timestamp;
+          hop.type = params.type ?? hop.type;
+        }
+        break;
+      case "Network.loadingFinished":
+        if (hop) {
+          hop.endTime = params.timestamp;
+          hop.encodedDataLength = params.encodedDataLength;
+        }
+        break;
+      case "Network.loadingFailed":
+        if (hop) {
+          hop.endTime = params.timestamp;
+          hop.error = params.errorText || "Failed";
+        }
+        break;
+    }
+  }
+
+  // Events of requests that started before the recording have no hop
+  for (const [requestId, record] of records) {
+    if (record.hops.length === 0) {
+      records.delete(requestId);
+    }
+  }
+  return records;
+}
+
+// Every main-frame document starts a page; its timings come from the
+// Page.domContentEventFired/loadEventFired events before the next one
+function collectPages(records, events, mainFrameId) {
+  const starts = [];
+  for (const record of records.values()) {
+    const hop = record.hops[0];
+    if (hop.type === "Document" && hop.isNavigation) {
+      if (!mainFrameId || hop.frameId === mainFrameId) {
+        starts.push(hop);
+      }
+    }
+  }
+  starts.sort((a, b) => a.timestamp - b.timestamp);
+
+  return starts.map((hop, index) => {
+    const end = starts[index + 1]?.timestamp ?? Infinity;
+    const timing = (method) => {
+      const event = events.find(
+        (candidate) =>
+          candidate.method === method &&
+          candidate.params.timestamp >= hop.timestamp &&
+          candidate.params.timestamp < end,
+      );
+      return event ? round(ms(event.params.timestamp - hop.timestamp)) : -1;
+    };
+
+    return {
+      startedDateTime: new Date(hop.wallTime * 1000).toISOString(),
+      id: `page_${index + 1}`,
+      title: hop.request.url,
+      pageTimings: {
+        onContentLoad: timing("Page.domContentEventFired"),
+        onLoad: timing("Page.loadEventFired"),
+      },
+      timestamp: hop.timestamp,
+    };
+  });
+}
+
+function pageAt(pages, timestamp) {
+  let page;
+  for (const candidate of pages) {
+    if (candidate.timestamp <= timestamp) {
+      page = candidate;
+    }
+  }
+  return page;
+}
+
+function buildEntry(hop, { requestExtra, responseExtra, body, page }) {
+  const { request, response } = hop;
+  const timings = buildTimings(hop);
+  const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+    .map((phase) => timings[phase])
+    .filter((value) => value > 0)
+    .reduce((sum, value) => sum + value, 0);
+
+  const requestHeaders = toHeaders(
+    requestExtra?.headers ?? response?.requestHeaders ?? request.headers,
+  );
+  const postData = buildPostData(request, requestHeaders);
+
+  const entry = {
+    ...(page ? { pageref: page.id } : {}),
+    startedDateTime: new Date(hop.wallTime * 1000).toISOString(),
+    time: round(time),
+    request: {
+      method: request.method,
+      url: request.url + (request.urlFragment ?? ""),
+      httpVersion: httpVersion(response),
+      cookies: parseCookieHeader(headerValue(requestHeaders, "cookie")),
+      headers: requestHeaders,
+      queryString: queryString(request.url),
+      ...(postData ? { postData } : {}),
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData.text) : 0,
+    },
+    response: response
+      ? buildResponse(hop, responseExtra, body)
+      : failedResponse(),
+    cache: {},
+    timings,
+    _resourceType: (hop.type ?? "Other").toLowerCase(),
+    _startTime: hop.timestamp,
+  };
+
+  if (response?.remoteIPAddress) {
+    entry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, "");
+  }
+  if (response?.connectionId) {
+    entry.connection = String(response.connectionId);
+  }
+  if (hop.error) {
+    entry._error = hop.error;
+  }
+  return entry;
+}
+
+function buildResponse(hop, responseExtra, body) {
+  const { response } = hop;
+  const headers = toHeaders(responseExtra?.headers ?? response.headers);
+  const headersText = responseExtra?.headersText ?? response.headersText;
+  const headersSize = headersText ? Buffer.byteLength(headersText) : -1;
+
+  // encodedDataLength of the response covers what arrived with the headers
+  const fromCache = response.fromDiskCache || response.fromPrefetchCache;
+  const transferSize = hop.encodedDataLength ?? -1;
+  const bodySize = fromCache
+    ? 0
+    : transferSize >= 0
+      ? Math.max(0, transferSize - (response.encodedDataLength ?? 0))
+      : -1;
+
+  const content = {
+    size: bodySize >= 0 ? bodySize : 0,
+    mimeType: response.mimeType || "x-unknown",
+  };
+  if (body?.body !== undefined) {
+    content.size = body.base64Encoded
+      ? Buffer.from(body.body, "base64").length
+      : Buffer.byteLength(body.body);
+    content.text = body.body;
+    if (body.base64Encoded) {
+      content.encoding = "base64";
+    }
+    if (bodySize >= 0 && content.size > bodySize) {
+      content.compression = content.size - bodySize;
+    }
+  } else if (body?.omitted) {
+    content.comment = body.omitted;
+  }
+
+  return {
+    status: responseExtra?.statusCode ?? response.status,
+    statusText: response.statusText ?? "",
+    httpVersion: httpVersion(response),
+    cookies: parseSetCookieHeaders(headers),
+    headers,
+    content,
+    redirectURL: headerValue(headers, "location") ?? "",
+    headersSize,
+    bodySize,
+    ...(transferSize >= 0 ? { _transferSize: transferSize } : {}),
+  };
+}
+
+// Requests that failed before a response arrived (DNS, blocked, aborted)
+function failedResponse() {
+  return {
+    status: 0,
+    statusText: "",
+    httpVersion: "",
+    cookies: [],
+    headers: [],
+    content: { size: 0, mimeType: "x-unknown" },
+    redirectURL: "",
+    headersSize: -1,
+    bodySize: -1,
+  };
+}
+
+// Phase durations in milliseconds, -1 for phases that did not happen.
+// Network.ResourceTiming offsets are milliseconds from timing.requestTime.
+function buildTimings(hop) {
+  const timing = hop.response?.timing;
+  const timings = {
+    blocked: -1,
+    dns: -1,
+    connect: -1,
+    send: 0,
+    wait: 0,
+    receive: 0,
+    ssl: -1,
+  };
+  const endTime = hop.endTime ?? hop.responseTime ?? hop.timestamp;
+
+  if (!timing) {
+    if (!hop.response) {
+      timings.blocked = round(ms(endTime - hop.timestamp));
+      return timings;
+    }
+    timings.wait = round(ms(hop.responseTime - hop.timestamp));
+    timings.receive = round(Math.max(ms(endTime - hop.responseTime), 0));
+    return timings;
+  }
+
+  const queued = Math.max(ms(timing.requestTime - hop.timestamp), 0);
+  const blockedEnd = leastNonNegative([
+    timing.dnsStart,
+    timing.connectStart,
+    timing.sendStart,
+  ]);
+  timings.blocked = queued + (blockedEnd === Infinity ? 0 : blockedEnd);
+  if (timing.proxyEnd >= 0) {
+    timings.blocked = Math.max(
+      timings.blocked,
+      timing.proxyEnd - timing.proxyStart,
+    );
+  }
+
+  const dnsEnd = timing.dnsEnd >= 0 ? timing.dnsEnd : -1;
+  if (dnsEnd >= 0) {
+    timings.dns = dnsEnd - timing.dnsStart;
+  }
+  if (timing.sslEnd > 0) {
+    timings.ssl = timing.sslEnd - timing.sslStart;
+  }
+  const connectEnd = timing.connectEnd >= 0 ? timing.connectEnd : -1;
+  if (connectEnd >= 0) {
+    timings.connect = connectEnd - timing.connectStart;
+  }
+
+  let sendEnd = 0;
+  if (timing.sendEnd >= 0) {
+    sendEnd = timing.sendEnd;
+    timings.send = Math.max(sendEnd - timing.sendStart, 0);
+  }
+
+  const waitStart = Math.max(sendEnd, connectEnd, dnsEnd, 0);
+  const waitEnd = ms(hop.responseTime - timing.requestTime);
+  timings.wait = Math.max(waitEnd - waitStart, 0);
+  timings.receive = Math.max(ms(endTime - timing.requestTime) - waitEnd, 0);
+
+  for (const phase of Object.keys(timings)) {
+    timings[phase] = round(timings[phase]);
+  }
+  return timings;
+}
+
+function leastNonNegative(values) {
+  return values.reduce(
+    (least, value) => (value >= 0 && value < least ? value : least),
+    Infinity,
+  );
+}
+
+// CDP header objects join repeated headers (Set-Cookie) with "\n"
+function toHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((line) => ({ name, value: line })),
+  );
+}
+
+function headerValue(headers, name) {
+  return headers.find((header) => header.name.toLowerCase() === name)?.value;
+}
+
+function httpVersion(response) {
+  const protocol = response?.protocol?.toLowerCase() ?? "";
+  return HTTP_VERSIONS[protocol] ?? (protocol.startsWith("h3") ? "HTTP/3" : "");
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({
+      name,
+      value,
+    }));
+  } catch {
+    return [];
+  }
+}
+
+function buildPostData(request, headers) {
+  const text =
+    request.postData ??
+    request.postDataEntries
+      ?.map((entry) => Buffer.from(entry.bytes ?? "", "base64").toString())
+      .join("");
+  if (text === undefined) {
+    return null;
+  }
+  return { mimeType: headerValue(headers, "content-type") ?? "", text };
+}
+
+function parseCookieHeader(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf("=");
+      return separator === -1
+        ? { name: pair, value: "" }
+        : { name: pair.slice(0, separator), value: pair.slice(separator + 1) };
+    });
+}
+
+function parseSetCookieHeaders(headers) {
+  return headers
+    .filter((header) => header.name.toLowerCase() === "set-cookie")
+    .map((header) => {
+      const [pair, ...attributes] = header.value.split(";");
+      const [cookie = { name: "", value: "" }] = parseCookieHeader(pair);
+
+      for (const attribute of attributes) {
+        const [key, ...rest] = attribute.trim().split("=");
+        const value = rest.join("=");
+        switch (key.toLowerCase()) {
+          case "path":
+            cookie.path = value;
+            break;
+          case "domain":
+            cookie.domain = value;
+            break;
+          case "expires": {
+            const expires = new Date(value);
+            if (!Number.isNaN(expires.getTime())) {
+              cookie.expires = expires.toISOString();
+            }
+            break;
+          }
+          case "httponly":
+            cookie.httpOnly = true;
+            break;
+          case "secure":
+            cookie.secure = true;
+            break;
+          case "samesite":
+            cookie.sameSite = value;
+            break;
+        }
+      }
+      return cookie;
+    });
+}
+
+function ms(seconds) {
+  return seconds * 1000;
+}
+
+function round(value) {
+  return value < 0 ? -1 : Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,199 @@
+/**
+ * JSON Schema Validation for MCP Tool Schemas
+ *
+ * Validates values against the JSON Schema subset used by the tool
+ * definitions in server.mjs (inputSchema and outputSchema).
+ *
+ * Supported keywords:
+ * - type (single or list, "integer" included), enum, const
+ * - properties, required, additionalProperties (boolean or schema)
+ * - items, minItems, maxItems
+ * - minimum, maximum, minLength, maxLength, pattern
+ * - format: "uri" (absolute URL with a scheme); other formats are ignored
+ * - anyOf, allOf
+ * Annotations (title, description, default, examples) are ignored.
+ *
+ * Errors are reported per field as {path, message}, with paths such as
+ * "categories[1]" or "tab.url" ("" for the value itself).
+ */
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function isUri(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path=""] - Path of the value, prefixed to error paths
+ * @returns {{path: string, message: string}[]} Violations (empty if valid)
+ */
+export function validateJsonSchema(schema, value, path = "") {
+  if (!schema || schema === true) return [];
+  if (schema === false) return [{ path, message: "is not allowed" }];
+
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")} (got ${typeOf(value)})`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`,
+    );
+  }
+
+  if (schema.anyOf) {
+    // Report why each option failed, e.g. "must satisfy one of:
+    // selector is required | ref is required"
+    const optionErrors = schema.anyOf.map((option) =>
+      validateJsonSchema(option, value, path),
+    );
+    if (optionErrors.every((option) => option.length > 0)) {
+      fail(
+        `must satisfy one of: ${optionErrors.map(formatSchemaErrors).join(" | ")}`,
+      );
+    }
+  }
+
+  for (const option of schema.allOf || []) {
+    errors.push(...validateJsonSchema(option, value, path));
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === "uri" && !isUri(value)) {
+      fail("must be an absolute URL (e.g. https://example.com)");
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...validateJsonSchema(schema.items, item, joinPath(path, index)),
+        );
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({
+          path: joinPath(path, name),
+          message: "is required",
+        });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      if (properties[name]) {
+        errors.push(
+          ...validateJsonSchema(
+            properties[name],
+            propertyValue,
+            joinPath(path, name),
+          ),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: joinPath(path, name),
+          message: "is not a known property",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateJsonSchema(
+            schema.additionalProperties,
+            propertyValue,
+            joinPath(path, name),
+          ),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * One-line summary of validation errors
+ * @param {{path: string, message: string}[]} errors
+ * @returns {string}
+ */
+export function formatSchemaErrors(errors) {
+  return errors
+    .map(({ path, message }) => (path ? `${path} ${message}` : message))
+    .join("; ");
+}
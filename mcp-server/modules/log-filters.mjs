@@ -0,0 +1,256 @@
+/**
+ * Log Filters for the MCP HTTP Bridge
+ *
+ * Query-side filtering of the entries the bridge accumulates from the
+ * extension (network requests, console output). Filter values arrive either
+ * as JSON (POST bodies) or as query-string text (GET), so every parser here
+ * accepts both forms.
+ *
+ * Invalid filter values throw a FilterError, which endpoints report as 400.
+ */
+
+/**
+ * Error raised for an invalid filter value
+ */
+export class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterError";
+  }
+}
+
+/**
+ * Parse an optional number filter
+ * @param {*} value - Number or numeric string
+ * @param {string} name - Filter name (for errors)
+ * @returns {number|null} Parsed number, or null when not set
+ */
+export function parseNumber(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new FilterError(`${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Parse an optional timestamp filter
+ * @param {*} value - Epoch milliseconds or an ISO 8601 date string
+ * @param {string} name - Filter name (for errors)
+ * @returns {number|null} Epoch milliseconds, or null when not set
+ */
+export function parseTimestamp(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const time =
+    typeof value === "number" || /^\d+$/.test(String(value))
+      ? Number(value)
+      : Date.parse(value);
+
+  if (!Number.isFinite(time)) {
+    throw new FilterError(`${name} must be an ISO 8601 date or epoch ms`);
+  }
+  return time;
+}
+
+/**
+ * Parse an optional list filter
+ * @param {*} value - Array or comma-separated string
+ * @returns {string[]|null} Lower-cased values, or null when not set
+ */
+export function parseList(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const items = (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Build a text matcher from a pattern
+ *
+ * "/expr/flags" is treated as a regular expression, anything else as a
+ * case-insensitive substring.
+ *
+ * @param {string} [pattern] - Substring or /regex/
+ * @param {string} name - Filter name (for errors)
+ * @returns {Function|null} (text) => boolean, or null when not set
+ */
+export function createTextMatcher(pattern, name) {
+  if (pattern === undefined || pattern === null || pattern === "") {
+    return null;
+  }
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(String(pattern));
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new FilterError(`${name} is not a valid regular expression`);
+    }
+    return (text) => regex.test(String(text ?? ""));
+  }
+
+  const needle = String(pattern).toLowerCase();
+  return (text) =>
+    String(text ?? "")
+      .toLowerCase()
+      .includes(needle);
+}
+
+/**
+ * Check whether a captured request failed (network error or HTTP >= 400)
+ * @param {Object} request - Network request entry
+ * @returns {boolean}
+ */
+export function isFailedRequest(request) {
+  return (
+    Boolean(request.failed) || request.status === 0 || request.status >= 400
+  );
+}
+
+/**
+ * Filter captured network requests
+ * @param {Object[]} requests - Entries in capture order (oldest first)
+ * @param {Object} [filters]
+ * @param {number|string} [filters.statusMin] - Lowest HTTP status to include
+ * @param {number|string} [filters.statusMax] - Highest HTTP status to include
+ * @param {string} [filters.urlPattern] - URL substring or /regex/
+ * @param {string[]|string} [filters.resourceType] - Resource types (xhr, fetch, script, ...)
+ * @param {string[]|string} [filters.method] - HTTP methods
+ * @param {number|string} [filters.since] - Only requests started at or after this time
+ * @param {number|string} [filters.until] - Only requests started at or before this time
+ * @param {boolean|string} [filters.errorsOnly] - Only failed requests
+ * @param {number|string} [filters.tabId] - Only requests captured in this tab
+ * @param {number|string} [filters.limit=100] - Maximum entries (most recent kept)
+ * @returns {Object} {requests, total, returned}
+ */
+export function filterNetworkRequests(requests, filters = {}) {
+  const statusMin = parseNumber(filters.statusMin, "statusMin");
+  const statusMax = parseNumber(filters.statusMax, "statusMax");
+  const since = parseTimestamp(filters.since, "since");
+  const until = parseTimestamp(filters.until, "until");
+  const limit = parseNumber(filters.limit, "limit") ?? 100;
+  const tabId = parseNumber(filters.tabId, "tabId");
+  const resourceTypes = parseList(filters.resourceType);
+  const methods = parseList(filters.method);
+  const matchesUrl = createTextMatcher(filters.urlPattern, "urlPattern");
+  const errorsOnly =
+    filters.errorsOnly === true || filters.errorsOnly === "true";
+
+  if (limit < 1) {
+    throw new FilterError("limit must be at least 1");
+  }
+
+  const matching = requests.filter((request) => {
+    const status = request.status ?? 0;
+    const started = Date.parse(request.startedDateTime || request.timestamp);
+
+    if (statusMin !== null && status < statusMin) return false;
+    if (statusMax !== null && status > statusMax) return false;
+    if (since !== null && !(started >= since)) return false;
+    if (until !== null && !(started <= until)) return false;
+    if (
+      resourceTypes &&
+      !resourceTypes.includes(String(request.resourceType).toLowerCase())
+    ) {
+      return false;
+    }
+    if (methods && !methods.includes(String(request.method).toLowerCase())) {
+      return false;
+    }
+    if (matchesUrl && !matchesUrl(request.url)) return false;
+    if (errorsOnly && !isFailedRequest(request)) return false;
+    if (tabId !== null && request.tabId !== tabId) return false;
+    return true;
+  });
+
+  const selected = matching.slice(-limit);
+
+  return {
+    requests: selected,
+    total: matching.length,
+    returned: selected.length,
+  };
+}
+
+/**
+ * Filter console entries (logs and errors merged by capture order)
+ *
+ * Entries carry a monotonically increasing `id`. Passing the returned
+ * `nextCursor` back as `cursor` yields only entries captured since, so an
+ * agent can poll for new output without re-reading earlier entries.
+ *
+ * @param {Object[]} entries - Entries sorted by id (oldest first)
+ * @param {Object} [filters]
+ * @param {string[]|string} [filters.level] - Levels to include ("all" for every level)
+ * @param {number|string} [filters.since] - Only entries at or after this time
+ * @param {string} [filters.text] - Message substring or /regex/
+ * @param {string} [filters.sourceUrl] - Source URL substring or /regex/
+ * @param {number|string} [filters.tabId] - Only entries captured in this tab
+ * @param {number|string} [filters.cursor] - Only entries with an id above this
+ * @param {number|string} [filters.limit=100] - Maximum entries per page
+ * @returns {Object} {entries, total, returned, nextCursor, hasMore}
+ */
+export function filterConsoleEntries(entries, filters = {}) {
+  const since = parseTimestamp(filters.since, "since");
+  const cursor = parseNumber(filters.cursor, "cursor");
+  const tabId = parseNumber(filters.tabId, "tabId");
+  const limit = parseNumber(filters.limit, "limit") ?? 100;
+  const levels = parseList(filters.level);
+  const matchesText = createTextMatcher(filters.text, "text");
+  const matchesSource = createTextMatcher(filters.sourceUrl, "sourceUrl");
+
+  if (limit < 1) {
+    throw new FilterError("limit must be at least 1");
+  }
+
+  const matching = entries.filter((entry) => {
+    if (cursor !== null && !(entry.id > cursor)) return false;
+    if (since !== null && !(Date.parse(entry.timestamp) >= since)) return false;
+    if (
+      levels &&
+      !levels.includes("all") &&
+      !levels.includes(String(entry.level).toLowerCase())
+    ) {
+      return false;
+    }
+    if (matchesText && !matchesText(entry.message)) return false;
+    if (matchesSource && !matchesSource(entry.source ?? entry.url)) {
+      return false;
+    }
+    if (tabId !== null && entry.tabId !== tabId) return false;
+    return true;
+  });
+
+  // Paging forward from a cursor returns the oldest entries first; without
+  // a cursor the most recent entries are returned
+  const selected =
+    cursor !== null ? matching.slice(0, limit) : matching.slice(-limit);
+  const hasMore = cursor !== null && matching.length > selected.length;
+
+  // Once caught up, the cursor moves past everything captured so far
+  const latestId = entries.length > 0 ? entries[entries.length - 1].id : 0;
+  const nextCursor = hasMore
+    ? selected[selected.length - 1].id
+    : Math.max(latestId, cursor ?? 0);
+
+  return {
+    entries: selected,
+    total: matching.length,
+    returned: selected.length,
+    nextCursor,
+    hasMore,
+  };
+}
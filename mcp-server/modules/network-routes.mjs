@@ -0,0 +1,241 @@
+/**
+ * Network Routes for the MCP HTTP Bridge
+ *
+ * Validates and compiles the routes of browser_route_add before they are
+ * sent to the extension, which intercepts matching requests with the
+ * chrome.debugger Fetch domain (chrome-extension/routes.js).
+ *
+ * A route matches requests by URL glob, method and resource type, and
+ * either fulfills them with a canned response, aborts them with a network
+ * error, or lets them continue; any of these can be delayed. The URL glob is
+ * compiled here into a regular expression for exact matching and a Fetch
+ * domain wildcard pattern that limits which requests are paused at all.
+ *
+ * Invalid routes throw a RouteError, which endpoints report as 400.
+ */
+
+export const ROUTE_ACTIONS = ["fulfill", "abort", "continue"];
+
+// browser_route_add resource types and their Fetch domain names
+export const RESOURCE_TYPES = {
+  document: "Document",
+  stylesheet: "Stylesheet",
+  image: "Image",
+  media: "Media",
+  font: "Font",
+  script: "Script",
+  texttrack: "TextTrack",
+  xhr: "XHR",
+  fetch: "Fetch",
+  eventsource: "EventSource",
+  manifest: "Manifest",
+  ping: "Ping",
+  other: "Other",
+};
+
+// Network errors an aborted request fails with (Network.ErrorReason)
+export const ERROR_REASONS = [
+  "Failed",
+  "Aborted",
+  "TimedOut",
+  "AccessDenied",
+  "ConnectionClosed",
+  "ConnectionReset",
+  "ConnectionRefused",
+  "ConnectionAborted",
+  "ConnectionFailed",
+  "NameNotResolved",
+  "InternetDisconnected",
+  "AddressUnreachable",
+  "BlockedByClient",
+  "BlockedByResponse",
+];
+
+export const MAX_ROUTE_DELAY = 60000;
+export const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Error raised for a route that cannot be installed
+ */
+export class RouteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RouteError";
+  }
+}
+
+/**
+ * Compile a URL glob to a regular expression
+ *
+ * "**" matches any characters, "*" any characters except "/", "{a,b}" one
+ * of the alternatives; everything else, "?" included, matches literally.
+ *
+ * @param {string} glob - e.g. "**\/api/users/*" or "https://example.com/**"
+ * @returns {RegExp} Anchored expression
+ * @throws {RouteError} Unbalanced braces
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        source += ".*";
+        i++;
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "{" && !inGroup) {
+      source += "(?:";
+      inGroup = true;
+    } else if (char === "}" && inGroup) {
+      source += ")";
+      inGroup = false;
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else if (char === "{" || char === "}") {
+      throw new RouteError(`Unbalanced braces in URL glob: ${glob}`);
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    }
+  }
+
+  if (inGroup) {
+    throw new RouteError(`Unbalanced braces in URL glob: ${glob}`);
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Fetch domain wildcard pattern that pauses at least every matching URL
+ * @param {string} glob
+ * @returns {string} Pattern where "*" is any characters, "\" escapes
+ */
+export function globToFetchPattern(glob) {
+  return glob
+    .replace(/[\\?]/g, "\\$&")
+    .replace(/\{[^}]*\}/g, "*")
+    .replace(/\*+/g, "*");
+}
+
+/**
+ * Validate a route and compile it for the extension
+ * @param {Object} spec - browser_route_add arguments
+ * @param {string} spec.url - URL glob
+ * @param {string} [spec.method] - HTTP method (any when omitted)
+ * @param {string|string[]} [spec.resourceType] - Resource types (any when omitted)
+ * @param {string} [spec.action="fulfill"] - fulfill, abort or continue
+ * @param {number} [spec.status=200] - Response status (fulfill)
+ * @param {Object} [spec.headers] - Response headers (fulfill)
+ * @param {string} [spec.body] - Response body text (fulfill)
+ * @param {*} [spec.json] - Response body serialized as JSON (fulfill)
+ * @param {string} [spec.contentType] - Content-Type of the body (fulfill)
+ * @param {string} [spec.errorReason="Failed"] - Network error (abort)
+ * @param {number} [spec.delay=0] - Milliseconds to hold the request first
+ * @param {number} [spec.times] - Remove the route after this many matches
+ * @returns {Object} Route for the extension; the body is base64-encoded
+ * @throws {RouteError}
+ */
+export function compileRoute(spec = {}) {
+  const {
+    url,
+    method,
+    resourceType,
+    action = "fulfill",
+    status = 200,
+    headers = {},
+    body,
+    json,
+    contentType,
+    errorReason = "Failed",
+    delay = 0,
+    times,
+  } = spec;
+
+  if (typeof url !== "string" || url.trim() === "") {
+    throw new RouteError("url must be a non-empty URL glob");
+  }
+  if (!ROUTE_ACTIONS.includes(action)) {
+    throw new RouteError(`action must be one of ${ROUTE_ACTIONS.join(", ")}`);
+  }
+  if (!Number.isInteger(delay) || delay < 0 || delay > MAX_ROUTE_DELAY) {
+    throw new RouteError(`delay must be 0-${MAX_ROUTE_DELAY} milliseconds`);
+  }
+  if (times !== undefined && (!Number.isInteger(times) || times < 1)) {
+    throw new RouteError("times must be a positive integer");
+  }
+
+  const resourceTypes = [resourceType ?? []].flat().map((type) => {
+    const name = RESOURCE_TYPES[String(type).toLowerCase()];
+    if (!name) {
+      throw new RouteError(
+        `Unknown resourceType "${type}" (expected ${Object.keys(RESOURCE_TYPES).join(", ")})`,
+      );
+    }
+    return name;
+  });
+
+  const route = {
+    url,
+    urlRegex: globToRegExp(url).source,
+    urlPattern: globToFetchPattern(url),
+    method: method ? method.toUpperCase() : null,
+    resourceTypes,
+    action,
+    delay,
+    times: times ?? null,
+  };
+
+  if (action === "abort") {
+    if (!ERROR_REASONS.includes(errorReason)) {
+      throw new RouteError(
+        `errorReason must be one of ${ERROR_REASONS.join(", ")}`,
+      );
+    }
+    route.errorReason = errorReason;
+  }
+
+  if (action === "fulfill") {
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new RouteError("status must be an HTTP status code (100-599)");
+    }
+    if (body !== undefined && json !== undefined) {
+      throw new RouteError("Give either body or json, not both");
+    }
+
+    const text = json !== undefined ? JSON.stringify(json) : (body ?? "");
+    if (typeof text !== "string") {
+      throw new RouteError("body must be a string");
+    }
+    const bytes = Buffer.from(text, "utf8");
+    if (bytes.length > MAX_BODY_BYTES) {
+      throw new RouteError(
+        `body is ${bytes.length} bytes (max ${MAX_BODY_BYTES})`,
+      );
+    }
+
+    const responseHeaders = Object.entries(headers).map(([name, value]) => ({
+      name,
+      value: String(value),
+    }));
+    const hasContentType = responseHeaders.some(
+      (header) => header.name.toLowerCase() === "content-type",
+    );
+    if (!hasContentType && (contentType || json !== undefined)) {
+      responseHeaders.push({
+        name: "Content-Type",
+        value: contentType || "application/json",
+      });
+    }
+
+    route.status = status;
+    route.headers = responseHeaders;
+    route.body = bytes.toString("base64");
+    route.bodySize = bytes.length;
+  }
+
+  return route;
+}
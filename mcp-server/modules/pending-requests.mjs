@@ -0,0 +1,244 @@
+/**
+ * Pending Request Table for the MCP HTTP Bridge
+ *
+ * Correlates requests sent to the Chrome extension over WebSocket with the
+ * replies that come back, keyed by the `requestId` carried on both messages.
+ *
+ * Features:
+ * - Unique request IDs (safe for concurrent calls of the same action)
+ * - Per-request timeouts
+ * - Explicit cancellation (single request or all requests)
+ * - Rejection of orphaned replies (unknown, expired or cancelled request IDs)
+ * - Optional owner (extension connection) per request: replies from another
+ *   connection are rejected and a connection's requests can be cancelled
+ * - Progress messages routed to the request they belong to
+ * - Abandon callback for requests given up on before the extension replied
+ */
+
+import { randomUUID } from "crypto";
+
+// How long settled request IDs are remembered to explain late replies
+const EXPIRED_ID_RETENTION = 100;
+
+/**
+ * Table of in-flight extension requests awaiting a reply
+ */
+export class PendingRequestTable {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.defaultTimeout=10000] - Timeout in milliseconds
+   * @param {Function} [options.log] - Logger for orphaned/late replies
+   */
+  constructor({ defaultTimeout = 10000, log = console.log } = {}) {
+    /** @type {Map<string, Object>} */
+    this.pending = new Map();
+
+    /** @type {Map<string, string>} requestId -> reason it was settled */
+    this.expired = new Map();
+
+    this.defaultTimeout = defaultTimeout;
+    this.log = log;
+  }
+
+  /**
+   * Generate a new unique request ID
+   * @returns {string} Request ID
+   */
+  createId() {
+    return randomUUID();
+  }
+
+  /**
+   * Register a request and get a promise for its reply
+   * @param {string} requestId - Request identifier sent to the extension
+   * @param {Object} [options]
+   * @param {string} [options.action] - Action name (for logs and errors)
+   * @param {string} [options.responseType] - Expected reply `type`
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @param {string} [options.timeoutMessage] - Error message on timeout
+   * @param {string} [options.owner] - Connection the request was sent to
+   * @param {Function} [options.onProgress] - Receives progress messages
+   * @param {Function} [options.onAbandon] - Called when the request times out
+   *   or is cancelled before the extension replied
+   * @returns {Promise<Object>} Resolves with the reply message
+   */
+  register(requestId, options = {}) {
+    if (this.pending.has(requestId)) {
+      return Promise.reject(new Error(`Duplicate request ID: ${requestId}`));
+    }
+
+    const {
+      action = "request",
+      responseType = null,
+      timeout = this.defaultTimeout,
+      timeoutMessage = `${action} timeout after ${timeout}ms`,
+      owner = null,
+      onProgress = null,
+      onAbandon = null,
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.settle(requestId, "timed out");
+        reject(new Error(timeoutMessage));
+        if (onAbandon) {
+          onAbandon();
+        }
+      }, timeout);
+
+      this.pending.set(requestId, {
+        action,
+        responseType,
+        owner,
+        onProgress,
+        onAbandon,
+        resolve,
+        reject,
+        timer,
+        createdAt: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Route a reply from the extension to its pending request
+   * @param {Object} message - Parsed WebSocket message
+   * @param {string} [owner] - Connection the reply arrived on
+   * @returns {boolean} True if the reply settled a pending request
+   */
+  handleReply(message, owner = null) {
+    const requestId =
+      message.requestId !== undefined ? String(message.requestId) : null;
+
+    if (!requestId) {
+      return false;
+    }
+
+    const entry = this.pending.get(requestId);
+
+    if (!entry) {
+      const reason = this.expired.get(requestId) || "unknown request";
+      this.log(
+        `⚠️ Rejected orphaned reply ${message.type || message.action} (${requestId}): ${reason}`,
+      );
+      return false;
+    }
+
+    if (entry.owner && owner && entry.owner !== owner) {
+      this.log(
+        `⚠️ Rejected reply ${message.type || message.action} (${requestId}) from ${owner}: request was sent to ${entry.owner}`,
+      );
+      return false;
+    }
+
+    this.settle(requestId, "completed");
+
+    if (message.type === "unknownMessageError") {
+      entry.reject(
+        new Error(
+          message.error || `Extension does not support ${entry.action}`,
+        ),
+      );
+    } else if (entry.responseType && message.type !== entry.responseType) {
+      entry.reject(
+        new Error(
+          `Unexpected reply type ${message.type} for ${entry.action} (expected ${entry.responseType})`,
+        ),
+      );
+    } else {
+      entry.resolve(message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Route a progress message from the extension to its pending request.
+   * Progress never settles the request.
+   * @param {Object} message - {requestId, progress, total?, message?}
+   * @param {string} [owner] - Connection the message arrived on
+   * @returns {boolean} True if the progress was delivered
+   */
+  handleProgress(message, owner = null) {
+    const entry = this.pending.get(String(message.requestId));
+
+    if (!entry || (entry.owner && owner && entry.owner !== owner)) {
+      return false;
+    }
+
+    if (entry.onProgress) {
+      entry.onProgress(message);
+    }
+    return true;
+  }
+
+  /**
+   * Cancel a pending request
+   * @param {string} requestId - Request to cancel
+   * @param {string} [reason="cancelled"] - Cancellation reason
+   * @returns {boolean} True if a pending request was cancelled
+   */
+  cancel(requestId, reason = "cancelled") {
+    const entry = this.pending.get(requestId);
+    if (!entry) {
+      return false;
+    }
+
+    this.settle(requestId, reason);
+    entry.reject(new Error(`${entry.action} ${reason}`));
+    if (entry.onAbandon) {
+      entry.onAbandon();
+    }
+    return true;
+  }
+
+  /**
+   * Cancel every pending request (e.g. when the extension disconnects)
+   * @param {string} [reason="cancelled"] - Cancellation reason
+   * @param {string} [owner] - Only cancel requests sent to this connection
+   * @returns {number} Number of requests cancelled
+   */
+  cancelAll(reason = "cancelled", owner = null) {
+    const requestIds = Array.from(this.pending.entries())
+      .filter(([, entry]) => !owner || entry.owner === owner)
+      .map(([requestId]) => requestId);
+    requestIds.forEach((requestId) => this.cancel(requestId, reason));
+    return requestIds.length;
+  }
+
+  /**
+   * Check whether a request is still awaiting its reply
+   * @param {string} requestId - Request identifier
+   * @returns {boolean}
+   */
+  has(requestId) {
+    return this.pending.has(requestId);
+  }
+
+  /**
+   * Number of requests awaiting a reply
+   * @returns {number}
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Remove a request from the table and remember why
+   * @param {string} requestId - Request identifier
+   * @param {string} reason - Why the request was settled
+   */
+  settle(requestId, reason) {
+    const entry = this.pending.get(requestId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(requestId);
+    }
+
+    this.expired.set(requestId, reason);
+    if (this.expired.size > EXPIRED_ID_RETENTION) {
+      const oldestId = this.expired.keys().next().value;
+      this.expired.delete(oldestId);
+    }
+  }
+}
@@ -0,0 +1,334 @@
+/**
+ * MCP Prompts for Browser Tools
+ *
+ * Parameterized prompts that walk the model through common browser
+ * workflows using the browser_* tools in the right order.
+ *
+ * Features:
+ * - Built-in prompts: console error debugging, form submission check,
+ *   accessibility audit
+ * - Team-defined prompts loaded from a local directory of JSON files
+ *   (re-read on every request, so edits apply without a restart)
+ * - {{argument}} placeholders with required-argument checks
+ *
+ * Prompt file format (<dir>/<anything>.json):
+ *   {
+ *     "name": "checkout_smoke_test",
+ *     "title": "Checkout Smoke Test",
+ *     "description": "Walk through checkout on a staging URL",
+ *     "arguments": [{ "name": "url", "description": "...", "required": true }],
+ *     "messages": [{ "role": "user", "text": "Open {{url}} and ..." }]
+ *   }
+ * "template": "..." may be given instead of "messages" for a single user
+ * message. A team prompt with the same name as a built-in replaces it.
+ *
+ * Specification:
+ * https://modelcontextprotocol.io/specification/2025-06-18/server/prompts
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Error raised for an unknown prompt or invalid prompt arguments
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromptError";
+  }
+}
+
+const PROMPT_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Single user message
+const userMessage = (text) => ({
+  role: "user",
+  content: { type: "text", text },
+});
+
+// Built-in prompts: render(args) returns the prompt messages
+export const BUILTIN_PROMPTS = [
+  {
+    name: "debug_console_errors",
+    title: "Debug Console Errors",
+    description:
+      "Collect console errors and failed requests from a page and find their cause",
+    arguments: [
+      {
+        name: "url",
+        description: "Page to debug (defaults to the page already open)",
+        required: false,
+      },
+    ],
+    render: ({ url }) => [
+      userMessage(
+        [
+          url
+            ? `Debug the console errors on ${url}.`
+            : "Debug the console errors on the page currently open in the browser.",
+          "",
+          "Steps:",
+          ...(url
+            ? [
+                `1. Call browser_navigate with url "${url}", then browser_wait for "body".`,
+              ]
+            : ["1. The page is already open; do not navigate away from it."]),
+          '2. Call browser_get_console with level "error" to list the errors.',
+          "3. Call browser_get_network with errorsOnly true to find failed requests that may cause them.",
+          '4. Call browser_screenshot with output "inline" to see the visible state of the page.',
+          "5. Where needed, use browser_evaluate to inspect the variables or DOM nodes named in the stack traces.",
+          "",
+          "Report each distinct error with its source location, the most likely cause and a suggested fix. Group repeated errors together.",
+        ].join("\n"),
+      ),
+    ],
+  },
+  {
+    name: "verify_form_submission",
+    title: "Verify Form Submission",
+    description:
+      "Fill in a form, submit it and check that the submission succeeds",
+    arguments: [
+      {
+        name: "url",
+        description: "Page containing the form",
+        required: true,
+      },
+      {
+        name: "formSelector",
+        description: 'CSS selector of the form (defaults to the first "form")',
+        required: false,
+      },
+      {
+        name: "expectedOutcome",
+        description:
+          'What a successful submission looks like (e.g. "redirect to /thanks")',
+        required: false,
+      },
+    ],
+    render: ({ url, formSelector = "form", expectedOutcome }) => [
+      userMessage(
+        [
+          `Verify that the form "${formSelector}" on ${url} submits successfully.`,
+          "",
+          "Steps:",
+          `1. Call browser_navigate with url "${url}", then browser_wait for "${formSelector}".`,
+          `2. Call browser_get_content with selector "${formSelector}" and format "html" to find its fields, required attributes and submit button.`,
+          "3. Fill each field with realistic valid test data using browser_type (clear true).",
+          "4. Click the submit button with browser_click.",
+          "5. Call browser_wait for the confirmation element or the next page, then browser_screenshot.",
+          '6. Call browser_get_console with level "error" and browser_get_network with errorsOnly true to catch failures that are not visible on the page.',
+          "",
+          expectedOutcome
+            ? `A successful submission should: ${expectedOutcome}.`
+            : "Decide from the page whether the submission succeeded (confirmation message, redirect, or a 2xx response to the form request).",
+          "Report pass or fail with the evidence, plus any validation messages, console errors or failed requests.",
+        ].join("\n"),
+      ),
+    ],
+  },
+  {
+    name: "audit_accessibility",
+    title: "Audit Accessibility",
+    description: "Run an accessibility audit of a page and prioritise fixes",
+    arguments: [
+      {
+        name: "url",
+        description: "Page to audit",
+        required: true,
+      },
+    ],
+    render: ({ url }) => [
+      userMessage(
+        [
+          `Audit the accessibility of ${url}.`,
+          "",
+          "Steps:",
+          `1. Call browser_navigate with url "${url}", then browser_wait for "body".`,
+          '2. Call browser_audit with categories ["accessibility"].',
+          '3. For each failing check, use browser_get_content with the reported selectors (format "html") to see the offending markup.',
+          '4. Call browser_screenshot with output "inline" to relate issues to the visible layout.',
+          "",
+          "Report the score, then the failing checks ordered by impact, each with the affected elements and a concrete fix (WCAG criterion where applicable).",
+        ].join("\n"),
+      ),
+    ],
+  },
+];
+
+/**
+ * Replace {{argument}} placeholders; unset optional arguments become ""
+ * @param {string} template
+ * @param {Object} args
+ * @returns {string}
+ */
+export function fillTemplate(template, args) {
+  return template.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (match, name) =>
+    args[name] === undefined || args[name] === null ? "" : String(args[name]),
+  );
+}
+
+/**
+ * Validate a team prompt definition and turn it into a prompt
+ * @param {Object} definition - Parsed prompt file
+ * @returns {Object} Prompt with a render(args) function
+ */
+export function createTemplatePrompt(definition) {
+  const {
+    name,
+    title,
+    description,
+    arguments: args = [],
+    messages,
+    template,
+  } = definition || {};
+
+  if (typeof name !== "string" || !PROMPT_NAME_PATTERN.test(name)) {
+    throw new PromptError(
+      "name must be letters, digits, dots, dashes or underscores",
+    );
+  }
+
+  if (
+    !Array.isArray(args) ||
+    !args.every((arg) => typeof arg?.name === "string")
+  ) {
+    throw new PromptError("arguments must be a list of {name, ...} objects");
+  }
+
+  let templates;
+  if (typeof template === "string") {
+    templates = [{ role: "user", text: template }];
+  } else if (
+    Array.isArray(messages) &&
+    messages.length > 0 &&
+    messages.every(
+      (message) =>
+        ["user", "assistant"].includes(message?.role) &&
+        typeof message.text === "string",
+    )
+  ) {
+    templates = messages;
+  } else {
+    throw new PromptError(
+      'either "template" or "messages" ([{role: "user"|"assistant", text}]) is required',
+    );
+  }
+
+  return {
+    name,
+    title,
+    description,
+    arguments: args.map(({ name, description, required }) => ({
+      name,
+      description,
+      required: Boolean(required),
+    })),
+    render: (values) =>
+      templates.map(({ role, text }) => ({
+        role,
+        content: { type: "text", text: fillTemplate(text, values) },
+      })),
+  };
+}
+
+/**
+ * Load team prompts from a directory of JSON files
+ * @param {string} directory
+ * @returns {{prompts: Object[], errors: string[]}} Loaded prompts and one
+ *   message per file that could not be used
+ */
+export function loadPromptDirectory(directory) {
+  let files;
+  try {
+    files = fs.readdirSync(directory);
+  } catch (error) {
+    return { prompts: [], errors: [] };
+  }
+
+  const prompts = [];
+  const errors = [];
+
+  for (const file of files.filter((file) => file.endsWith(".json")).sort()) {
+    try {
+      const definition = JSON.parse(
+        fs.readFileSync(path.join(directory, file), "utf8"),
+      );
+      prompts.push(createTemplatePrompt(definition));
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  return { prompts, errors };
+}
+
+/**
+ * Built-in prompts merged with the team prompts of a directory
+ * @param {string} [directory] - Team prompt directory
+ * @returns {{prompts: Map<string, Object>, errors: string[]}}
+ */
+export function loadPrompts(directory) {
+  const prompts = new Map(
+    BUILTIN_PROMPTS.map((prompt) => [prompt.name, prompt]),
+  );
+  const { prompts: teamPrompts, errors } = directory
+    ? loadPromptDirectory(directory)
+    : { prompts: [], errors: [] };
+
+  for (const prompt of teamPrompts) {
+    prompts.set(prompt.name, prompt);
+  }
+
+  return { prompts, errors };
+}
+
+/**
+ * Prompt descriptors for prompts/list
+ * @param {Map<string, Object>} prompts
+ * @returns {Object[]}
+ */
+export function describePrompts(prompts) {
+  return Array.from(prompts.values(), (prompt) => ({
+    name: prompt.name,
+    title: prompt.title,
+    description: prompt.description,
+    arguments: prompt.arguments,
+  }));
+}
+
+/**
+ * Render a prompt for prompts/get
+ * @param {Map<string, Object>} prompts
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Argument values (strings)
+ * @returns {{description: string, messages: Object[]}}
+ */
+export function getPrompt(prompts, name, args = {}) {
+  const prompt = prompts.get(name);
+  if (!prompt) {
+    throw new PromptError(`Unknown prompt: ${name}`);
+  }
+
+  const missing = prompt.arguments
+    .filter(
+      (arg) =>
+        arg.required &&
+        (args[arg.name] === undefined ||
+          args[arg.name] === null ||
+          args[arg.name] === ""),
+    )
+    .map((arg) => arg.name);
+
+  if (missing.length > 0) {
+    throw new PromptError(
+      `Missing required argument${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`,
+    );
+  }
+
+  return {
+    description: prompt.description,
+    messages: prompt.render(args),
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * MCP Resources for Browser Tools
+ *
+ * Exposes captured browser state as MCP resources so clients can read it
+ * (and be told when it changes) without calling a tool.
+ *
+ * Features:
+ * - Fixed resources for console errors, network errors and the current URL
+ * - One resource per saved screenshot (browser://screenshots/{filename})
+ * - Mapping of HTTP bridge events to the resource URIs they update
+ * - Per-transport subscriptions for notifications/resources/updated
+ *
+ * Specification:
+ * https://modelcontextprotocol.io/specification/2025-06-18/server/resources
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const CONSOLE_ERRORS_URI = "browser://console/errors";
+export const NETWORK_ERRORS_URI = "browser://network/errors";
+export const CURRENT_URL_URI = "browser://page/current-url";
+export const SCREENSHOT_URI_PREFIX = "browser://screenshots/";
+
+// Resources that always exist (their content comes from the HTTP bridge)
+export const STATIC_RESOURCES = [
+  {
+    uri: CONSOLE_ERRORS_URI,
+    name: "console-errors",
+    title: "Console Errors",
+    description: "Console errors captured from the inspected page",
+    mimeType: "application/json",
+  },
+  {
+    uri: NETWORK_ERRORS_URI,
+    name: "network-errors",
+    title: "Network Errors",
+    description: "Failed network requests (HTTP 4xx/5xx or network failures)",
+    mimeType: "application/json",
+  },
+  {
+    uri: CURRENT_URL_URI,
+    name: "current-url",
+    title: "Current Page URL",
+    description: "URL of the page in the active extension connection",
+    mimeType: "text/plain",
+  },
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${SCREENSHOT_URI_PREFIX}{filename}`,
+    name: "screenshot",
+    title: "Screenshot",
+    description: "Screenshot saved to the .screenshots directory",
+    mimeType: "image/png",
+  },
+];
+
+const IMAGE_MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+/**
+ * Extract the screenshot filename from a resource URI
+ * @param {string} uri
+ * @returns {string|null} Filename, or null if the URI is not a screenshot
+ *   or would escape the screenshot directory
+ */
+export function parseScreenshotUri(uri) {
+  if (typeof uri !== "string" || !uri.startsWith(SCREENSHOT_URI_PREFIX)) {
+    return null;
+  }
+
+  let filename;
+  try {
+    filename = decodeURIComponent(uri.slice(SCREENSHOT_URI_PREFIX.length));
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !filename ||
+    filename !== path.basename(filename) ||
+    filename.startsWith(".") ||
+    !IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()]
+  ) {
+    return null;
+  }
+
+  return filename;
+}
+
+/**
+ * List saved screenshots as resources, newest first
+ * @param {string} screenshotDir
+ * @returns {Object[]} Resource descriptors
+ */
+export function listScreenshotResources(screenshotDir) {
+  let files;
+  try {
+    files = fs.readdirSync(screenshotDir);
+  } catch (error) {
+    return [];
+  }
+
+  return files
+    .filter((filename) => parseScreenshotUri(SCREENSHOT_URI_PREFIX + filename))
+    .map((filename) => {
+      const stats = fs.statSync(path.join(screenshotDir, filename));
+      return {
+        uri: SCREENSHOT_URI_PREFIX + encodeURIComponent(filename),
+        name: filename,
+        title: `Screenshot ${filename}`,
+        mimeType: IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()],
+        size: stats.size,
+        modified: stats.mtimeMs,
+      };
+    })
+    .sort((a, b) => b.modified - a.modified)
+    .map(({ modified, ...resource }) => resource);
+}
+
+/**
+ * Read a screenshot resource as base64 blob contents
+ * @param {string} screenshotDir
+ * @param {string} uri
+ * @returns {Object|null} Resource contents, or null if not found
+ */
+export function readScreenshotResource(screenshotDir, uri) {
+  const filename = parseScreenshotUri(uri);
+  if (!filename) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = fs.readFileSync(path.join(screenshotDir, filename));
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    uri,
+    mimeType: IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()],
+    blob: data.toString("base64"),
+  };
+}
+
+/**
+ * Resource URIs whose content changed because of an HTTP bridge event
+ * @param {Object} event - {type, data} from the bridge /events stream
+ * @returns {string[]}
+ */
+export function resourceUrisForEvent({ type, data = {} }) {
+  switch (type) {
+    case "console":
+      return data.level === "error" ? [CONSOLE_ERRORS_URI] : [];
+    case "networkError":
+      return [NETWORK_ERRORS_URI];
+    case "url":
+      return data.active === false ? [] : [CURRENT_URL_URI];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Resource subscriptions keyed by URI
+ */
+export class ResourceSubscriptions {
+  constructor() {
+    /** @type {Map<string, Set<Object>>} uri -> subscribed transports */
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Subscribe a transport to a resource
+   * @param {string} uri
+   * @param {Object} transport - Session-level transport to notify
+   */
+  subscribe(uri, transport) {
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, new Set());
+    }
+    this.subscriptions.get(uri).add(transport);
+  }
+
+  /**
+   * Remove one subscription
+   * @param {string} uri
+   * @param {Object} transport
+   */
+  unsubscribe(uri, transport) {
+    const subscribers = this.subscriptions.get(uri);
+    if (!subscribers) return;
+
+    subscribers.delete(transport);
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+  }
+
+  /**
+   * Remove every subscription of a transport (e.g. its session closed)
+   * @param {Object} transport
+   */
+  removeTransport(transport) {
+    for (const uri of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(uri, transport);
+    }
+  }
+
+  /**
+   * Whether a transport holds any subscription
+   * @param {Object} transport
+   * @returns {boolean}
+   */
+  hasTransport(transport) {
+    for (const subscribers of this.subscriptions.values()) {
+      if (subscribers.has(transport)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Transports subscribed to a resource
+   * @param {string} uri
+   * @returns {Object[]}
+   */
+  subscribers(uri) {
+    return Array.from(this.subscriptions.get(uri) || []);
+  }
+
+  /**
+   * Number of subscribed URIs
+   * @returns {number}
+   */
+  get size() {
+    return this.subscriptions.size;
+  }
+}
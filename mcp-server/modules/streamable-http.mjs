@@ -0,0 +1,489 @@
+/**
+ * Streamable HTTP Transport for the MCP Server
+ *
+ * Implements the MCP 2025-06-18 Streamable HTTP transport so one
+ * browser-tools server can be shared by several agent processes or remote
+ * clients. JSON-RPC dispatch stays in server.mjs; this module only moves
+ * messages between HTTP and the dispatcher.
+ *
+ * Features:
+ * - POST: one JSON-RPC message per request. Requests are answered either as
+ *   application/json or, when the client accepts it, as a text/event-stream
+ *   carrying request-related notifications followed by the response
+ * - GET: SSE stream for server-initiated messages (not tied to a request)
+ * - DELETE: explicit session termination
+ * - Sessions via the Mcp-Session-Id header, assigned on initialize
+ * - MCP-Protocol-Version header check and Origin validation (DNS rebinding)
+ *
+ * Specification:
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic/transports
+ */
+
+import http from "http";
+import { randomUUID } from "crypto";
+
+// Largest accepted POST body
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Comment line sent on idle SSE streams so proxies keep them open
+const SSE_KEEPALIVE_INTERVAL = 25000;
+
+/**
+ * Streamable HTTP server dispatching JSON-RPC messages to a handler
+ */
+export class StreamableHttpServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onMessage - (message, transport) => void; the
+   *   transport's send(message) delivers replies for that message
+   * @param {number} [options.port=3023] - Port to listen on
+   * @param {string} [options.host="127.0.0.1"] - Interface to bind
+   * @param {string} [options.endpoint="/mcp"] - MCP endpoint path
+   * @param {string[]} [options.protocolVersions] - Accepted MCP-Protocol-Version values
+   * @param {string[]} [options.allowedOrigins] - Extra origins allowed besides localhost
+   * @param {Function} [options.log] - Logger
+   */
+  constructor({
+    onMessage,
+    port = 3023,
+    host = "127.0.0.1",
+    endpoint = "/mcp",
+    protocolVersions = ["2025-06-18", "2025-03-26"],
+    allowedOrigins = [],
+    log = () => {},
+  }) {
+    this.onMessage = onMessage;
+    this.port = port;
+    this.host = host;
+    this.endpoint = endpoint;
+    this.protocolVersions = protocolVersions;
+    this.allowedOrigins = allowedOrigins;
+    this.log = log;
+
+    /** @type {Map<string, Object>} sessionId -> session */
+    this.sessions = new Map();
+
+    this.server = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res).catch((error) => {
+        this.log(`HTTP transport error: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, null, -32603, "Internal error");
+        } else {
+          res.end();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close every session and stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.closeSession(sessionId);
+    }
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Route an HTTP request on the MCP endpoint
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== this.endpoint) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    if (!this.isAllowedOrigin(req.headers.origin)) {
+      this.sendJsonRpcError(res, 403, null, -32600, "Origin not allowed");
+      return;
+    }
+
+    const protocolVersion = req.headers["mcp-protocol-version"];
+    if (protocolVersion && !this.protocolVersions.includes(protocolVersion)) {
+      this.sendJsonRpcError(
+        res,
+        400,
+        null,
+        -32600,
+        `Unsupported MCP-Protocol-Version: ${protocolVersion}`,
+      );
+      return;
+    }
+
+    switch (req.method) {
+      case "POST":
+        await this.handlePost(req, res);
+        break;
+      case "GET":
+        this.handleGet(req, res);
+        break;
+      case "DELETE":
+        this.handleDelete(req, res);
+        break;
+      default:
+        res.writeHead(405, { Allow: "GET, POST, DELETE" });
+        res.end();
+    }
+  }
+
+  /**
+   * POST: a single JSON-RPC request, notification or response
+   */
+  async handlePost(req, res) {
+    let message;
+    try {
+      message = JSON.parse(await readBody(req));
+    } catch (error) {
+      this.sendJsonRpcError(
+        res,
+        400,
+        null,
+        -32700,
+        `Parse error: ${error.message}`,
+      );
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      this.sendJsonRpcError(
+        res,
+        400,
+        null,
+        -32600,
+        "Batch requests are not supported",
+      );
+      return;
+    }
+
+    if (!message || message.jsonrpc !== "2.0") {
+      this.sendJsonRpcError(
+        res,
+        400,
+        message?.id ?? null,
+        -32600,
+        "Invalid JSON-RPC message",
+      );
+      return;
+    }
+
+    const isRequest = message.method !== undefined && message.id !== undefined;
+    let session;
+
+    if (isRequest && message.method === "initialize") {
+      session = this.createSession();
+    } else {
+      session = this.getRequestSession(req, res);
+      if (!session) return;
+    }
+
+    // Notifications and responses are acknowledged without a body
+    if (!isRequest) {
+      res.writeHead(202, { "Mcp-Session-Id": session.id });
+      res.end();
+      if (message.method !== undefined) {
+        this.onMessage(message, this.createNotificationTransport(session));
+      }
+      return;
+    }
+
+    const accept = req.headers.accept || "";
+    const useSse = accept.includes("text/event-stream");
+    const transport = useSse
+      ? this.createSseRequestTransport(session, message.id, res)
+      : this.createJsonRequestTransport(session, message.id, res);
+
+    this.onMessage(message, transport);
+  }
+
+  /**
+   * GET: SSE stream for server-initiated messages of a session
+   */
+  handleGet(req, res) {
+    if (!(req.headers.accept || "").includes("text/event-stream")) {
+      res.writeHead(406, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({ error: "GET requires Accept: text/event-stream" }),
+      );
+      return;
+    }
+
+    const session = this.getRequestSession(req, res);
+    if (!session) return;
+
+    openSseStream(res, session.id);
+    session.streams.add(res);
+
+    const keepalive = setInterval(
+      () => res.write(": keepalive\n\n"),
+      SSE_KEEPALIVE_INTERVAL,
+    );
+    keepalive.unref();
+
+    res.on("close", () => {
+      clearInterval(keepalive);
+      session.streams.delete(res);
+    });
+
+    this.log(`SSE stream opened for session ${session.id}`);
+  }
+
+  /**
+   * DELETE: terminate a session
+   */
+  handleDelete(req, res) {
+    const session = this.getRequestSession(req, res);
+    if (!session) return;
+
+    this.closeSession(session.id);
+    res.writeHead(200);
+    res.end();
+  }
+
+  /**
+   * Create a session (on initialize)
+   * @returns {Object} Session
+   */
+  createSession() {
+    const session = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      streams: new Set(),
+      closeHandlers: [],
+    };
+
+    // Session-level transport: server-initiated messages go to a GET stream
+    session.transport = {
+      name: "http",
+      sessionId: session.id,
+      send: (message) => this.sendToSession(session, message),
+      shutdown: () => this.closeSession(session.id),
+      onClose: (handler) => session.closeHandlers.push(handler),
+    };
+    session.transport.session = session.transport;
+
+    this.sessions.set(session.id, session);
+    this.log(`Session ${session.id} created`);
+    return session;
+  }
+
+  /**
+   * Close a session and its SSE streams
+   * @param {string} sessionId
+   */
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    this.sessions.delete(sessionId);
+    for (const stream of session.streams) {
+      stream.end();
+    }
+    for (const handler of session.closeHandlers) {
+      handler();
+    }
+    this.log(`Session ${sessionId} closed`);
+  }
+
+  /**
+   * Resolve the session named by the Mcp-Session-Id header, answering the
+   * HTTP request with 400/404 when it is missing or unknown
+   * @returns {Object|null} Session
+   */
+  getRequestSession(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+
+    if (!sessionId) {
+      this.sendJsonRpcError(
+        res,
+        400,
+        null,
+        -32600,
+        "Missing Mcp-Session-Id header",
+      );
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      this.sendJsonRpcError(res, 404, null, -32001, "Session not found");
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Deliver a server-initiated message on one of the session's GET streams
+   * @returns {boolean} True if a stream was available
+   */
+  sendToSession(session, message) {
+    const [stream] = session.streams;
+    if (!stream) {
+      this.log(`Dropped message for session ${session.id}: no open SSE stream`);
+      return false;
+    }
+    writeSseMessage(stream, message);
+    return true;
+  }
+
+  /**
+   * Transport for a request answered as one application/json body.
+   * Request-related notifications fall back to the session's GET stream.
+   */
+  createJsonRequestTransport(session, requestId, res) {
+    return {
+      ...session.transport,
+      send: (message) => {
+        if (isResponseTo(message, requestId)) {
+          if (!res.writableEnded) {
+            res.writeHead(200, {
+              "Content-Type": "application/json",
+              "Mcp-Session-Id": session.id,
+            });
+            res.end(JSON.stringify(message));
+          }
+        } else {
+          this.sendToSession(session, message);
+        }
+      },
+      onCancel: (handler) => onClientGone(res, handler),
+    };
+  }
+
+  /**
+   * Transport for a request answered on its own SSE stream: notifications
+   * first, then the response, after which the stream closes
+   */
+  createSseRequestTransport(session, requestId, res) {
+    openSseStream(res, session.id);
+
+    return {
+      ...session.transport,
+      send: (message) => {
+        if (res.writableEnded) {
+          this.sendToSession(session, message);
+          return;
+        }
+        writeSseMessage(res, message);
+        if (isResponseTo(message, requestId)) {
+          res.end();
+        }
+      },
+      onCancel: (handler) => onClientGone(res, handler),
+    };
+  }
+
+  /**
+   * Transport for client notifications: there is nothing to reply to, so
+   * only server-initiated messages are forwarded
+   */
+  createNotificationTransport(session) {
+    return {
+      ...session.transport,
+      send: (message) => {
+        if (message.method !== undefined) {
+          this.sendToSession(session, message);
+        }
+      },
+    };
+  }
+
+  /**
+   * Check an Origin header against localhost and the configured origins
+   * @param {string} [origin]
+   * @returns {boolean}
+   */
+  isAllowedOrigin(origin) {
+    if (!origin) {
+      return true;
+    }
+    if (this.allowedOrigins.includes(origin)) {
+      return true;
+    }
+    try {
+      const { hostname } = new URL(origin);
+      return ["localhost", "127.0.0.1", "[::1]"].includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Answer an HTTP request with a JSON-RPC error body
+   */
+  sendJsonRpcError(res, status, id, code, message) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ jsonrpc: "2.0", id, error: { code, message } }));
+  }
+}
+
+// Read a request body as text, enforcing MAX_BODY_BYTES
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Start an SSE response
+function openSseStream(res, sessionId) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Mcp-Session-Id": sessionId,
+  });
+  res.flushHeaders();
+}
+
+// Write one JSON-RPC message as an SSE event
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+// Whether a message is the response to the given request
+function isResponseTo(message, requestId) {
+  return message.method === undefined && message.id === requestId;
+}
+
+// Run a handler if the client disconnects before the response is sent
+function onClientGone(res, handler) {
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      handler();
+    }
+  });
+}
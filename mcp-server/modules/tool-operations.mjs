@@ -0,0 +1,157 @@
+/**
+ * In-flight Tool Operations for the MCP Server
+ *
+ * Tracks running tools/call requests so they can report progress
+ * (notifications/progress) and be cancelled (notifications/cancelled or a
+ * client disconnect).
+ *
+ * Features:
+ * - One AbortController per call; aborting stops the HTTP bridge request,
+ *   which in turn cancels the operation in the extension
+ * - Operation IDs passed to the bridge to route extension progress back
+ * - Progress values kept strictly increasing, as the specification requires
+ * - Calls keyed by session and JSON-RPC request ID, so cancellations from
+ *   one HTTP session cannot affect another
+ *
+ * Specification:
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic/utilities/progress
+ * https://modelcontextprotocol.io/specification/2025-06-18/basic/utilities/cancellation
+ */
+
+/**
+ * Key identifying a request within its session
+ * @param {Object} transport - Transport the request arrived on
+ * @param {string|number} requestId - JSON-RPC request ID
+ * @returns {string}
+ */
+export function operationKey(transport, requestId) {
+  return `${transport.sessionId || transport.name || "default"}:${requestId}`;
+}
+
+/**
+ * Registry of running tool calls
+ */
+export class OperationTracker {
+  constructor() {
+    /** @type {Map<string, Object>} operation key -> operation */
+    this.operations = new Map();
+
+    /** @type {Map<string, Object>} operation ID -> operation */
+    this.byId = new Map();
+
+    this.sequence = 0;
+  }
+
+  /**
+   * Track a new call
+   * @param {string} key - operationKey() of the request
+   * @param {Object} [options]
+   * @param {string|number} [options.progressToken] - Token from params._meta
+   * @param {Function} [options.onProgress] - Receives notification params
+   * @returns {Object} Operation {id, key, signal, progressToken}
+   */
+  start(key, { progressToken, onProgress = () => {} } = {}) {
+    const controller = new AbortController();
+    const operation = {
+      id: `op-${++this.sequence}`,
+      key,
+      controller,
+      signal: controller.signal,
+      progressToken,
+      onProgress,
+      lastProgress: null,
+      cancelReason: null,
+    };
+
+    this.operations.set(key, operation);
+    this.byId.set(operation.id, operation);
+    return operation;
+  }
+
+  /**
+   * Look up a running operation by its ID
+   * @param {string} operationId
+   * @returns {Object|null}
+   */
+  get(operationId) {
+    return this.byId.get(operationId) || null;
+  }
+
+  /**
+   * Report progress for an operation that has a progress token
+   * @param {Object} operation
+   * @param {Object} update - {progress, total?, message?}
+   * @returns {boolean} True if a notification was emitted
+   */
+  reportProgress(operation, { progress, total, message }) {
+    if (
+      operation.progressToken === undefined ||
+      operation.signal.aborted ||
+      typeof progress !== "number" ||
+      !Number.isFinite(progress) ||
+      (operation.lastProgress !== null && progress <= operation.lastProgress)
+    ) {
+      return false;
+    }
+
+    operation.lastProgress = progress;
+
+    const params = { progressToken: operation.progressToken, progress };
+    if (typeof total === "number" && Number.isFinite(total)) {
+      params.total = total;
+    }
+    if (message) {
+      params.message = message;
+    }
+
+    operation.onProgress(params);
+    return true;
+  }
+
+  /**
+   * Cancel a running call
+   * @param {string} key - operationKey() of the request
+   * @param {string} [reason="cancelled"]
+   * @returns {boolean} True if a running call was cancelled
+   */
+  cancel(key, reason = "cancelled") {
+    const operation = this.operations.get(key);
+    if (!operation || operation.signal.aborted) {
+      return false;
+    }
+
+    operation.cancelReason = reason;
+    operation.controller.abort(new Error(reason));
+    return true;
+  }
+
+  /**
+   * Stop tracking a call (completed, failed or cancelled)
+   * @param {Object} operation
+   */
+  finish(operation) {
+    if (this.operations.get(operation.key) === operation) {
+      this.operations.delete(operation.key);
+    }
+    this.byId.delete(operation.id);
+  }
+
+  /**
+   * Whether any running call wants progress notifications
+   * @returns {boolean}
+   */
+  get hasProgressListeners() {
+    for (const operation of this.operations.values()) {
+      if (operation.progressToken !== undefined) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Number of running calls
+   * @returns {number}
+   */
+  get size() {
+    return this.operations.size;
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Upload Files for the MCP HTTP Bridge
+ *
+ * Reads the local files that browser_upload_file (and file fields of
+ * browser_fill_form) set on <input type="file"> elements. Only files inside
+ * one allow-listed directory can be read: MCP_UPLOAD_DIR, or .uploads/ at
+ * the repository root. Paths are taken relative to that directory; absolute
+ * paths must point inside it, and symlinks are resolved before the check so
+ * they cannot lead out of it.
+ *
+ * Files are returned base64-encoded for the WebSocket message to the
+ * extension, which rebuilds them as File objects in the page.
+ *
+ * Invalid paths and oversized files throw an UploadError, which endpoints
+ * report as 400.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Largest single file and largest upload, before base64 encoding
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * Error raised for a file that may not or cannot be uploaded
+ */
+export class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadError";
+  }
+}
+
+/**
+ * Directory uploads are read from
+ * @param {Object} [env=process.env]
+ * @returns {string} Absolute path
+ */
+export function getUploadDir(env = process.env) {
+  if (env.MCP_UPLOAD_DIR) {
+    return path.resolve(env.MCP_UPLOAD_DIR);
+  }
+  const repoRoot = path.dirname(
+    path.dirname(path.dirname(fileURLToPath(import.meta.url))),
+  );
+  return path.join(repoRoot, ".uploads");
+}
+
+/**
+ * MIME type for a file name (by extension)
+ * @param {string} filename
+ * @returns {string}
+ */
+export function mimeTypeFor(filename) {
+  return (
+    MIME_TYPES[path.extname(filename).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+/**
+ * Resolve a requested path inside the upload directory
+ * @param {string} requested - Relative to uploadDir, or absolute inside it
+ * @param {string} uploadDir - Allow-listed directory
+ * @returns {string} Real path of the file
+ * @throws {UploadError} Outside the directory, missing or not a file
+ */
+export function resolveUploadPath(requested, uploadDir) {
+  if (typeof requested !== "string" || requested.trim() === "") {
+    throw new UploadError("File paths must be non-empty strings");
+  }
+
+  let root;
+  try {
+    root = fs.realpathSync(uploadDir);
+  } catch (error) {
+    throw new UploadError(
+      `Upload directory ${uploadDir} does not exist; create it and put the files there (or set MCP_UPLOAD_DIR)`,
+    );
+  }
+
+  const candidate = path.resolve(root, requested);
+  let real;
+  try {
+    real = fs.realpathSync(candidate);
+  } catch (error) {
+    throw new UploadError(`File not found in ${uploadDir}: ${requested}`);
+  }
+
+  const relative = path.relative(root, real);
+  if (
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  ) {
+    throw new UploadError(
+      `${requested} is outside the upload directory ${uploadDir}`,
+    );
+  }
+  if (!fs.statSync(real).isFile()) {
+    throw new UploadError(`${requested} is not a file`);
+  }
+  return real;
+}
+
+/**
+ * Read files for an upload
+ * @param {string[]} requested - Paths (see resolveUploadPath)
+ * @param {string} [uploadDir=getUploadDir()]
+ * @returns {{name: string, mimeType: string, size: number, data: string}[]}
+ *   Files with base64 data
+ * @throws {UploadError}
+ */
+export function readUploadFiles(requested, uploadDir = getUploadDir()) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new UploadError("At least one file is required");
+  }
+
+  let total = 0;
+  return requested.map((file) => {
+    const real = resolveUploadPath(file, uploadDir);
+    const { size } = fs.statSync(real);
+    if (size > MAX_FILE_BYTES) {
+      throw new UploadError(
+        `${file} is ${size} bytes (max ${MAX_FILE_BYTES} per file)`,
+      );
+    }
+    total += size;
+    if (total > MAX_TOTAL_BYTES) {
+      throw new UploadError(
+        `Files total more than ${MAX_TOTAL_BYTES} bytes (max per upload)`,
+      );
+    }
+
+    const name = path.basename(file);
+    return {
+      name,
+      mimeType: mimeTypeFor(name),
+      size,
+      data: fs.readFileSync(real).toString("base64"),
+    };
+  });
+}
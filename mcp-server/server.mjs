@@ -4,16 +4,51 @@
  * MCP Server for Browser Tools - 2025-06-18 Specification Compliant
  *
  * A clean implementation following the latest MCP specification that:
- * - Uses JSON-RPC 2.0 over stdio transport
+ * - Uses JSON-RPC 2.0 over stdio (default) or Streamable HTTP transport
+ *   (--transport=http or MCP_TRANSPORT=http)
  * - NEVER writes to stdout except valid JSON-RPC messages
  * - Logs only to stderr for debugging
  * - Interfaces with MCP HTTP Bridge on port 3024
+ * - Exposes console/network errors, the current URL and screenshots as
+ *   subscribable resources
+ * - Offers workflow prompts (built-in plus team prompts from --prompts-dir)
+ * - Reports progress for long-running tools and honours cancellation
+ * - Validates tool arguments against each tool's inputSchema and returns
+ *   structuredContent matching its outputSchema
  *
  * Specification: https://modelcontextprotocol.io/specification/2025-06-18
  */
 
 import readline from "readline";
 import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { StreamableHttpServer } from "./modules/streamable-http.mjs";
+import { BridgeEventStream } from "./modules/bridge-events.mjs";
+import {
+  CONSOLE_ERRORS_URI,
+  CURRENT_URL_URI,
+  NETWORK_ERRORS_URI,
+  RESOURCE_TEMPLATES,
+  ResourceSubscriptions,
+  STATIC_RESOURCES,
+  listScreenshotResources,
+  parseScreenshotUri,
+  readScreenshotResource,
+  resourceUrisForEvent,
+} from "./modules/resources.mjs";
+import {
+  PromptError,
+  describePrompts,
+  getPrompt,
+  loadPrompts,
+} from "./modules/prompts.mjs";
+import { OperationTracker, operationKey } from "./modules/tool-operations.mjs";
+import {
+  formatSchemaErrors,
+  validateJsonSchema,
+} from "./modules/json-schema.mjs";
+import { ERROR_REASONS, RESOURCE_TYPES } from "./modules/network-routes.mjs";
 
 // Server information following 2025-06-18 spec
 const serverInfo = {
@@ -22,11 +57,200 @@ const serverInfo = {
   protocolVersion: "2025-06-18",
 };
 
+// Screenshots saved by the HTTP bridge (repository root .screenshots/)
+const SCREENSHOT_DIR = path.join(
+  path.dirname(path.dirname(fileURLToPath(import.meta.url))),
+  ".screenshots",
+);
+
+// Optional tab targeting shared by every page tool
+const TAB_ID_PROPERTY = {
+  type: "integer",
+  minimum: 0,
+  description:
+    "Tab to act on (from browser_list_tabs); defaults to the tab inspected by the DevTools panel",
+};
+
+// Optional extension connection targeting (several Chrome profiles/windows)
+const CONNECTION_ID_PROPERTY = {
+  type: "string",
+  description:
+    "Extension connection to use (from browser_list_connections); defaults to the active connection",
+};
+
+// Element reference handed out by browser_snapshot, accepted in place of a
+// selector by the interaction tools
+const REF_PROPERTY = {
+  type: "string",
+  pattern: "^e[0-9]+$",
+  description:
+    'Element ref from browser_snapshot (e.g. "e12"); use instead of selector',
+};
+
+// Interaction tools need a selector or a ref
+const SELECTOR_OR_REF = [{ required: ["selector"] }, { required: ["ref"] }];
+
+// Input schema of tools that act on one element given by selector or ref
+function elementTargetSchema(selectorDescription) {
+  return {
+    type: "object",
+    properties: {
+      selector: { type: "string", description: selectorDescription },
+      ref: REF_PROPERTY,
+      tabId: TAB_ID_PROPERTY,
+      connectionId: CONNECTION_ID_PROPERTY,
+    },
+    anyOf: SELECTOR_OR_REF,
+    additionalProperties: false,
+  };
+}
+
+// Element descriptor returned by the interaction tools
+const ELEMENT_INFO_SCHEMA = {
+  type: "object",
+  description: "Element the tool matched",
+  properties: {
+    tagName: { type: "string" },
+    id: { type: "string" },
+    className: { description: "class attribute of the element" },
+    ref: { type: "string", description: "Snapshot ref of the element" },
+  },
+};
+
+// Tab description returned by the tab tools
+const TAB_SCHEMA = {
+  type: "object",
+  properties: {
+    tabId: { type: "number" },
+    windowId: { type: "number" },
+    url: { type: "string" },
+    title: { type: "string" },
+    active: {
+      type: "boolean",
+      description: "Whether the tab is the active tab in its window",
+    },
+    status: { type: "string", description: '"loading" or "complete"' },
+  },
+  required: ["tabId"],
+};
+
+// Result of the click and type tools
+const INTERACTION_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+    elementInfo: ELEMENT_INFO_SCHEMA,
+  },
+  required: ["success"],
+};
+
+// Wait for the page to load (navigate, back, forward, reload)
+const NAVIGATION_TIMEOUT_PROPERTY = {
+  type: "number",
+  description: "Milliseconds to wait for the page to load (1000-60000)",
+  minimum: 1000,
+  maximum: 60000,
+  default: 10000,
+};
+
+// Result of the history navigation tools (same fields as browser_navigate)
+const HISTORY_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    finalUrl: { type: "string", description: "URL of the loaded page" },
+    title: { type: "string" },
+    loadTime: {
+      type: "number",
+      description: "Navigation time in milliseconds",
+    },
+  },
+  required: ["success", "finalUrl"],
+};
+
+// A cookie as returned by browser_get_cookies and accepted by
+// browser_set_cookies (expires: seconds since the epoch, -1 = session)
+const COOKIE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    value: { type: "string" },
+    domain: { type: "string" },
+    path: { type: "string" },
+    expires: { type: "number" },
+    httpOnly: { type: "boolean" },
+    secure: { type: "boolean" },
+    sameSite: { type: "string", enum: ["Strict", "Lax", "None"] },
+    hostOnly: { type: "boolean" },
+  },
+  required: ["name", "value"],
+};
+
+const COOKIE_FILTER_PROPERTIES = {
+  url: {
+    type: "string",
+    description: "Cookies sent to this URL (default: the tab's URL)",
+  },
+  domain: {
+    type: "string",
+    description: "Cookies of this domain and its subdomains instead of a URL",
+  },
+  name: { type: "string", description: "Only cookies with this name" },
+};
+
+const STORAGE_ITEMS_SCHEMA = {
+  type: "object",
+  additionalProperties: { type: "string" },
+};
+
+// A route installed by browser_route_add
+const ROUTE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string", description: "Route ID for browser_route_remove" },
+    url: { type: "string" },
+    method: { type: ["string", "null"] },
+    resourceTypes: { type: "array", items: { type: "string" } },
+    action: { type: "string" },
+    status: { type: "number" },
+    delay: { type: "number" },
+    times: { type: ["number", "null"] },
+    hits: { type: "number", description: "Requests handled so far" },
+  },
+  required: ["id", "url", "action"],
+};
+
+// Tools whose bridge response wraps the extension reply in "result"
+const NESTED_RESULT_TOOLS = new Set([
+  "browser_click",
+  "browser_type",
+  "browser_press_key",
+  "browser_hover",
+  "browser_double_click",
+  "browser_context_click",
+  "browser_drag",
+  "browser_select_option",
+  "browser_set_checked",
+  "browser_fill_form",
+  "browser_upload_file",
+  "browser_wait",
+]);
+
+// Tools that report progress when the call carries a progressToken
+const PROGRESS_TOOLS = new Set([
+  "browser_navigate",
+  "browser_screenshot",
+  "browser_audit",
+  "browser_wait",
+]);
+
 // Tool definitions with proper schemas per 2025 spec
 const tools = {
   browser_navigate: {
     title: "Navigate Browser",
-    description: "Navigate the browser to a specified URL",
+    description:
+      "Navigate the browser to a specified URL and wait until the page reaches the waitUntil condition; returns the final URL, HTTP status and redirect chain",
     inputSchema: {
       type: "object",
       properties: {
@@ -35,14 +259,135 @@ const tools = {
           description: "The URL to navigate to",
           format: "uri",
         },
+        waitUntil: {
+          type: "string",
+          minLength: 1,
+          description:
+            '"commit" (response received, new document committed), "domcontentloaded", "load", "networkidle" (load, then no requests for 500 ms), or a CSS selector to wait for after DOMContentLoaded',
+          default: "load",
+        },
+        timeout: {
+          ...NAVIGATION_TIMEOUT_PROPERTY,
+          description:
+            "Milliseconds to wait for the condition, retries included (1000-60000)",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
       },
       required: ["url"],
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        url: { type: "string", description: "Requested URL" },
+        finalUrl: { type: "string", description: "URL after redirects" },
+        title: { type: "string" },
+        loadTime: {
+          type: "number",
+          description: "Navigation time in milliseconds",
+        },
+        status: {
+          type: "number",
+          description:
+            "HTTP status of the main document (absent for file: and other non-HTTP URLs)",
+        },
+        redirectChain: {
+          type: "array",
+          description: "Redirects followed before the final document",
+          items: {
+            type: "object",
+            properties: {
+              url: { type: "string" },
+              status: { type: "number" },
+              location: { type: "string", description: "Redirect target" },
+            },
+            required: ["url", "status"],
+          },
+        },
+        waitUntil: { type: "string" },
+      },
+      required: ["success", "url"],
+    },
+  },
+  browser_go_back: {
+    title: "Go Back",
+    description:
+      "Go back one entry in the tab's history (like the back button) and wait for the page to load",
+    inputSchema: {
+      type: "object",
+      properties: {
+        timeout: NAVIGATION_TIMEOUT_PROPERTY,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: HISTORY_OUTPUT_SCHEMA,
+  },
+  browser_go_forward: {
+    title: "Go Forward",
+    description:
+      "Go forward one entry in the tab's history (like the forward button) and wait for the page to load",
+    inputSchema: {
+      type: "object",
+      properties: {
+        timeout: NAVIGATION_TIMEOUT_PROPERTY,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: HISTORY_OUTPUT_SCHEMA,
+  },
+  browser_reload: {
+    title: "Reload Page",
+    description:
+      "Reload the page and wait for it to load; bypassCache reloads every resource from the network (like Shift+Reload)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        bypassCache: {
+          type: "boolean",
+          description: "Ignore the HTTP cache",
+          default: false,
+        },
+        timeout: NAVIGATION_TIMEOUT_PROPERTY,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: HISTORY_OUTPUT_SCHEMA,
+  },
+  browser_stop: {
+    title: "Stop Loading",
+    description:
+      "Stop loading the page (like the stop button); a pending browser_navigate, back, forward or reload fails as cancelled",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      ...HISTORY_OUTPUT_SCHEMA,
+      properties: {
+        ...HISTORY_OUTPUT_SCHEMA.properties,
+        wasLoading: {
+          type: "boolean",
+          description: "Whether the page was still loading",
+        },
+      },
+    },
   },
   browser_screenshot: {
     title: "Capture Screenshot",
-    description: "Take a screenshot of the current page or a specific element",
+    description:
+      "Take a screenshot of the current page or a specific element and return it as an image (and/or save it to .screenshots/)",
     inputSchema: {
       type: "object",
       properties: {
@@ -55,13 +400,65 @@ const tools = {
           description: "Capture full page screenshot",
           default: false,
         },
+        output: {
+          type: "string",
+          enum: ["inline", "file", "both"],
+          description:
+            "Return the image inline, only save it to .screenshots/, or both",
+          default: "both",
+        },
+        format: {
+          type: "string",
+          enum: ["png", "jpeg"],
+          description: "Encoding of the inline image",
+          default: "png",
+        },
+        quality: {
+          type: "number",
+          description: "JPEG quality of the inline image (1-100)",
+          default: 80,
+          minimum: 1,
+          maximum: 100,
+        },
+        maxBytes: {
+          type: "number",
+          description:
+            "Byte budget for the inline image; it is JPEG-compressed and downscaled until it fits",
+          minimum: 1024,
+        },
+        maxWidth: {
+          type: "number",
+          description: "Downscale the inline image to at most this width",
+          minimum: 16,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
       },
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        output: { type: "string", enum: ["inline", "file", "both"] },
+        path: { type: "string", description: "Saved PNG file" },
+        filename: { type: "string" },
+        mimeType: { type: "string", description: "Type of the inline image" },
+        width: { type: "number" },
+        height: { type: "number" },
+        bytes: { type: "number", description: "Size of the inline image" },
+        withinBudget: {
+          type: "boolean",
+          description: "Whether the inline image fits maxBytes",
+        },
+      },
+      required: ["success", "output"],
+    },
   },
   browser_click: {
     title: "Click Element",
-    description: "Click an element on the page using a CSS selector",
+    description:
+      "Click an element on the page, by CSS selector or by ref from browser_snapshot",
     inputSchema: {
       type: "object",
       properties: {
@@ -69,14 +466,340 @@ const tools = {
           type: "string",
           description: "CSS selector of the element to click",
         },
+        ref: REF_PROPERTY,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      anyOf: SELECTOR_OR_REF,
+      additionalProperties: false,
+    },
+    outputSchema: INTERACTION_OUTPUT_SCHEMA,
+  },
+  browser_hover: {
+    title: "Hover Element",
+    description:
+      "Move the mouse over an element (pointerover/mouseover/mouseenter/mousemove), e.g. to open hover menus or tooltips",
+    inputSchema: elementTargetSchema("CSS selector of the element to hover"),
+    outputSchema: INTERACTION_OUTPUT_SCHEMA,
+  },
+  browser_double_click: {
+    title: "Double-Click Element",
+    description:
+      "Double-click an element with the full mouse event sequence (two clicks, then dblclick)",
+    inputSchema: elementTargetSchema(
+      "CSS selector of the element to double-click",
+    ),
+    outputSchema: INTERACTION_OUTPUT_SCHEMA,
+  },
+  browser_context_click: {
+    title: "Right-Click Element",
+    description:
+      "Right-click an element (mousedown/contextmenu/mouseup with the secondary button) to open its context menu",
+    inputSchema: elementTargetSchema(
+      "CSS selector of the element to right-click",
+    ),
+    outputSchema: {
+      ...INTERACTION_OUTPUT_SCHEMA,
+      properties: {
+        ...INTERACTION_OUTPUT_SCHEMA.properties,
+        customMenu: {
+          type: "boolean",
+          description:
+            "Whether the page handled contextmenu itself (prevented the browser menu)",
+        },
+      },
+    },
+  },
+  browser_drag: {
+    title: "Drag and Drop",
+    description:
+      "Drag an element onto another element or by an offset. Draggable elements get HTML5 drag-and-drop events; others get pointer moves with the button held (sortable lists, canvas editors)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description: "CSS selector of the element to drag",
+        },
+        ref: REF_PROPERTY,
+        targetSelector: {
+          type: "string",
+          description: "CSS selector of the element to drop onto",
+        },
+        targetRef: {
+          ...REF_PROPERTY,
+          description: "Snapshot ref of the element to drop onto",
+        },
+        offsetX: {
+          type: "number",
+          description:
+            "Horizontal distance in pixels to drag by (instead of a target)",
+        },
+        offsetY: {
+          type: "number",
+          description:
+            "Vertical distance in pixels to drag by (instead of a target)",
+        },
+        steps: {
+          type: "number",
+          description: "Number of intermediate pointer moves",
+          default: 10,
+          minimum: 1,
+          maximum: 100,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      allOf: [
+        { anyOf: SELECTOR_OR_REF },
+        {
+          anyOf: [
+            { required: ["targetSelector"] },
+            { required: ["targetRef"] },
+            { required: ["offsetX"] },
+            { required: ["offsetY"] },
+          ],
+        },
+      ],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        mode: {
+          type: "string",
+          enum: ["html5", "pointer"],
+          description: "HTML5 drag-and-drop or pointer moves",
+        },
+        from: { type: "object", description: "Start point {x, y}" },
+        to: { type: "object", description: "End point {x, y}" },
+        dropped: {
+          type: "boolean",
+          description: "HTML5 mode: whether the drop target accepted the drop",
+        },
+        elementInfo: ELEMENT_INFO_SCHEMA,
+        dropTarget: {
+          ...ELEMENT_INFO_SCHEMA,
+          description: "Element under the pointer when the button was released",
+        },
+      },
+      required: ["success"],
+    },
+  },
+  browser_select_option: {
+    title: "Select Option",
+    description:
+      "Select options of a <select> by value, visible label or index (lists for multi-selects), firing input and change events",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description: "CSS selector of the <select> element",
+        },
+        ref: REF_PROPERTY,
+        value: {
+          type: ["string", "array"],
+          items: { type: "string" },
+          description: "Option value(s) to select",
+        },
+        label: {
+          type: ["string", "array"],
+          items: { type: "string" },
+          description: "Visible option text(s) to select",
+        },
+        index: {
+          type: ["integer", "array"],
+          items: { type: "integer", minimum: 0 },
+          minimum: 0,
+          description: "Zero-based option index(es) to select",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      allOf: [
+        { anyOf: SELECTOR_OR_REF },
+        {
+          anyOf: [
+            { required: ["value"] },
+            { required: ["label"] },
+            { required: ["index"] },
+          ],
+        },
+      ],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        selected: {
+          type: "array",
+          description: "Options selected afterwards",
+          items: {
+            type: "object",
+            properties: {
+              value: { type: "string" },
+              label: { type: "string" },
+              index: { type: "number" },
+            },
+          },
+        },
+        elementInfo: ELEMENT_INFO_SCHEMA,
+      },
+      required: ["success"],
+    },
+  },
+  browser_set_checked: {
+    title: "Set Checked",
+    description:
+      "Check or uncheck a checkbox, radio button or switch (native or ARIA role). Clicks only when the state differs, so frameworks see a real change event",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description: "CSS selector of the control (or of its <label>)",
+        },
+        ref: REF_PROPERTY,
+        checked: {
+          type: "boolean",
+          description: "Desired state; radios can only be checked",
+          default: true,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
       },
-      required: ["selector"],
+      anyOf: SELECTOR_OR_REF,
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        checked: { type: "boolean", description: "State afterwards" },
+        elementInfo: ELEMENT_INFO_SCHEMA,
+      },
+      required: ["success"],
+    },
+  },
+  browser_fill_form: {
+    title: "Fill Form",
+    description:
+      'Fill several form fields in one call. Keys are CSS selectors or snapshot refs; values are text for inputs and textareas, an option value or label (list for multi-selects) for selects, true/false for checkboxes and switches, the value of the radio to check in a group, or {"files": [paths]} for file inputs (see browser_upload_file). Returns per-field results and the validation messages shown afterwards',
+    inputSchema: {
+      type: "object",
+      properties: {
+        fields: {
+          type: "object",
+          description:
+            'Map of selector or ref to value, e.g. {"#email": "a@b.co", "#country": "New Zealand", "#terms": true}',
+          additionalProperties: {
+            type: ["string", "number", "boolean", "array", "object"],
+            items: { type: "string" },
+            properties: {
+              files: { type: "array", items: { type: "string" }, minItems: 1 },
+            },
+            required: ["files"],
+            additionalProperties: false,
+          },
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["fields"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        fields: {
+          type: "array",
+          description: "One result per field, in the order given",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              success: { type: "boolean" },
+              error: { type: "string" },
+              validationMessage: {
+                type: "string",
+                description:
+                  "Browser constraint message, or the aria-errormessage text of a field marked aria-invalid",
+              },
+            },
+            required: ["field", "success"],
+          },
+        },
+        messages: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Visible error/alert texts on the page after filling (role=alert, .error, .invalid-feedback, ...)",
+        },
+      },
+      required: ["success"],
+    },
+  },
+  browser_upload_file: {
+    title: "Upload File",
+    description:
+      "Attach local files to an <input type=file> (or its label) and fire input/change. Files must be in the upload directory (MCP_UPLOAD_DIR, default .uploads/ in the repository); paths are relative to it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description: "CSS selector of the file input",
+        },
+        ref: REF_PROPERTY,
+        files: {
+          type: ["string", "array"],
+          items: { type: "string", minLength: 1 },
+          minLength: 1,
+          minItems: 1,
+          description:
+            'File path or list of paths in the upload directory, e.g. "avatar.png"',
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["files"],
+      anyOf: SELECTOR_OR_REF,
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        files: {
+          type: "array",
+          description: "Files now set on the input",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              size: { type: "number" },
+              type: { type: "string" },
+            },
+          },
+        },
+        elementInfo: ELEMENT_INFO_SCHEMA,
+      },
+      required: ["success"],
+    },
   },
   browser_type: {
     title: "Type Text",
-    description: "Type text into an input field or editable element",
+    description:
+      "Type text into an input field or editable element, by CSS selector or by ref from browser_snapshot",
     inputSchema: {
       type: "object",
       properties: {
@@ -84,6 +807,7 @@ const tools = {
           type: "string",
           description: "CSS selector of the input field",
         },
+        ref: REF_PROPERTY,
         text: {
           type: "string",
           description: "Text to type into the field",
@@ -93,115 +817,996 @@ const tools = {
           description: "Clear the field before typing",
           default: false,
         },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["text"],
+      anyOf: SELECTOR_OR_REF,
+      additionalProperties: false,
+    },
+    outputSchema: INTERACTION_OUTPUT_SCHEMA,
+  },
+  browser_press_key: {
+    title: "Press Keys",
+    description:
+      'Press keys on the focused element, or on the element given by selector or ref: single keys ("Enter", "Tab", "Escape", "ArrowDown", "a"), chords ("Control+A", "Shift+Tab") or a sequence of them with an optional delay in between. Dispatches keydown/keypress/keyup and performs the usual default action (typing, form submit on Enter, focus move on Tab) unless the page prevents it',
+    inputSchema: {
+      type: "object",
+      properties: {
+        keys: {
+          type: ["string", "array"],
+          items: { type: "string", minLength: 1 },
+          minLength: 1,
+          minItems: 1,
+          maxItems: 50,
+          description:
+            'Key or chord ("Enter", "Control+Shift+K"), or a list pressed in order. Modifiers: Shift, Control/Ctrl, Alt/Option, Meta/Cmd',
+        },
+        delay: {
+          type: "number",
+          description: "Milliseconds to wait between keys of a sequence",
+          default: 0,
+          minimum: 0,
+          maximum: 1000,
+        },
+        selector: {
+          type: "string",
+          description:
+            "CSS selector of the element to focus first; defaults to the focused element",
+        },
+        ref: REF_PROPERTY,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["keys"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        keys: { type: "array", items: { type: "string" } },
+        prevented: {
+          type: "array",
+          items: { type: "string" },
+          description:
+            "Keys whose default action the page prevented (preventDefault)",
+        },
+        elementInfo: {
+          ...ELEMENT_INFO_SCHEMA,
+          description: "Element that received the last key",
+        },
+      },
+      required: ["success"],
+    },
+  },
+  browser_evaluate: {
+    title: "Execute JavaScript",
+    description: "Execute JavaScript code in the browser context",
+    inputSchema: {
+      type: "object",
+      properties: {
+        script: {
+          type: "string",
+          description: "JavaScript code to execute",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["script"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        result: { description: "Value returned by the script" },
+      },
+    },
+    annotations: {
+      warning: "This tool executes arbitrary JavaScript. Use with caution.",
+    },
+  },
+  browser_get_content: {
+    title: "Get Page Content",
+    description:
+      "Get the content of the page or of every element matching a selector, as HTML, plain text or Markdown (truncated to maxLength characters)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description:
+            "Optional CSS selector; content of all matching elements is returned",
+        },
+        format: {
+          type: "string",
+          enum: ["html", "text", "markdown"],
+          description:
+            "Format of the returned content: outerHTML, innerText or Markdown",
+          default: "html",
+        },
+        maxLength: {
+          type: "number",
+          description:
+            "Maximum number of characters to return; longer content is truncated",
+          minimum: 1,
+          default: 50000,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        content: { type: "string" },
+        format: { type: "string", enum: ["html", "text", "markdown"] },
+        selector: { type: ["string", "null"] },
+        matches: {
+          type: "number",
+          description: "Number of matching elements",
+        },
+        length: {
+          type: "number",
+          description: "Length of the content before truncation",
+        },
+        truncated: { type: "boolean" },
+        url: { type: "string" },
+      },
+      required: ["content", "format"],
+    },
+  },
+  browser_audit: {
+    title: "Run Page Audit",
+    description:
+      "Audit the current page and return a 0-100 score per category (Lighthouse-style checks computed from the live DOM and Performance APIs)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        categories: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: [
+              "performance",
+              "accessibility",
+              "seo",
+              "best-practices",
+              "pwa",
+            ],
+          },
+          description: "Audit categories to run",
+          default: ["performance", "accessibility", "seo", "best-practices"],
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        url: { type: "string" },
+        title: { type: "string" },
+        fetchTime: { type: "string" },
+        results: {
+          type: "object",
+          description: "Results keyed by category",
+          additionalProperties: {
+            type: "object",
+            properties: {
+              title: { type: "string" },
+              score: {
+                type: ["number", "null"],
+                description: "0-1 score, null if the category failed",
+              },
+              auditRefs: { type: "array", items: { type: "object" } },
+              error: { type: "string" },
+            },
+          },
+        },
+      },
+      required: ["results"],
+    },
+  },
+  browser_wait: {
+    title: "Wait for Element",
+    description:
+      "Wait for an element to appear on the page, by CSS selector or by ref from browser_snapshot",
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description: "CSS selector of the element to wait for",
+        },
+        ref: REF_PROPERTY,
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait in milliseconds",
+          default: 30000,
+          minimum: 0,
+          maximum: 60000,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      anyOf: SELECTOR_OR_REF,
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        message: { type: "string" },
+        elementInfo: ELEMENT_INFO_SCHEMA,
+        visible: { type: "boolean" },
+        waitTime: {
+          type: "number",
+          description: "Milliseconds until the element appeared",
+        },
+      },
+      required: ["success"],
+    },
+  },
+  browser_snapshot: {
+    title: "Accessibility Snapshot",
+    description:
+      'Get a compact accessibility tree of the page (role, name, state, value). Every element node has a ref (e.g. "e12") that browser_click, browser_type and browser_wait accept instead of a selector; refs stay stable until the element is removed or the page navigates',
+    inputSchema: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          description:
+            "Optional CSS selector of the subtree to snapshot; defaults to the whole page",
+        },
+        interactiveOnly: {
+          type: "boolean",
+          description:
+            "Only include controls, links, headings and landmarks (no text)",
+          default: false,
+        },
+        maxNodes: {
+          type: "number",
+          description:
+            "Maximum number of nodes to return; larger trees are truncated",
+          minimum: 1,
+          default: 500,
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        url: { type: "string" },
+        title: { type: "string" },
+        nodes: {
+          type: "array",
+          description:
+            'Tree of {ref, role, name, children, ...state}; text nodes have role "text" and no ref',
+          items: {
+            type: "object",
+            properties: {
+              ref: { type: "string" },
+              role: { type: "string" },
+              name: { type: "string" },
+              value: { type: "string" },
+              children: { type: "array" },
+            },
+            required: ["role"],
+          },
+        },
+        nodeCount: { type: "number" },
+        truncated: {
+          type: "boolean",
+          description: "Whether maxNodes cut the tree short",
+        },
+      },
+      required: ["nodes"],
+    },
+  },
+  browser_get_console: {
+    title: "Get Console Logs",
+    description:
+      "Retrieve browser console logs and errors, filtered by level, time, message text and source URL. Pass the returned nextCursor as cursor to get only newer entries",
+    inputSchema: {
+      type: "object",
+      properties: {
+        level: {
+          type: "string",
+          enum: ["all", "log", "info", "warn", "error"],
+          description: "Filter logs by level",
+          default: "all",
+        },
+        since: {
+          type: "string",
+          description:
+            "Only entries logged at or after this time (ISO 8601 or epoch ms)",
+        },
+        text: {
+          type: "string",
+          description:
+            "Case-insensitive message substring, or a regular expression written as /pattern/flags",
+        },
+        sourceUrl: {
+          type: "string",
+          description:
+            "Only entries whose source URL contains this substring (or matches /pattern/flags)",
+        },
+        cursor: {
+          type: "number",
+          description:
+            "nextCursor from a previous call; only entries captured after it are returned",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of entries to return",
+          minimum: 1,
+          default: 100,
+        },
+        tabId: TAB_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        entries: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "number" },
+              timestamp: { type: "string" },
+              level: { type: "string" },
+              message: { description: "Logged message" },
+            },
+          },
+        },
+        total: { type: "number", description: "Entries matching the filters" },
+        returned: { type: "number" },
+        nextCursor: {
+          type: ["number", "null"],
+          description: "Pass as cursor to get only newer entries",
+        },
+        hasMore: { type: "boolean" },
+      },
+      required: ["entries", "total", "returned"],
+    },
+  },
+  browser_get_network: {
+    title: "Get Network Requests",
+    description:
+      "List captured network requests (URL, method, status, timing, size, initiator), filtered by status range, URL pattern, resource type and time window",
+    inputSchema: {
+      type: "object",
+      properties: {
+        statusMin: {
+          type: "number",
+          description:
+            "Lowest HTTP status to include (failed requests have status 0)",
+        },
+        statusMax: {
+          type: "number",
+          description: "Highest HTTP status to include",
+        },
+        urlPattern: {
+          type: "string",
+          description:
+            "Case-insensitive URL substring, or a regular expression written as /pattern/flags",
+        },
+        resourceType: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: [
+              "document",
+              "stylesheet",
+              "script",
+              "image",
+              "font",
+              "xhr",
+              "fetch",
+              "media",
+              "websocket",
+              "manifest",
+              "other",
+            ],
+          },
+          description: "Only include these resource types",
+        },
+        method: {
+          type: "string",
+          description: "Only include this HTTP method (e.g. POST)",
+        },
+        since: {
+          type: "string",
+          description:
+            "Only requests started at or after this time (ISO 8601 or epoch ms)",
+        },
+        until: {
+          type: "string",
+          description:
+            "Only requests started at or before this time (ISO 8601 or epoch ms)",
+        },
+        errorsOnly: {
+          type: "boolean",
+          description:
+            "Only include failed requests (network error or HTTP >= 400)",
+          default: false,
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of requests to return (most recent)",
+          minimum: 1,
+          default: 100,
+        },
+        tabId: TAB_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        requests: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              url: { type: "string" },
+              method: { type: "string" },
+              status: { type: "number" },
+              timestamp: { type: "string" },
+            },
+          },
+        },
+        total: {
+          type: "number",
+          description: "Requests matching the filters",
+        },
+        returned: { type: "number" },
+      },
+      required: ["requests", "total", "returned"],
+    },
+  },
+  browser_route_add: {
+    title: "Add Network Route",
+    description:
+      "Intercept requests of the tab that match a URL glob (and optionally a method and resource types): fulfill them with a canned status, headers and body, abort them with a network error, or continue them, optionally after a delay. Later routes take precedence. Uses the Chrome debugger, so Chrome shows a debugging bar while routes are active",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          minLength: 1,
+          description:
+            'URL glob: "**" matches anything, "*" anything but "/", "{a,b}" alternatives (e.g. "**/api/users/*")',
+        },
+        method: {
+          type: "string",
+          description: "HTTP method to match (any when omitted)",
+        },
+        resourceType: {
+          anyOf: [
+            { type: "string", enum: Object.keys(RESOURCE_TYPES) },
+            {
+              type: "array",
+              items: { type: "string", enum: Object.keys(RESOURCE_TYPES) },
+              minItems: 1,
+            },
+          ],
+          description: "Resource type(s) to match (any when omitted)",
+        },
+        action: {
+          type: "string",
+          enum: ["fulfill", "abort", "continue"],
+          description:
+            "fulfill with the response below, abort with errorReason, or continue to the network (with delay: slow it down)",
+          default: "fulfill",
+        },
+        status: {
+          type: "integer",
+          minimum: 100,
+          maximum: 599,
+          description: "Response status (fulfill)",
+          default: 200,
+        },
+        headers: {
+          type: "object",
+          additionalProperties: { type: "string" },
+          description: "Response headers (fulfill)",
+        },
+        body: {
+          type: "string",
+          description: "Response body text (fulfill)",
+        },
+        json: {
+          description:
+            "Response body as JSON, sent with Content-Type application/json (fulfill; instead of body)",
+        },
+        contentType: {
+          type: "string",
+          description: "Content-Type of the body (fulfill)",
+        },
+        errorReason: {
+          type: "string",
+          enum: ERROR_REASONS,
+          description: "Network error the request fails with (abort)",
+          default: "Failed",
+        },
+        delay: {
+          type: "integer",
+          minimum: 0,
+          maximum: 60000,
+          description: "Milliseconds to hold matching requests first",
+          default: 0,
+        },
+        times: {
+          type: "integer",
+          minimum: 1,
+          description: "Remove the route after this many matches",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["url"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        route: ROUTE_SCHEMA,
+      },
+      required: ["success", "route"],
+    },
+  },
+  browser_route_list: {
+    title: "List Network Routes",
+    description:
+      "List the tab's routes with their hit counts, and the log of requests they fulfilled, aborted or delayed (latest 200)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        routes: { type: "array", items: ROUTE_SCHEMA },
+        log: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              routeId: { type: "string" },
+              url: { type: "string" },
+              method: { type: "string" },
+              resourceType: { type: "string" },
+              action: { type: "string" },
+              status: { type: "number" },
+              timestamp: { type: "string" },
+            },
+            required: ["routeId", "url", "action"],
+          },
+        },
+      },
+      required: ["success", "routes", "log"],
+    },
+  },
+  browser_route_remove: {
+    title: "Remove Network Routes",
+    description:
+      "Remove one route by ID, or every route of the tab with all: true; requests reach the network again and the debugger detaches once no routes are left",
+    inputSchema: {
+      type: "object",
+      properties: {
+        routeId: {
+          type: "string",
+          description: "Route to remove (from browser_route_add)",
+        },
+        all: {
+          type: "boolean",
+          const: true,
+          description: "Remove every route of the tab",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      anyOf: [{ required: ["routeId"] }, { required: ["all"] }],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        removed: { type: "number", description: "Routes removed" },
+        routes: { type: "array", items: ROUTE_SCHEMA },
+      },
+      required: ["success", "removed"],
+    },
+  },
+  browser_export_har: {
+    title: "Export HAR",
+    description:
+      'Record the tab\'s network traffic between action "start" and action "stop" and write it as a HAR 1.2 file (.har/ next to .screenshots/) with headers, cookies and timings of every request, optionally with response bodies; attach the file to bug reports or open it in DevTools',
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["start", "stop"],
+          description:
+            '"start" begins recording the tab, "stop" ends it and writes the file',
+        },
+        includeBodies: {
+          type: "boolean",
+          description: "Capture response bodies (start; default false)",
+        },
+        maxBodySize: {
+          type: "integer",
+          minimum: 0,
+          maximum: 10485760,
+          description:
+            "Largest response body to capture in bytes (start; default 1048576); larger bodies are left out with a comment",
+        },
+        filename: {
+          type: "string",
+          pattern: "^[\\w-][\\w.-]*$",
+          description:
+            'HAR file name (stop; ".har" is appended, default session-<timestamp>.har)',
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["action"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        action: { type: "string" },
+        recording: {
+          type: "boolean",
+          description: "Whether the tab is being recorded now",
+        },
+        startedAt: { type: "string" },
+        stoppedAt: { type: "string" },
+        path: { type: "string", description: "Absolute path of the HAR file" },
+        filename: { type: "string" },
+        entries: { type: "number", description: "Requests in the HAR" },
+        pages: { type: "number", description: "Page loads in the HAR" },
+        bytes: { type: "number", description: "Size of the HAR file" },
+        incomplete: {
+          type: "number",
+          description: "Requests still in flight at stop, left out",
+        },
+        truncated: {
+          type: "boolean",
+          description: "The event limit was reached; later traffic is missing",
+        },
+      },
+      required: ["success", "action", "recording"],
+    },
+  },
+  browser_get_cookies: {
+    title: "Get Cookies",
+    description:
+      "List the cookies sent to the tab's URL (or to url, or of a domain), including HttpOnly ones; pass the result to browser_set_cookies to restore a login later",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...COOKIE_FILTER_PROPERTIES,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        cookies: { type: "array", items: COOKIE_SCHEMA },
+      },
+      required: ["success", "cookies"],
+    },
+  },
+  browser_set_cookies: {
+    title: "Set Cookies",
+    description:
+      "Set cookies in the tab's cookie store, e.g. ones saved with browser_get_cookies; a cookie without url or domain is set for the tab's URL. Reload the page for it to see them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cookies: {
+          type: "array",
+          minItems: 1,
+          maxItems: 500,
+          items: {
+            type: "object",
+            properties: {
+              ...COOKIE_SCHEMA.properties,
+              url: {
+                type: "string",
+                description: "URL the cookie is set for, instead of domain",
+              },
+            },
+            required: ["name", "value"],
+          },
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      required: ["cookies"],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        cookies: {
+          type: "array",
+          items: COOKIE_SCHEMA,
+          description: "The cookies as stored",
+        },
+      },
+      required: ["success", "cookies"],
+    },
+  },
+  browser_clear_cookies: {
+    title: "Clear Cookies",
+    description:
+      "Delete the cookies sent to the tab's URL (or to url, or of a domain), optionally only those with a given name, e.g. to log out",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...COOKIE_FILTER_PROPERTIES,
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        removed: { type: "number", description: "Cookies deleted" },
+      },
+      required: ["success", "removed"],
+    },
+  },
+  browser_get_storage: {
+    title: "Get Storage",
+    description:
+      "Read the localStorage and/or sessionStorage items of the tab's current origin; pass them to browser_set_storage to restore them later",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: {
+          type: "string",
+          enum: ["local", "session"],
+          description: "Storage to read (default: both)",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        origin: { type: "string" },
+        localStorage: STORAGE_ITEMS_SCHEMA,
+        sessionStorage: STORAGE_ITEMS_SCHEMA,
+      },
+      required: ["success", "origin"],
+    },
+  },
+  browser_set_storage: {
+    title: "Set Storage",
+    description:
+      "Set localStorage and/or sessionStorage items of the tab's current origin (null removes an item), optionally clearing the storage first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        localStorage: {
+          type: "object",
+          additionalProperties: { type: ["string", "null"] },
+          description: "Items to set; null removes an item",
+        },
+        sessionStorage: {
+          type: "object",
+          additionalProperties: { type: ["string", "null"] },
+          description: "Items to set; null removes an item",
+        },
+        clear: {
+          type: "boolean",
+          description:
+            "Clear the given storages before setting the items (default false)",
+        },
+        tabId: TAB_ID_PROPERTY,
+        connectionId: CONNECTION_ID_PROPERTY,
+      },
+      anyOf: [{ required: ["localStorage"] }, { required: ["sessionStorage"] }],
+      additionalProperties: false,
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        origin: { type: "string" },
+        itemCounts: {
+          type: "object",
+          properties: {
+            localStorage: { type: "number" },
+            sessionStorage: { type: "number" },
+          },
+          description: "Items in each updated storage afterwards",
+        },
       },
-      required: ["selector", "text"],
-      additionalProperties: false,
+      required: ["success", "origin"],
     },
   },
-  browser_evaluate: {
-    title: "Execute JavaScript",
-    description: "Execute JavaScript code in the browser context",
+  browser_list_tabs: {
+    title: "List Tabs",
+    description:
+      "List open browser tabs with their tabId, window, URL, title and active state",
     inputSchema: {
       type: "object",
       properties: {
-        script: {
-          type: "string",
-          description: "JavaScript code to execute",
-        },
+        connectionId: CONNECTION_ID_PROPERTY,
       },
-      required: ["script"],
       additionalProperties: false,
     },
-    annotations: {
-      warning: "This tool executes arbitrary JavaScript. Use with caution.",
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        tabs: { type: "array", items: TAB_SCHEMA },
+        inspectedTabId: {
+          type: ["number", "null"],
+          description: "Tab inspected by the DevTools panel",
+        },
+      },
+      required: ["tabs"],
     },
   },
-  browser_get_content: {
-    title: "Get Page Content",
-    description: "Get the HTML content of the page or a specific element",
+  browser_open_tab: {
+    title: "Open Tab",
+    description: "Open a new browser tab and return its tabId",
     inputSchema: {
       type: "object",
       properties: {
-        selector: {
+        url: {
           type: "string",
-          description:
-            "Optional CSS selector to get content from a specific element",
+          description: "URL to open (defaults to about:blank)",
         },
-        format: {
-          type: "string",
-          enum: ["html", "text"],
-          description: "Format of the returned content",
-          default: "html",
+        active: {
+          type: "boolean",
+          description: "Whether the new tab becomes the active tab",
+          default: true,
         },
+        connectionId: CONNECTION_ID_PROPERTY,
       },
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        tab: TAB_SCHEMA,
+      },
+      required: ["success", "tab"],
+    },
   },
-  browser_audit: {
-    title: "Run Lighthouse Audit",
-    description: "Run a Lighthouse performance audit on the current page",
+  browser_close_tab: {
+    title: "Close Tab",
+    description: "Close a browser tab",
     inputSchema: {
       type: "object",
       properties: {
-        categories: {
-          type: "array",
-          items: {
-            type: "string",
-            enum: [
-              "performance",
-              "accessibility",
-              "seo",
-              "best-practices",
-              "pwa",
-            ],
-          },
-          description: "Audit categories to run",
-          default: ["performance", "accessibility", "seo", "best-practices"],
+        tabId: {
+          type: "integer",
+          minimum: 0,
+          description: "Tab to close (from browser_list_tabs)",
         },
+        connectionId: CONNECTION_ID_PROPERTY,
       },
+      required: ["tabId"],
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        closed: { type: "boolean" },
+        tabId: { type: "number" },
+      },
+      required: ["success", "tabId"],
+    },
   },
-  browser_wait: {
-    title: "Wait for Element",
-    description: "Wait for an element to appear on the page",
+  browser_switch_tab: {
+    title: "Switch Tab",
+    description:
+      "Make a tab the active tab in its window and focus the window (needed before screenshots of that tab)",
     inputSchema: {
       type: "object",
       properties: {
-        selector: {
-          type: "string",
-          description: "CSS selector of the element to wait for",
-        },
-        timeout: {
-          type: "number",
-          description: "Maximum time to wait in milliseconds",
-          default: 30000,
+        tabId: {
+          type: "integer",
           minimum: 0,
-          maximum: 60000,
+          description: "Tab to activate (from browser_list_tabs)",
         },
+        connectionId: CONNECTION_ID_PROPERTY,
       },
-      required: ["selector"],
+      required: ["tabId"],
       additionalProperties: false,
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        tab: TAB_SCHEMA,
+      },
+      required: ["success", "tab"],
+    },
   },
-  browser_get_console: {
-    title: "Get Console Logs",
-    description: "Retrieve browser console logs",
+  browser_list_connections: {
+    title: "List Extension Connections",
+    description:
+      "List Chrome extension connections to the bridge (one per DevTools panel) with their profile, window and inspected tab; the active one serves requests without a connectionId",
     inputSchema: {
+      type: "object",
+      properties: {},
+      additionalProperties: false,
+    },
+    outputSchema: {
       type: "object",
       properties: {
-        level: {
-          type: "string",
-          enum: ["all", "log", "info", "warn", "error"],
-          description: "Filter logs by level",
-          default: "all",
+        activeConnectionId: { type: ["string", "null"] },
+        connections: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              active: { type: "boolean" },
+              connectedAt: { type: "string" },
+              lastMessageAt: { type: ["string", "null"] },
+            },
+            required: ["id", "active"],
+          },
         },
       },
-      additionalProperties: false,
+      required: ["connections"],
     },
   },
 };
 
+// Structured form of a bridge result: extension replies are unwrapped and
+// inline image data is left to the image content block
+function toStructuredContent(toolName, result) {
+  if (NESTED_RESULT_TOOLS.has(toolName)) {
+    return { ...result.result, success: result.success };
+  }
+
+  const { screenshot, ...structured } = result;
+  return structured;
+}
+
 // Debug logging to stderr only
 function debugLog(message) {
   if (process.env.MCP_DEBUG) {
@@ -211,8 +1816,16 @@ function debugLog(message) {
   }
 }
 
-// Send JSON-RPC response
-function sendResponse(id, result, error = null) {
+// stdio transport: one JSON-RPC message per line on stdout
+const stdioTransport = {
+  name: "stdio",
+  send: (message) => process.stdout.write(JSON.stringify(message) + "\n"),
+  shutdown: () => process.exit(0),
+};
+stdioTransport.session = stdioTransport;
+
+// Send JSON-RPC response over the transport the request arrived on
+function sendResponse(transport, id, result, error = null) {
   const response = {
     jsonrpc: "2.0",
     id: id,
@@ -224,38 +1837,87 @@ function sendResponse(id, result, error = null) {
     response.result = result;
   }
 
-  process.stdout.write(JSON.stringify(response) + "\n");
+  transport.send(response);
   debugLog(`Sent response for id ${id}: ${error ? "error" : "success"}`);
 }
 
 // Send JSON-RPC notification
-function sendNotification(method, params) {
+function sendNotification(transport, method, params) {
   const notification = {
     jsonrpc: "2.0",
     method: method,
     params: params,
   };
 
-  process.stdout.write(JSON.stringify(notification) + "\n");
+  transport.send(notification);
   debugLog(`Sent notification: ${method}`);
 }
 
-// Call browser-tools HTTP server
-async function callBrowserTools(action, params) {
+// Bridge endpoints that are read with GET (parameters in the query string)
+const GET_ENDPOINTS = new Set([
+  "/console-logs",
+  "/current-url",
+  "/get-content",
+  "/network-requests",
+  "/tabs",
+  "/routes",
+  "/cookies",
+  "/storage",
+  "/connections",
+]);
+
+// Call browser-tools HTTP server. Aborting the signal drops the HTTP
+// request, which makes the bridge cancel the operation in the extension.
+async function callBrowserTools(action, params, { signal } = {}) {
   return new Promise((resolve, reject) => {
     const port = process.env.MCP_HTTP_BRIDGE_PORT || "3024";
 
+    if (signal?.aborted) {
+      reject(new Error("Request cancelled"));
+      return;
+    }
+
     // Map actions to correct endpoints
     const endpointMap = {
       navigate: "/navigate",
+      goBack: "/go-back",
+      goForward: "/go-forward",
+      reload: "/reload",
+      stop: "/stop",
       screenshot: "/capture-screenshot",
       click: "/click",
       type: "/type",
+      pressKey: "/press-key",
+      hover: "/hover",
+      doubleClick: "/double-click",
+      contextClick: "/context-click",
+      drag: "/drag",
+      selectOption: "/select-option",
+      setChecked: "/set-checked",
+      fillForm: "/fill-form",
+      uploadFile: "/upload-file",
       evaluate: "/evaluate",
       getContent: "/get-content",
-      audit: "/audit", // This might need to be implemented in HTTP bridge
+      audit: "/audit",
       wait: "/wait",
+      snapshot: "/snapshot",
       getConsole: "/console-logs",
+      getNetwork: "/network-requests",
+      getCurrentUrl: "/current-url",
+      addRoute: "/routes/add",
+      listRoutes: "/routes",
+      removeRoute: "/routes/remove",
+      exportHar: "/har",
+      getCookies: "/cookies",
+      setCookies: "/cookies/set",
+      clearCookies: "/cookies/clear",
+      getStorage: "/storage",
+      setStorage: "/storage/set",
+      listTabs: "/tabs",
+      openTab: "/tabs/open",
+      closeTab: "/tabs/close",
+      switchTab: "/tabs/switch",
+      listConnections: "/connections",
     };
 
     const endpoint = endpointMap[action];
@@ -264,23 +1926,38 @@ async function callBrowserTools(action, params) {
       return;
     }
 
-    const data = JSON.stringify(params || {});
+    const method = GET_ENDPOINTS.has(endpoint) ? "GET" : "POST";
 
-    debugLog(`Calling browser-tools: ${action} -> ${endpoint} on port ${port}`);
+    // GET endpoints take their parameters from the query string
+    let path = endpoint;
+    if (method === "GET") {
+      const query = new URLSearchParams();
+      for (const [key, value] of Object.entries(params || {})) {
+        if (value !== undefined && value !== null) {
+          query.set(key, String(value));
+        }
+      }
+      const queryString = query.toString();
+      if (queryString) {
+        path += `?${queryString}`;
+      }
+    }
+
+    const data = method === "POST" ? JSON.stringify(params || {}) : "";
+
+    debugLog(`Calling browser-tools: ${action} -> ${path} on port ${port}`);
 
     const options = {
       hostname: "localhost",
       port: parseInt(port),
-      path: endpoint,
-      method:
-        endpoint === "/console-logs" || endpoint === "/get-content"
-          ? "GET"
-          : "POST",
+      path,
+      method,
       headers: {
         "Content-Type": "application/json",
         "Content-Length": Buffer.byteLength(data),
       },
-      timeout: 30000,
+      // Operations with their own timeout (wait) may run past the default
+      timeout: Math.max(30000, (Number(params?.timeout) || 0) + 10000),
     };
 
     const req = http.request(options, (res) => {
@@ -311,6 +1988,10 @@ async function callBrowserTools(action, params) {
     });
 
     req.on("error", (e) => {
+      if (signal?.aborted) {
+        reject(new Error("Request cancelled"));
+        return;
+      }
       debugLog(`Browser-tools connection error: ${e.message}`);
       reject(
         new Error(
@@ -324,6 +2005,8 @@ async function callBrowserTools(action, params) {
       reject(new Error("Browser-tools request timeout"));
     });
 
+    signal?.addEventListener("abort", () => req.destroy(), { once: true });
+
     // Only write data for POST requests
     if (options.method === "POST") {
       req.write(data);
@@ -332,8 +2015,237 @@ async function callBrowserTools(action, params) {
   });
 }
 
+// Resource subscriptions and progress-reporting tool calls, both fed by the
+// bridge event stream while any exist
+const resourceSubscriptions = new ResourceSubscriptions();
+const operations = new OperationTracker();
+
+const bridgeEvents = new BridgeEventStream({
+  port: parseInt(process.env.MCP_HTTP_BRIDGE_PORT || "3024"),
+  log: debugLog,
+  onEvent: (event) => {
+    if (event.type === "progress") {
+      const operation = operations.get(event.data.operationId);
+      if (operation) {
+        operations.reportProgress(operation, event.data);
+      }
+      return;
+    }
+
+    for (const uri of resourceUrisForEvent(event)) {
+      for (const subscriber of resourceSubscriptions.subscribers(uri)) {
+        sendNotification(subscriber, "notifications/resources/updated", {
+          uri,
+        });
+      }
+    }
+  },
+});
+
+// Follow bridge events only while someone is listening
+function updateBridgeEventStream() {
+  if (resourceSubscriptions.size > 0 || operations.hasProgressListeners) {
+    bridgeEvents.start();
+  } else {
+    bridgeEvents.stop();
+  }
+}
+
+// Whether a URI names a resource this server exposes
+function isKnownResource(uri) {
+  return (
+    STATIC_RESOURCES.some((resource) => resource.uri === uri) ||
+    parseScreenshotUri(uri) !== null
+  );
+}
+
+// Read resource contents; null if the resource does not exist
+async function readResource(uri) {
+  switch (uri) {
+    case CONSOLE_ERRORS_URI: {
+      const result = await callBrowserTools("getConsole", { level: "error" });
+      return [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(result.entries, null, 2),
+        },
+      ];
+    }
+
+    case NETWORK_ERRORS_URI: {
+      const result = await callBrowserTools("getNetwork", {
+        errorsOnly: true,
+      });
+      return [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(result.requests, null, 2),
+        },
+      ];
+    }
+
+    case CURRENT_URL_URI: {
+      const result = await callBrowserTools("getCurrentUrl", {});
+      return [{ uri, mimeType: "text/plain", text: result.url }];
+    }
+
+    default: {
+      const screenshot = readScreenshotResource(SCREENSHOT_DIR, uri);
+      return screenshot ? [screenshot] : null;
+    }
+  }
+}
+
+// Format extension connections as one line per connection
+function formatConnectionList(result) {
+  const lines = [`${result.connections.length} extension connection(s)`];
+
+  for (const connection of result.connections) {
+    const details = [
+      connection.profileId
+        ? `profile ${connection.profileId.slice(0, 8)}`
+        : null,
+      connection.windowId !== undefined
+        ? `window ${connection.windowId}`
+        : null,
+      connection.tabId !== undefined ? `tab ${connection.tabId}` : null,
+      connection.incognito ? "incognito" : null,
+    ].filter(Boolean);
+    lines.push(
+      `${connection.active ? "*" : " "} ${connection.id} ${connection.url || ""}${details.length ? ` (${details.join(", ")})` : ""}`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// Format open tabs as one line per tab
+function formatTabList(result) {
+  const lines = [`${result.tabs.length} open tab(s)`];
+
+  for (const tab of result.tabs) {
+    const flags = [
+      tab.active ? "active" : null,
+      tab.tabId === result.inspectedTabId ? "inspected" : null,
+    ].filter(Boolean);
+    lines.push(
+      `[${tab.tabId}] ${tab.title || "(untitled)"} - ${tab.url}${flags.length ? ` (${flags.join(", ")})` : ""}`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// Format console entries as one line per entry
+function formatConsoleEntries(result) {
+  const lines = [
+    `${result.returned} of ${result.total} matching console entries (nextCursor: ${result.nextCursor}${result.hasMore ? ", more available" : ""})`,
+  ];
+
+  for (const entry of result.entries) {
+    const location = entry.source
+      ? ` (${entry.source}${entry.line !== undefined ? `:${entry.line}` : ""})`
+      : "";
+    lines.push(
+      `[${entry.timestamp}] ${String(entry.level).toUpperCase()} ${entry.message}${location}`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// Format captured network requests as one line per request
+function formatNetworkRequests(result) {
+  const lines = [
+    `${result.returned} of ${result.total} matching network request(s)`,
+  ];
+
+  for (const request of result.requests) {
+    const status = request.failed
+      ? `FAILED${request.error ? ` (${request.error})` : ""}`
+      : request.status;
+    const time =
+      request.time !== undefined ? `${Math.round(request.time)}ms` : "-";
+    const size =
+      request.size && request.size.transfer >= 0
+        ? `${(request.size.transfer / 1024).toFixed(1)}KB`
+        : "-";
+    lines.push(
+      `${request.method} ${status} ${request.resourceType || "other"} ${time} ${size} ${request.url}`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// Render a snapshot tree as indented lines:
+// - heading "Welcome" [level=1] [ref=e3]
+function formatSnapshot(result) {
+  const lines = [`Snapshot of ${result.url} (${result.title || "untitled"})`];
+
+  const render = (nodes, indent) => {
+    for (const node of nodes) {
+      let line = `${indent}- ${node.role}`;
+      if (node.name) line += ` ${JSON.stringify(node.name)}`;
+      for (const state of [
+        "level",
+        "checked",
+        "disabled",
+        "expanded",
+        "selected",
+        "required",
+        "readonly",
+        "focused",
+      ]) {
+        if (node[state] === true) line += ` [${state}]`;
+        else if (node[state] !== undefined && node[state] !== false) {
+          line += ` [${state}=${node[state]}]`;
+        }
+      }
+      if (node.value !== undefined && node.value !== "") {
+        line += `: ${JSON.stringify(node.value)}`;
+      }
+      if (node.ref) line += ` [ref=${node.ref}]`;
+      lines.push(line);
+      render(node.children || [], `${indent}  `);
+    }
+  };
+  render(result.nodes, "");
+
+  if (result.truncated) {
+    lines.push(`… truncated at ${result.nodeCount} nodes (raise maxNodes)`);
+  }
+  return lines.join("\n");
+}
+
+// Format audit results as a readable per-category summary
+function formatAuditReport(result) {
+  const lines = [`Audit of ${result.url} (${result.fetchTime})`];
+
+  for (const [category, report] of Object.entries(result.results)) {
+    const score =
+      report.score === null ? "n/a" : `${Math.round(report.score * 100)}/100`;
+    lines.push("", `${report.title || category}: ${score}`);
+
+    if (report.error) {
+      lines.push(`  ! ${report.error}`);
+    }
+
+    for (const audit of report.auditRefs || []) {
+      if (audit.passed === false) {
+        const value = audit.displayValue ? ` (${audit.displayValue})` : "";
+        lines.push(`  ✗ ${audit.title}${value}`);
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
 // Handle MCP protocol requests
-async function handleRequest(request) {
+async function handleRequest(request, transport = stdioTransport) {
   const { id, method, params } = request;
 
   debugLog(`Handling request: ${method} (id: ${id})`);
@@ -352,11 +2264,12 @@ async function handleRequest(request) {
           );
         }
 
-        sendResponse(id, {
+        sendResponse(transport, id, {
           protocolVersion: serverInfo.protocolVersion,
           capabilities: {
             tools: {},
-            resources: {},
+            resources: { subscribe: true },
+            prompts: {},
           },
           serverInfo: {
             name: serverInfo.name,
@@ -367,7 +2280,7 @@ async function handleRequest(request) {
 
       case "initialized":
         // Client confirms initialization complete
-        sendResponse(id, {});
+        sendResponse(transport, id, {});
         debugLog("Initialization complete");
         break;
 
@@ -378,50 +2291,238 @@ async function handleRequest(request) {
           title: tool.title,
           description: tool.description,
           inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema,
           annotations: tool.annotations,
         }));
 
-        sendResponse(id, { tools: toolList });
+        sendResponse(transport, id, { tools: toolList });
         debugLog(`Listed ${toolList.length} tools`);
         break;
 
+      case "resources/list":
+        sendResponse(transport, id, {
+          resources: [
+            ...STATIC_RESOURCES,
+            ...listScreenshotResources(SCREENSHOT_DIR),
+          ],
+        });
+        break;
+
+      case "resources/templates/list":
+        sendResponse(transport, id, { resourceTemplates: RESOURCE_TEMPLATES });
+        break;
+
+      case "resources/read": {
+        const uri = params?.uri;
+        if (!uri) {
+          sendResponse(transport, id, null, {
+            code: -32602,
+            message: "Missing required parameter: uri",
+          });
+          return;
+        }
+
+        const contents = await readResource(uri);
+        if (!contents) {
+          sendResponse(transport, id, null, {
+            code: -32002,
+            message: `Resource not found: ${uri}`,
+            data: { uri },
+          });
+          return;
+        }
+
+        sendResponse(transport, id, { contents });
+        break;
+      }
+
+      case "resources/subscribe": {
+        const uri = params?.uri;
+        if (!isKnownResource(uri)) {
+          sendResponse(transport, id, null, {
+            code: -32002,
+            message: `Resource not found: ${uri}`,
+            data: { uri },
+          });
+          return;
+        }
+
+        // Notifications outlive this request: deliver them on the session
+        const subscriber = transport.session;
+        if (!resourceSubscriptions.hasTransport(subscriber)) {
+          subscriber.onClose?.(() => {
+            resourceSubscriptions.removeTransport(subscriber);
+            updateBridgeEventStream();
+          });
+        }
+
+        resourceSubscriptions.subscribe(uri, subscriber);
+        updateBridgeEventStream();
+        sendResponse(transport, id, {});
+        debugLog(`Subscribed to ${uri}`);
+        break;
+      }
+
+      case "resources/unsubscribe":
+        resourceSubscriptions.unsubscribe(params?.uri, transport.session);
+        updateBridgeEventStream();
+        sendResponse(transport, id, {});
+        break;
+
+      case "prompts/list": {
+        const { prompts, errors } = loadPrompts(PROMPTS_DIR);
+        for (const error of errors) {
+          debugLog(`Skipped prompt file ${error}`);
+        }
+        sendResponse(transport, id, { prompts: describePrompts(prompts) });
+        break;
+      }
+
+      case "prompts/get": {
+        const { prompts } = loadPrompts(PROMPTS_DIR);
+        try {
+          sendResponse(
+            transport,
+            id,
+            getPrompt(prompts, params?.name, params?.arguments),
+          );
+        } catch (error) {
+          if (!(error instanceof PromptError)) {
+            throw error;
+          }
+          sendResponse(transport, id, null, {
+            code: -32602,
+            message: error.message,
+          });
+        }
+        break;
+      }
+
+      case "notifications/cancelled":
+        // Client gave up on a request; no response is sent for it
+        if (
+          operations.cancel(
+            operationKey(transport, params?.requestId),
+            params?.reason || "cancelled by client",
+          )
+        ) {
+          debugLog(`Cancelled request ${params.requestId}`);
+        }
+        break;
+
       case "tools/call":
-        const { name: toolName, arguments: args } = params;
+        const { name: toolName, arguments: args = {} } = params;
 
         debugLog(`Tool call: ${toolName}`);
 
         if (!tools[toolName]) {
-          sendResponse(id, null, {
+          sendResponse(transport, id, null, {
             code: -32602,
             message: `Unknown tool: ${toolName}`,
           });
           return;
         }
 
+        // Enforce the advertised inputSchema before anything reaches the bridge
+        const argumentErrors = validateJsonSchema(
+          tools[toolName].inputSchema,
+          args,
+        );
+        if (argumentErrors.length > 0) {
+          sendResponse(transport, id, null, {
+            code: -32602,
+            message: `Invalid arguments for ${toolName}: ${formatSchemaErrors(argumentErrors)}`,
+            data: { errors: argumentErrors },
+          });
+          return;
+        }
+
         // Map tool names to browser-tools actions
         const actionMap = {
           browser_navigate: "navigate",
+          browser_go_back: "goBack",
+          browser_go_forward: "goForward",
+          browser_reload: "reload",
+          browser_stop: "stop",
           browser_screenshot: "screenshot",
           browser_click: "click",
           browser_type: "type",
+          browser_press_key: "pressKey",
+          browser_hover: "hover",
+          browser_double_click: "doubleClick",
+          browser_context_click: "contextClick",
+          browser_drag: "drag",
+          browser_select_option: "selectOption",
+          browser_set_checked: "setChecked",
+          browser_fill_form: "fillForm",
+          browser_upload_file: "uploadFile",
           browser_evaluate: "evaluate",
           browser_get_content: "getContent",
           browser_audit: "audit",
           browser_wait: "wait",
+          browser_snapshot: "snapshot",
           browser_get_console: "getConsole",
+          browser_get_network: "getNetwork",
+          browser_route_add: "addRoute",
+          browser_route_list: "listRoutes",
+          browser_route_remove: "removeRoute",
+          browser_export_har: "exportHar",
+          browser_get_cookies: "getCookies",
+          browser_set_cookies: "setCookies",
+          browser_clear_cookies: "clearCookies",
+          browser_get_storage: "getStorage",
+          browser_set_storage: "setStorage",
+          browser_list_tabs: "listTabs",
+          browser_open_tab: "openTab",
+          browser_close_tab: "closeTab",
+          browser_switch_tab: "switchTab",
+          browser_list_connections: "listConnections",
         };
 
         const action = actionMap[toolName];
         if (!action) {
-          sendResponse(id, null, {
+          sendResponse(transport, id, null, {
             code: -32603,
             message: `Tool ${toolName} not implemented`,
           });
           return;
         }
 
+        const progressToken = PROGRESS_TOOLS.has(toolName)
+          ? params._meta?.progressToken
+          : undefined;
+        const operation = operations.start(operationKey(transport, id), {
+          progressToken,
+          onProgress: (progress) =>
+            sendNotification(transport, "notifications/progress", progress),
+        });
+        transport.onCancel?.(() =>
+          operations.cancel(operation.key, "client disconnected"),
+        );
+
+        // The operation ID lets the bridge route extension progress back
+        const bridgeArgs =
+          progressToken === undefined
+            ? args
+            : { ...args, operationId: operation.id };
+        if (progressToken !== undefined) {
+          operations.reportProgress(operation, {
+            progress: 0,
+            message: `Started ${toolName}`,
+          });
+          updateBridgeEventStream();
+        }
+
         try {
-          const result = await callBrowserTools(action, args);
+          const result = await callBrowserTools(action, bridgeArgs, {
+            signal: operation.signal,
+          });
+
+          // A cancelled request gets no response
+          if (operation.signal.aborted) {
+            debugLog(`Dropped result of cancelled ${toolName} call`);
+            return;
+          }
 
           // Format response per 2025-06-18 spec
           const response = {
@@ -433,8 +2534,60 @@ async function handleRequest(request) {
             response.content.push({
               type: "image",
               data: result.screenshot,
-              mimeType: "image/png",
+              mimeType: result.mimeType || "image/png",
+            });
+            if (result.path) {
+              response.content.push({
+                type: "text",
+                text: `Screenshot saved to ${result.path}`,
+              });
+            }
+          } else if (Array.isArray(result.connections)) {
+            // Connection list: readable list plus the full identities
+            response.content.push(
+              { type: "text", text: formatConnectionList(result) },
+              { type: "text", text: JSON.stringify(result, null, 2) },
+            );
+          } else if (Array.isArray(result.tabs)) {
+            // Tab list: readable list plus the full tab descriptions
+            response.content.push(
+              { type: "text", text: formatTabList(result) },
+              { type: "text", text: JSON.stringify(result, null, 2) },
+            );
+          } else if (Array.isArray(result.entries)) {
+            // Console entries: readable list plus the full entries
+            response.content.push(
+              { type: "text", text: formatConsoleEntries(result) },
+              { type: "text", text: JSON.stringify(result, null, 2) },
+            );
+          } else if (Array.isArray(result.requests)) {
+            // Network requests: readable list plus the full entries
+            response.content.push(
+              { type: "text", text: formatNetworkRequests(result) },
+              { type: "text", text: JSON.stringify(result, null, 2) },
+            );
+          } else if (Array.isArray(result.nodes)) {
+            // Snapshot: the tree as text only; the same tree is in
+            // structuredContent, so it is not repeated as JSON
+            response.content.push({
+              type: "text",
+              text: formatSnapshot(result),
             });
+          } else if (result.results) {
+            // Audit report: readable summary plus the full structured report
+            response.content.push(
+              { type: "text", text: formatAuditReport(result) },
+              { type: "text", text: JSON.stringify(result, null, 2) },
+            );
+          } else if (typeof result.content === "string") {
+            // Page content, with a note when it was cut to maxLength
+            response.content.push({ type: "text", text: result.content });
+            if (result.truncated) {
+              response.content.push({
+                type: "text",
+                text: `[Content truncated: showing ${result.content.length} of ${result.length} characters from ${result.matches} matching element(s)]`,
+              });
+            }
           } else if (result.html || result.text) {
             response.content.push({
               type: "text",
@@ -456,11 +2609,42 @@ async function handleRequest(request) {
             });
           }
 
-          sendResponse(id, response);
+          // Structured result, checked against the advertised outputSchema
+          if (!response.isError) {
+            const structuredContent = toStructuredContent(toolName, result);
+            const violations = validateJsonSchema(
+              tools[toolName].outputSchema,
+              structuredContent,
+            );
+
+            if (violations.length > 0) {
+              const summary = formatSchemaErrors(violations);
+              debugLog(`${toolName} result does not match schema: ${summary}`);
+              sendResponse(transport, id, {
+                content: [
+                  {
+                    type: "text",
+                    text: `Tool returned an invalid result: ${summary}`,
+                  },
+                ],
+                isError: true,
+              });
+              return;
+            }
+
+            response.structuredContent = structuredContent;
+          }
+
+          sendResponse(transport, id, response);
         } catch (error) {
+          if (operation.signal.aborted) {
+            debugLog(`${toolName} cancelled: ${operation.cancelReason}`);
+            return;
+          }
+
           // Tool execution error with isError flag
           debugLog(`Tool execution error: ${error.message}`);
-          sendResponse(id, {
+          sendResponse(transport, id, {
             content: [
               {
                 type: "text",
@@ -469,60 +2653,127 @@ async function handleRequest(request) {
             ],
             isError: true,
           });
+        } finally {
+          operations.finish(operation);
+          updateBridgeEventStream();
         }
         break;
 
       case "shutdown":
         // Graceful shutdown
-        sendResponse(id, {});
+        sendResponse(transport, id, {});
         debugLog("Shutdown requested");
-        process.exit(0);
+        // stdio exits the process; HTTP only ends the calling session
+        transport.shutdown();
         break;
 
       default:
-        sendResponse(id, null, {
+        sendResponse(transport, id, null, {
           code: -32601,
           message: `Method not found: ${method}`,
         });
     }
   } catch (error) {
     debugLog(`Request handling error: ${error.message}`);
-    sendResponse(id, null, {
+    sendResponse(transport, id, null, {
       code: -32603,
       message: `Internal error: ${error.message}`,
     });
   }
 }
 
-// Setup stdin reader for JSON-RPC messages
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: false,
-});
+// Read a command-line option given as --name=value or --name value
+function getCliOption(name) {
+  const flag = `--${name}`;
+  const inline = process.argv.find((arg) => arg.startsWith(`${flag}=`));
+  if (inline) {
+    return inline.slice(flag.length + 1);
+  }
+  const index = process.argv.indexOf(flag);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
 
-// Buffer for incomplete messages
-let messageBuffer = "";
+const transportMode =
+  getCliOption("transport") || process.env.MCP_TRANSPORT || "stdio";
 
-// Process incoming JSON-RPC messages
-rl.on("line", (line) => {
-  try {
-    const message = JSON.parse(line);
+// Team prompts (*.json), relative to the directory the client starts us in
+const PROMPTS_DIR = path.resolve(
+  getCliOption("prompts-dir") || process.env.MCP_PROMPTS_DIR || ".mcp-prompts",
+);
 
-    if (message.jsonrpc !== "2.0") {
-      debugLog(`Invalid JSON-RPC version: ${message.jsonrpc}`);
-      return;
-    }
+// stdio transport: read JSON-RPC messages line by line from stdin
+function startStdioTransport() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: false,
+  });
 
-    // Handle request or notification
-    if (message.method) {
-      handleRequest(message);
+  // Process incoming JSON-RPC messages
+  rl.on("line", (line) => {
+    try {
+      const message = JSON.parse(line);
+
+      if (message.jsonrpc !== "2.0") {
+        debugLog(`Invalid JSON-RPC version: ${message.jsonrpc}`);
+        return;
+      }
+
+      // Handle request or notification
+      if (message.method) {
+        handleRequest(message, stdioTransport);
+      }
+    } catch (e) {
+      debugLog(`Failed to parse JSON-RPC message: ${e.message}`);
+      // Per spec: ignore invalid JSON silently
     }
-  } catch (e) {
-    debugLog(`Failed to parse JSON-RPC message: ${e.message}`);
-    // Per spec: ignore invalid JSON silently
+  });
+}
+
+// Streamable HTTP transport: POST/GET/DELETE on a single MCP endpoint
+async function startHttpTransport() {
+  const port = parseInt(
+    getCliOption("port") || process.env.MCP_HTTP_PORT || "3023",
+    10,
+  );
+  const host = getCliOption("host") || process.env.MCP_HTTP_HOST || "127.0.0.1";
+  const allowedOrigins = (process.env.MCP_HTTP_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+  const httpServer = new StreamableHttpServer({
+    port,
+    host,
+    allowedOrigins,
+    log: debugLog,
+    onMessage: (message, transport) => handleRequest(message, transport),
+  });
+
+  try {
+    await httpServer.start();
+  } catch (error) {
+    process.stderr.write(
+      `[browser-tools-mcp] Failed to start HTTP transport on ${host}:${port}: ${error.message}\n`,
+    );
+    process.exit(1);
   }
-});
+
+  process.stderr.write(
+    `[browser-tools-mcp] Streamable HTTP transport listening on http://${host}:${httpServer.port}${httpServer.endpoint}\n`,
+  );
+}
+
+if (transportMode === "http") {
+  startHttpTransport();
+} else if (transportMode === "stdio") {
+  startStdioTransport();
+} else {
+  process.stderr.write(
+    `[browser-tools-mcp] Unknown transport "${transportMode}" (expected stdio or http)\n`,
+  );
+  process.exit(1);
+}
 
 // Handle process termination gracefully
 process.on("SIGTERM", () => {
@@ -547,7 +2798,9 @@ process.on("unhandledRejection", (reason, promise) => {
 });
 
 // Ready
-debugLog("Browser Tools MCP Server v2.0.0 started (2025-06-18 spec)");
+debugLog(
+  `Browser Tools MCP Server v2.0.0 started (2025-06-18 spec, ${transportMode} transport)`,
+);
 debugLog(
   `Using MCP HTTP Bridge port: ${process.env.MCP_HTTP_BRIDGE_PORT || "3024"}`,
 );